@@ -1,11 +1,11 @@
 /* eslint-disable global-require */
-/* eslint-disable import/no-dynamic-require */
 if (!process.env.__ALREADY_BOOTSTRAPPED_ENVS) require('dotenv').config();
 
 const fs = require('fs');
-const { createServer } = require('@app-core/server');
-const { createConnection } = require('@app-core/mongoose');
-const { createQueue } = require('@app-core/queue');
+const { createServer, loadRoutes, normalizeVersion } = require('@app-core/server');
+const { createConnection, checkConnection, closeConnection } = require('@app-core/mongoose');
+const { createQueue, pingQueues, closeQueues } = require('@app-core/queue');
+const { userAuth } = require('@app/middlewares');
 
 const canLogEndpointInformation = process.env.CAN_LOG_ENDPOINT_INFORMATION;
 
@@ -18,59 +18,55 @@ createQueue();
 const server = createServer({
   port: process.env.PORT,
   JSONLimit: '150mb',
-  enableCors: true,
+  // Any origin may call the API unless CORS_ORIGINS lists the allowed ones e.g. https://app.example.com,https://admin.example.com
+  cors: process.env.CORS_ORIGINS
+    ? { origins: process.env.CORS_ORIGINS.split(',').map((origin) => origin.trim()) }
+    : true,
+  securityHeaders: true,
+  docs: !!parseInt(process.env.ENABLE_API_DOCS, 10),
+  metrics: !!parseInt(process.env.ENABLE_METRICS, 10),
+  jwks: !!(process.env.JWT_KEYS || process.env.JWT_KEYS_DIR),
+  idempotency: { store: 'mongo' },
+  readinessChecks: { mongoose: checkConnection, queue: pingQueues },
+  onShutdown: [closeQueues, closeConnection],
 });
 
-const ENDPOINT_CONFIGS = [
-  {
-    path: './endpoints/onboarding/',
-  },
-];
-
-// Load root level endpoints separately
-const rootEndpointPath = './endpoints/';
-const rootItems = fs.readdirSync(rootEndpointPath);
-rootItems.forEach((item) => {
-  const itemPath = `${rootEndpointPath}${item}`;
-  const stat = fs.statSync(itemPath);
-
-  // Only process .js files, skip directories and other files
-  if (stat.isFile() && item.endsWith('.js') && item !== 'index.js') {
-    const handler = require(itemPath);
-
-    // Only add handlers that have proper method and path
-    if (handler && handler.method && handler.path) {
-      server.addHandler(handler);
-    }
-  }
-});
+const routes = loadRoutes('./endpoints/', { authMiddleware: userAuth });
+
+/**
+ * Endpoints that run middlewares need a permission, unless their folder sets auth: false.
+ * It defaults to `can <file name>` e.g. `can create identity` for create-identity.js
+ */
+function getEndpointPermission(route) {
+  if (route.config.auth === false || !route.handler.middlewares?.length) return null;
+  return `can ${route.name.replaceAll('-', ' ')}`;
+}
 
-function logEndpointMetaData(endpointConfigs) {
+function logEndpointMetaData(loadedRoutes) {
   const endpointData = [];
   const storageDirName = './endpoint-data';
-  const EXEMPTED_ENDPOINTS_REGEX = /onboarding/;
 
-  endpointConfigs.forEach((endpointConfig) => {
-    const { path: basePath, options } = endpointConfig;
+  loadedRoutes.forEach((route) => {
+    const { handler, prefix } = route;
+    const permission = getEndpointPermission(route);
 
-    const dirs = fs.readdirSync(basePath);
+    if (permission) {
+      const entry = { method: handler.method, endpoint: handler.path };
+      entry.name = route.name.replaceAll('-', ' ');
+      entry.display_name = permission;
+      entry.permissions = [].concat(handler.permissions || permission);
 
-    dirs.forEach((file) => {
-      const handler = require(`${basePath}${file}`);
-
-      if (!EXEMPTED_ENDPOINTS_REGEX.test(basePath) && handler.middlewares?.length) {
-        const entry = { method: handler.method, endpoint: handler.path };
-        entry.name = file.replaceAll('-', ' ').replace('.js', '');
-        entry.display_name = `can ${entry.name}`;
-
-        if (options?.pathPrefix) {
-          entry.endpoint = `${options.pathPrefix}${entry.endpoint}`;
-          entry.name = `${entry.name} (${options.pathPrefix.replace('/', '')})`;
-        }
+      if (handler.version != null) {
+        entry.version = normalizeVersion(handler.version);
+        entry.deprecated = !!handler.deprecated;
+      }
 
-        endpointData.push(entry);
+      if (prefix) {
+        entry.name = `${entry.name} (${prefix.replace('/', '')})`;
       }
-    });
+
+      endpointData.push(entry);
+    }
   });
 
   if (!fs.existsSync(storageDirName)) {
@@ -83,31 +79,17 @@ function logEndpointMetaData(endpointConfigs) {
 }
 
 if (canLogEndpointInformation) {
-  logEndpointMetaData(ENDPOINT_CONFIGS);
+  logEndpointMetaData(routes);
 }
 
-function setupEndpointHandlers(basePath, options = {}) {
-  const items = fs.readdirSync(basePath);
-
-  items.forEach((item) => {
-    const itemPath = `${basePath}${item}`;
-    const stat = fs.statSync(itemPath);
-
-    // Only process .js files, skip directories and other files
-    if (stat.isFile() && item.endsWith('.js')) {
-      const handler = require(itemPath);
-
-      if (options.pathPrefix) {
-        handler.path = `${options.pathPrefix}${handler.path}`;
-      }
+routes.forEach((route) => {
+  const { handler } = route;
 
-      server.addHandler(handler);
-    }
-  });
-}
+  if (!handler.permissions) {
+    handler.permissions = getEndpointPermission(route);
+  }
 
-ENDPOINT_CONFIGS.forEach((config) => {
-  setupEndpointHandlers(config.path, config.options);
+  server.addHandler(handler);
 });
 
 server.startServer();
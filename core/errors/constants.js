@@ -19,6 +19,11 @@ const ERROR_CODE = {
   VALIDATIONERR: 'VALIDATION_ERROR',
   INVLDDATA: 'INVALID_REQUEST_DATA',
   RTLIMERR: 'RATE_LIMIT_ERROR',
+  IDEMPKEYERR: 'IDEMPOTENCY_KEY_ERROR',
+  TIMEOUTERR: 'REQUEST_TIMEOUT',
+  REQABORTED: 'REQUEST_ABORTED',
+  BODYTOOLARGE: 'PAYLOAD_TOO_LARGE',
+  MEDIATYPEERR: 'UNSUPPORTED_MEDIA_TYPE',
 };
 
 const ERROR_STATUS_CODE_MAPPING = {
@@ -33,8 +38,13 @@ const ERROR_STATUS_CODE_MAPPING = {
   FEE_ERROR: 403,
   RESOURCE_NOT_FOUND: 404,
   DUPLICATE_RECORD: 409,
+  IDEMPOTENCY_KEY_ERROR: 409,
   APPLICATION_ERROR: 500,
   RATE_LIMIT_ERROR: 429,
+  REQUEST_TIMEOUT: 504,
+  REQUEST_ABORTED: 499,
+  PAYLOAD_TOO_LARGE: 413,
+  UNSUPPORTED_MEDIA_TYPE: 415,
 };
 
 module.exports = { ERROR_CODE, ERROR_STATUS_CODE_MAPPING };
@@ -0,0 +1,152 @@
+const {
+  addOperations,
+  createOpenAPIDocument,
+} = require('@app-core/validator/util-openapi-generator');
+
+const DOCUMENTED_METHODS = { get: true, post: true, put: true, patch: true, delete: true };
+
+/**
+ * @typedef {Object} DocsConfig
+ * @property {string} [path="/_docs"] - The path the explorer is served on. The spec is served on `${path}/openapi.json`.
+ * @property {string} [title] - The API title. Defaults to the APP_NAME environment variable.
+ * @property {string} [version] - The API version. Defaults to 1.0.0
+ * @property {string} [description] - The API description.
+ */
+
+/**
+ * A handler registered on the server along with its parsed request specs.
+ * @typedef {Object} RegisteredHandler
+ * @property {import('./create-handler').HandlerConfiguration} handlerConfiguration
+ * @property {import('./request-validation').ParsedRequestSpecs} parsedRequestSpecs
+ * @property {import('./response-validation').ParsedResponseSpecs|null} [parsedResponseSpecs]
+ * @property {string|null} [version] - The normalised version of the handler e.g. v2.
+ */
+
+/**
+ * Normalise the docs server option.
+ * @param {boolean|DocsConfig} docs
+ * @returns {DocsConfig|null}
+ */
+function getDocsConfig(docs) {
+  if (!docs) return null;
+  const docsConfig = docs === true ? {} : { ...docs };
+  docsConfig.path = (docsConfig.path || '/_docs').replace(/\/$/, '');
+  return docsConfig;
+}
+
+/**
+ * Build an OpenAPI 3.1 document from the handlers registered on the server.
+ * @param {RegisteredHandler[]} registeredHandlers
+ * @param {DocsConfig} docsConfig
+ * @returns {Object}
+ */
+function buildOpenAPIDocument(registeredHandlers, docsConfig) {
+  const document = createOpenAPIDocument(docsConfig);
+  const definitions = registeredHandlers
+    .filter(({ handlerConfiguration }) => DOCUMENTED_METHODS[handlerConfiguration.method])
+    .filter(({ handlerConfiguration }) => !String(handlerConfiguration.path).includes('*'))
+    .map(({ handlerConfiguration, parsedRequestSpecs, parsedResponseSpecs, version }) => {
+      const { method, path } = handlerConfiguration;
+      const [tag] = String(path).split('/').filter(Boolean);
+      return {
+        method,
+        // Versions of a path are documented separately under their prefix
+        path: version ? `/${version}${path === '/' ? '' : path}` : path,
+        tags: tag ? [tag] : undefined,
+        deprecated: !!handlerConfiguration.deprecated,
+        sections: {
+          headers: parsedRequestSpecs.headers?.root,
+          query: parsedRequestSpecs.query?.root,
+          params: parsedRequestSpecs.params?.root,
+          body: parsedRequestSpecs.body?.root,
+        },
+        responses: Object.entries(parsedResponseSpecs || {}).map(([statusCode, spec]) => ({
+          statusCode,
+          description: spec.description,
+          status: spec.status,
+          data: spec.root,
+        })),
+      };
+    });
+  addOperations(document.paths, definitions);
+  return document;
+}
+
+function escapeHTML(value) {
+  return String(value).replace(
+    /[&<>"']/g,
+    (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]
+  );
+}
+
+/**
+ * Render a self contained HTML page that lists the operations in the OpenAPI document.
+ * @param {DocsConfig} docsConfig
+ * @returns {string}
+ */
+function renderDocsPage(docsConfig) {
+  const title = escapeHTML(docsConfig.title || process.env.APP_NAME || 'API');
+  const specURL = escapeHTML(`${docsConfig.path}/openapi.json`);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title} docs</title>
+<style>
+  body { font-family: sans-serif; margin: 2rem auto; max-width: 960px; color: #222; }
+  details { border: 1px solid #ddd; border-radius: 4px; margin: 0.5rem 0; padding: 0.5rem 1rem; }
+  summary { cursor: pointer; font-family: monospace; font-size: 1rem; }
+  .method { display: inline-block; min-width: 4rem; font-weight: bold; text-transform: uppercase; }
+  pre { background: #f6f8fa; padding: 0.75rem; overflow: auto; }
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<p>OpenAPI document: <a href="${specURL}">${specURL}</a></p>
+<div id="operations">Loading...</div>
+<script>
+  function el(tag, text) {
+    var node = document.createElement(tag);
+    if (text) node.textContent = text;
+    return node;
+  }
+  fetch('${specURL}')
+    .then(function (response) { return response.json(); })
+    .then(function (spec) {
+      var container = document.getElementById('operations');
+      container.textContent = '';
+      Object.keys(spec.paths).forEach(function (path) {
+        Object.keys(spec.paths[path]).forEach(function (method) {
+          var operation = spec.paths[path][method];
+          var details = el('details');
+          var summary = el('summary');
+          summary.appendChild(el('span', method)).className = 'method';
+          summary.appendChild(document.createTextNode(path));
+          details.appendChild(summary);
+          if (operation.parameters) {
+            details.appendChild(el('h4', 'Parameters'));
+            details.appendChild(el('pre', JSON.stringify(operation.parameters, null, 2)));
+          }
+          if (operation.requestBody) {
+            details.appendChild(el('h4', 'Request body'));
+            details.appendChild(el('pre', JSON.stringify(operation.requestBody.content['application/json'].schema, null, 2)));
+          }
+          details.appendChild(el('h4', 'Responses'));
+          details.appendChild(el('pre', JSON.stringify(operation.responses, null, 2)));
+          container.appendChild(details);
+        });
+      });
+    })
+    .catch(function (error) {
+      document.getElementById('operations').textContent = 'Unable to load the OpenAPI document: ' + error.message;
+    });
+</script>
+</body>
+</html>`;
+}
+
+module.exports = {
+  getDocsConfig,
+  buildOpenAPIDocument,
+  renderDocsPage,
+};
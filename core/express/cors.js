@@ -0,0 +1,109 @@
+/* eslint-disable global-require */
+
+/**
+ * CORS policy of the server or a handler.
+ * @typedef {Object} CorsConfig
+ * @property {"*"|string|string[]|RegExp|function(string): boolean|Promise<boolean>} [origins="*"] - The origins allowed to call the API. A function gets the Origin header and returns whether it is allowed.
+ * @property {boolean} [credentials=false] - Allow cookies and Authorization headers to be sent. Requires a list of origins, not "*".
+ * @property {string[]} [exposedHeaders] - Response headers browsers let the caller read e.g. ['x-request-id', 'etag'].
+ * @property {string[]} [allowedHeaders] - Request headers the caller may send. Defaults to the ones asked for in the preflight request.
+ * @property {string[]} [methods] - Methods the caller may use. Defaults to GET, HEAD, PUT, PATCH, POST and DELETE.
+ * @property {number} [maxAge] - Seconds browsers may cache the preflight response.
+ */
+
+// Requests whose CORS headers were set by their handler's policy, so the server policy is skipped
+const corsAppliedRequests = new WeakSet();
+
+function toCorsOrigin(origins) {
+  if (origins === '*') return '*';
+  if (typeof origins !== 'function') return origins;
+
+  return (origin, callback) => {
+    Promise.resolve(origin ? origins(origin) : false)
+      .then((isAllowed) => callback(null, !!isAllowed))
+      .catch((e) => callback(e));
+  };
+}
+
+/**
+ * Resolve the CORS policy of a handler from its cors option and the server's.
+ * Handler policies are merged over the server policy, and false turns CORS off for the handler.
+ * @param {boolean|CorsConfig} [handlerCors]
+ * @param {boolean|CorsConfig} [serverCors]
+ * @returns {CorsConfig|null}
+ */
+function resolveCorsConfig(handlerCors, serverCors) {
+  if (handlerCors === false || (handlerCors === undefined && !serverCors)) return null;
+
+  return {
+    ...(typeof serverCors === 'object' ? serverCors : {}),
+    ...(typeof handlerCors === 'object' ? handlerCors : {}),
+  };
+}
+
+/**
+ * Create the express middleware applying a CORS policy. Preflight requests are answered with a 204.
+ * @param {CorsConfig|null} corsConfig - No CORS headers are set when null.
+ * @returns {import('express').RequestHandler}
+ */
+function createCorsMiddleware(corsConfig) {
+  if (!corsConfig) {
+    return (expressRequest, expressResponse, next) => {
+      corsAppliedRequests.add(expressRequest);
+      next();
+    };
+  }
+
+  const {
+    origins = '*',
+    credentials,
+    exposedHeaders,
+    allowedHeaders,
+    methods,
+    maxAge,
+  } = corsConfig;
+
+  if (credentials && origins === '*') {
+    throw new Error('CORS credentials need a list of origins. Browsers reject them for "*"');
+  }
+
+  const cors = require('cors');
+  const corsOptions = { origin: toCorsOrigin(origins), credentials: !!credentials };
+  // Options left undefined would replace the package defaults
+  if (exposedHeaders) corsOptions.exposedHeaders = exposedHeaders;
+  if (allowedHeaders) corsOptions.allowedHeaders = allowedHeaders;
+  if (methods) corsOptions.methods = methods;
+  if (maxAge !== undefined) corsOptions.maxAge = maxAge;
+  const applyCors = cors(corsOptions);
+
+  return (expressRequest, expressResponse, next) => {
+    corsAppliedRequests.add(expressRequest);
+    applyCors(expressRequest, expressResponse, next);
+  };
+}
+
+/**
+ * Create the server wide CORS middleware. Requests already handled by a handler's own policy are skipped.
+ * @param {boolean|CorsConfig} [serverCors]
+ * @returns {import('express').RequestHandler}
+ */
+function createServerCorsMiddleware(serverCors) {
+  const applyCors = serverCors
+    ? createCorsMiddleware(resolveCorsConfig(undefined, serverCors))
+    : null;
+
+  return (expressRequest, expressResponse, next) => {
+    if (!applyCors || corsAppliedRequests.has(expressRequest)) {
+      next();
+      return;
+    }
+
+    applyCors(expressRequest, expressResponse, next);
+  };
+}
+
+module.exports = {
+  resolveCorsConfig,
+  createCorsMiddleware,
+  createServerCorsMiddleware,
+};
@@ -10,6 +10,9 @@
  * @property {string} hostname - The hostname of the request.
  * @property {string} useragent - The useragent of the request
  * @property {string} handlerPath - The endpoint path as defined in the constructor of the handler.
+ * @property {string} [version] - The version of the handler serving the request e.g. v2. Only set for versioned handlers.
+ * @property {string} [requestId] - The ID of the request. Taken from the X-Request-Id header or generated, and echoed in the response headers.
+ * @property {string[]} permissions - The permissions required by the handler as defined in the constructor of the handler.
  */
 
 /**
@@ -21,7 +24,9 @@
  * @property {Object} params - Object representing any parsed params in the request URL.
  * @property {Object} meta - Object that can be used by the handler to add extra data about the request or to pass them on through the middleware chain.
  * @property {Object} props - Object containing custom properties from the handler.
+ * @property {import('./uploads').UploadedFile[]} [files] - Files received with a multipart request, for handlers with uploads set.
  * @property {RequestProperties} properties - Object containing information about the request.
+ * @property {AbortSignal} signal - Aborted when the handler's timeoutMs elapses or the client disconnects. Pass it to work that can be cancelled.
  */
 
 /**
@@ -71,6 +76,13 @@
  * @typedef {Object} HandlerResult
  * @property {import('./enums').HTTPStatusCode} status - HTTP Status code.
  * @property {*} [data] - Actual data to be returned as the response to the endpoint request.
+ * @property {boolean} [raw=false] - Boolean value that defaults to false. If set to true, data is sent as the response body without the status/message/data envelope. Objects are sent as JSON, and a Buffer or string is sent as is with the contentType.
+ * @property {string} [contentType] - Optional Content-Type of a raw or stream response e.g. text/csv. Strings default to text/plain. Events yielded by a text/event-stream stream are sent as Server-Sent Events.
+ * @property {string} [filename] - Optional file name. The response is sent as an attachment so browsers download it.
+ * @property {Object<string, string>} [headers] - Optional headers to set on the response.
+ * @property {Object<string, string|import('./send-response').ResponseCookie|null>} [cookies] - Optional cookies to set, keyed by name. Use an object for cookie options e.g. { value, httpOnly: true, maxAge: 3600000 } and null to clear a cookie.
+ * @property {string} [redirect] - Optional URL to redirect to. The status defaults to 302.
+ * @property {import('stream').Readable|AsyncIterable<*>} [stream] - Optional stream or async iterator whose chunks are written to the response as they are produced. Iteration stops when the client disconnects.
  * @property {boolean} [endHandlerChain=false] - Boolean value that defaults to false. If set to true and there are still items in the handler chain, the execution will not proceed to execute other handlers.
  * @property {boolean} [skipNextMiddlewareHandler=false] - Boolean value that defaults to false and indicates whether or not the next middleware handler in the handler chain should be executed or not.
  * @property {boolean} [skipOtherMiddlewareHandlers=false] - Boolean value that defaults to false and is similar in function to the endHandlerChain property in that if set to true, it ensures no other middlewarehandler in the handler chain is executed.
@@ -101,6 +113,23 @@
  * @property {Object} [props] - Optional custom properties of a handler.
  * @property {HandlerFunction} handler - Required function that defines the handler logic with two arguments requestComponents and helpers.
  * @property {ResponseEndEventFunction} [onResponseEnd] - Optional event callback for post-processing ops required when there's a need to capture the request and response sent.
+ * @property {string|Object} [bodySpec] - Optional VSL spec used to validate and transform the request body before the middlewares run.
+ * @property {string|Object} [querySpec] - Optional VSL spec used to validate and transform the request query. Numeric and boolean strings are coerced.
+ * @property {string|Object} [paramsSpec] - Optional VSL spec used to validate and transform the request params. Numeric and boolean strings are coerced.
+ * @property {import('./response-validation').ResponseSpecMap|string|Object} [responseSpec] - Optional VSL specs for the response data keyed by status code, or an endpoint spec whose response.* blocks are reused. Unknown fields are stripped and invalid data fails the request, or is logged in production.
+ * @property {string|Object} [headersSpec] - Optional VSL spec used to validate the request headers. Header names must be lowercase and headers not in the spec are kept.
+ * @property {string|string[]} [permissions] - Optional permission names required to call the handler. They are enforced by a permissions middleware through rc.properties.permissions.
+ * @property {boolean|import('./idempotency').IdempotencyConfig} [idempotent] - Optional. When set, requests with an Idempotency-Key header are processed once and retries get the first response again.
+ * @property {boolean|import('./response-cache').CacheConfig} [cache] - Optional, GET handlers only. When set, successful JSON responses are cached and sent again with an ETag, and clients sending a matching If-None-Match get a 304.
+ * @property {import('./rate-limit').RateLimitConfig} [rateLimit] - Optional rate limit for the handler. It is checked after the middlewares run so requests can be keyed by rc.meta.user.
+ * @property {number} [timeoutMs] - Optional number of milliseconds the request may take. Slower requests fail with REQUEST_TIMEOUT (504), and repository queries and HTTP calls made with @app-core/http-request are given the remaining time.
+ * @property {boolean|import('./cors').CorsConfig} [cors] - Optional CORS policy for the handler, merged over the server's. Set to false to turn CORS off for the handler.
+ * @property {string|number} [bodyLimit] - Optional largest JSON body the handler accepts e.g. 1mb. Defaults to the server JSONLimit. Larger bodies fail with PAYLOAD_TOO_LARGE (413).
+ * @property {string[]} [contentTypes] - Optional content types the request body may have e.g. ['application/json']. Other types fail with UNSUPPORTED_MEDIA_TYPE (415).
+ * @property {import('./hooks').HandlerHooks} [hooks] - Optional lifecycle hooks: onRequest, preHandler, onSend, onError and onResponse. They run after the server's hooks.
+ * @property {import('./uploads').UploadsConfig} [uploads] - Optional. When set, multipart/form-data requests are accepted. Files are saved to the storage once the middlewares have passed and listed on rc.files, and text fields become rc.body. Files of requests that fail before the handler returns are removed.
+ * @property {string|number} [version] - Optional API version of the handler e.g. 2 or v2. It is served on /v2/path, and on the path itself to clients sending Accept-Version: 2 or to all clients when it is the latest version.
+ * @property {boolean|import('./versioning').DeprecationConfig} [deprecated] - Optional. When set, responses include a Deprecation header, and a Sunset header when a sunset date is given.
  */
 
 /**
@@ -116,6 +145,23 @@ function createExpressHandler(handlerConfiguration) {
     props: handlerConfiguration.props,
     handler: handlerConfiguration.handler,
     onResponseEnd: handlerConfiguration.onResponseEnd,
+    bodySpec: handlerConfiguration.bodySpec,
+    querySpec: handlerConfiguration.querySpec,
+    paramsSpec: handlerConfiguration.paramsSpec,
+    headersSpec: handlerConfiguration.headersSpec,
+    responseSpec: handlerConfiguration.responseSpec,
+    permissions: handlerConfiguration.permissions,
+    rateLimit: handlerConfiguration.rateLimit,
+    idempotent: handlerConfiguration.idempotent,
+    cache: handlerConfiguration.cache,
+    cors: handlerConfiguration.cors,
+    bodyLimit: handlerConfiguration.bodyLimit,
+    contentTypes: handlerConfiguration.contentTypes,
+    uploads: handlerConfiguration.uploads,
+    hooks: handlerConfiguration.hooks,
+    timeoutMs: handlerConfiguration.timeoutMs,
+    version: handlerConfiguration.version,
+    deprecated: handlerConfiguration.deprecated,
   };
 }
 module.exports = createExpressHandler;
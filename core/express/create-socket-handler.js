@@ -0,0 +1,61 @@
+const { ExpressHandlerMethod } = require('./enums');
+
+/**
+ * Hook run once the WebSocket connection is open.
+ * @callback SocketConnectFunction
+ * @param {import('./sockets').Socket} socket
+ * @returns {void|Promise<void>}
+ */
+
+/**
+ * Hook run for each message received, after it is parsed as JSON and validated. A returned value is sent back to the socket.
+ * @callback SocketMessageFunction
+ * @param {import('./sockets').Socket} socket
+ * @param {*} message
+ * @returns {*}
+ */
+
+/**
+ * Hook run once the connection is closed, after the socket has left its rooms.
+ * @callback SocketCloseFunction
+ * @param {import('./sockets').Socket} socket
+ * @param {{code: number, reason: string}} closeEvent
+ * @returns {void|Promise<void>}
+ */
+
+/**
+ * @typedef {Object} SocketHandlerConfiguration
+ * @property {string} path - The path WebSocket connections are accepted on e.g. /notifications. Path params are not supported.
+ * @property {import('./create-handler').HandlerConfiguration[]} [middlewares] - Optional middlewares run on the upgrade request, e.g. for auth. A thrown error rejects the connection with its status code.
+ * @property {Object} [props] - Optional custom properties of the handler.
+ * @property {string|Object} [querySpec] - Optional VSL spec used to validate and transform the query of the upgrade request.
+ * @property {string|Object} [headersSpec] - Optional VSL spec used to validate the headers of the upgrade request.
+ * @property {string|Object} [messageSpec] - Optional VSL spec every message is validated against. Invalid messages get an error event back.
+ * @property {string|string[]} [permissions] - Optional permission names required to connect. They are enforced by a permissions middleware through rc.properties.permissions.
+ * @property {SocketConnectFunction} [onConnect] - Optional function run once the connection is open e.g. to join rooms. If it throws, the connection is closed and no messages are handled.
+ * @property {SocketMessageFunction} [onMessage] - Optional function run for each message.
+ * @property {SocketCloseFunction} [onClose] - Optional function run once the connection is closed.
+ */
+
+/**
+ * Function to create a WebSocket handler. It is added to the server with addHandler like HTTP handlers, and the server accepts WebSocket upgrades on its path.
+ * @param {SocketHandlerConfiguration} socketHandlerConfiguration
+ * @returns {SocketHandlerConfiguration & {method: "ws"}}
+ */
+function createSocketHandler(socketHandlerConfiguration) {
+  return {
+    path: socketHandlerConfiguration.path,
+    method: ExpressHandlerMethod.METHOD_WS,
+    middlewares: socketHandlerConfiguration.middlewares,
+    props: socketHandlerConfiguration.props,
+    querySpec: socketHandlerConfiguration.querySpec,
+    headersSpec: socketHandlerConfiguration.headersSpec,
+    messageSpec: socketHandlerConfiguration.messageSpec,
+    permissions: socketHandlerConfiguration.permissions,
+    onConnect: socketHandlerConfiguration.onConnect,
+    onMessage: socketHandlerConfiguration.onMessage,
+    onClose: socketHandlerConfiguration.onClose,
+  };
+}
+
+module.exports = createSocketHandler;
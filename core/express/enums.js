@@ -44,7 +44,7 @@ const HTTPStatusCode = {
 };
 
 /**
- * @typedef {"all"|"post"|"get"|"patch"|"put"|"delete"|"use"} ExpressHandlerMethodString
+ * @typedef {"all"|"post"|"get"|"patch"|"put"|"delete"|"use"|"ws"} ExpressHandlerMethodString
  */
 
 /**
@@ -56,6 +56,7 @@ const HTTPStatusCode = {
  * @property {ExpressHandlerMethodString} METHOD_PUT - HTTP Put requests
  * @property {ExpressHandlerMethodString} METHOD_DELETE - HTTP Delete requests
  * @property {ExpressHandlerMethodString} METHOD_USE - Express specific app.use method
+ * @property {ExpressHandlerMethodString} METHOD_WS - WebSocket connections, used by socket handlers
  */
 
 /**
@@ -85,6 +86,9 @@ const ExpressHandlerMethod = {
   /** Express specific app.use method */
   /** @type ExpressHandlerMethodString */
   METHOD_USE: 'use',
+  /** WebSocket connections, used by socket handlers */
+  /** @type ExpressHandlerMethodString */
+  METHOD_WS: 'ws',
 };
 
 module.exports = {
@@ -0,0 +1,100 @@
+const { STATUS_CODES } = require('http');
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * An error response to be sent, before it is formatted.
+ * @typedef {Object} ErrorDescription
+ * @property {number} statusCode - The HTTP status code of the response.
+ * @property {string} message - The message that is safe to show the client.
+ * @property {string} [errorCode] - The application error code e.g. VALIDATION_ERROR.
+ * @property {Object[]} [details] - The failing fields of validation errors.
+ * @property {*} [context] - Extra data attached to the error e.g. { retry_after: 30 }.
+ * @property {Error} [error] - The error that was thrown, if any.
+ * @property {import('express').Request} request - The request that failed.
+ */
+
+/**
+ * The formatted error response.
+ * @typedef {Object} FormattedError
+ * @property {*} body - The response body, sent as JSON.
+ * @property {string} [contentType] - The Content-Type of the response. Defaults to application/json.
+ */
+
+/**
+ * Function that turns an error into the response sent to the client.
+ * @callback ErrorFormatter
+ * @param {ErrorDescription} errorDescription
+ * @returns {FormattedError}
+ */
+
+/**
+ * Format errors as the { status, message, errors, data } envelope used by handler responses.
+ * @type {ErrorFormatter}
+ */
+function formatErrorEnvelope({ message, details, context }) {
+  return {
+    body: {
+      status: 'error',
+      message,
+      errors: details || undefined,
+      data: context,
+    },
+  };
+}
+
+/**
+ * @typedef {Object} ProblemFormatterConfig
+ * @property {string} [typeBaseURL] - URL the error code is appended to for the problem type e.g. https://docs.example.com/errors gives https://docs.example.com/errors/validation-error. The type is about:blank without it.
+ */
+
+/**
+ * Create a formatter for RFC 7807 application/problem+json responses.
+ * The error code and context are added as the code and data extension members.
+ * @param {ProblemFormatterConfig} [problemFormatterConfig]
+ * @returns {ErrorFormatter}
+ */
+function createProblemFormatter(problemFormatterConfig = {}) {
+  const typeBaseURL = (problemFormatterConfig.typeBaseURL || '').replace(/\/$/, '');
+
+  return function formatProblemDetails(errorDescription) {
+    const { statusCode, message, errorCode, details, context, request } = errorDescription;
+
+    const problem = {
+      type:
+        typeBaseURL && errorCode
+          ? `${typeBaseURL}/${errorCode.toLowerCase().replaceAll('_', '-')}`
+          : 'about:blank',
+      title: STATUS_CODES[statusCode] || 'Error',
+      status: statusCode,
+      detail: message,
+      instance: request?.originalUrl,
+    };
+
+    if (errorCode) problem.code = errorCode;
+    if (details) problem.errors = details;
+    if (context) problem.data = context;
+
+    return { body: problem, contentType: PROBLEM_CONTENT_TYPE };
+  };
+}
+
+/**
+ * Resolve the errorFormatter server option.
+ * @param {"default"|"problem+json"|ErrorFormatter} [errorFormatter="default"]
+ * @returns {ErrorFormatter}
+ */
+function resolveErrorFormatter(errorFormatter = 'default') {
+  if (typeof errorFormatter === 'function') return errorFormatter;
+  if (errorFormatter === 'default') return formatErrorEnvelope;
+  if (errorFormatter === 'problem+json') return createProblemFormatter();
+
+  throw new Error(`Unknown error formatter: ${errorFormatter}`);
+}
+
+module.exports = {
+  PROBLEM_CONTENT_TYPE,
+  formatErrorEnvelope,
+  createProblemFormatter,
+  resolveErrorFormatter,
+};
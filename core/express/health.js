@@ -0,0 +1,66 @@
+/**
+ * A readiness check. It fails by throwing or resolving to false.
+ * @callback ReadinessCheck
+ * @returns {Promise<boolean|void>|boolean|void}
+ */
+
+/**
+ * @typedef {Object} CheckResult
+ * @property {"ok"|"error"} status
+ * @property {number} duration_ms
+ * @property {string} [error] - Why the check failed.
+ */
+
+/**
+ * @typedef {Object} ReadinessReport
+ * @property {"ok"|"error"} status - "error" when any check failed.
+ * @property {Object<string, CheckResult>} checks
+ */
+
+const CHECK_TIMEOUT = 3000;
+
+async function runCheck(check) {
+  let timeout;
+  const timedOut = new Promise((_, reject) => {
+    timeout = setTimeout(() => reject(new Error('Check timed out')), CHECK_TIMEOUT);
+  });
+
+  try {
+    const passed = await Promise.race([check(), timedOut]);
+    if (passed === false) throw new Error('Check failed');
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Run the readiness checks at the same time. A check that takes longer than 3 seconds fails.
+ * @param {Object<string, ReadinessCheck>} readinessChecks - Checks keyed by name.
+ * @returns {Promise<ReadinessReport>}
+ */
+async function runReadinessChecks(readinessChecks) {
+  const report = { status: 'ok', checks: {} };
+
+  await Promise.all(
+    Object.entries(readinessChecks).map(async ([name, check]) => {
+      const start = Date.now();
+      try {
+        await runCheck(check);
+        report.checks[name] = { status: 'ok', duration_ms: Date.now() - start };
+      } catch (e) {
+        report.status = 'error';
+        report.checks[name] = {
+          status: 'error',
+          duration_ms: Date.now() - start,
+          error: e.message,
+        };
+      }
+    })
+  );
+
+  return report;
+}
+
+module.exports = {
+  runReadinessChecks,
+};
@@ -0,0 +1,156 @@
+/* eslint-disable no-await-in-loop */
+/* eslint-disable no-restricted-syntax */
+
+/**
+ * Hook run once the request body has been read, before the request is rate limited and validated. Throw to reject the request.
+ * @callback RequestHook
+ * @param {import('./create-handler').RequestComponents} requestComponents
+ * @returns {void|Promise<void>}
+ */
+
+/**
+ * The response a JSON result or error is about to be sent with.
+ * @typedef {Object} OutgoingResponse
+ * @property {number} statusCode
+ * @property {*} body
+ */
+
+/**
+ * Changes an onSend hook can make to the response. Omitted fields are left as they are and headers are added to the response.
+ * @typedef {Object} OutgoingResponseUpdate
+ * @property {number} [statusCode]
+ * @property {*} [body]
+ * @property {Object<string, string>} [headers]
+ */
+
+/**
+ * Hook run before a JSON result or error response is sent. It may return changes to the status code and body, and headers to add.
+ * @callback SendHook
+ * @param {import('./create-handler').RequestComponents} requestComponents
+ * @param {OutgoingResponse} response
+ * @returns {void|OutgoingResponseUpdate|Promise<void|OutgoingResponseUpdate>}
+ */
+
+/**
+ * Hook run when a request fails, before the error response is formatted. It may return or throw another error to respond with instead.
+ * @callback ErrorHook
+ * @param {import('./create-handler').RequestComponents} requestComponents
+ * @param {Error} error
+ * @returns {void|Error|Promise<void|Error>}
+ */
+
+/**
+ * Hook run after the response has been sent, e.g. for audit logging. Errors are logged and do not affect the response.
+ * @callback ResponseHook
+ * @param {import('./create-handler').RequestComponents} requestComponents
+ * @param {import('./create-handler').ResponseComponents} responseComponents
+ * @returns {void|Promise<void>}
+ */
+
+/**
+ * Lifecycle hooks of a request. Each can be a function or an array of functions, run one after the other.
+ * Server hooks run before the handler's own.
+ * @typedef {Object} HandlerHooks
+ * @property {RequestHook|RequestHook[]} [onRequest] - Runs first once the body has been read, before rate limits, uploads and validation. Multipart bodies are not read yet.
+ * @property {RequestHook|RequestHook[]} [preHandler] - Runs after the middlewares, rate limit and idempotency checks, right before the handler. Skipped when a middleware ends the chain or the response is replayed or served from the cache.
+ * @property {SendHook|SendHook[]} [onSend] - Runs before a JSON result or error response is sent, including cached ones. Redirects, streams and raw strings or buffers are not passed to it.
+ * @property {ErrorHook|ErrorHook[]} [onError] - Runs when any step of the request throws.
+ * @property {ResponseHook|ResponseHook[]} [onResponse] - Runs after the response has been sent.
+ */
+
+const HOOK_NAMES = ['onRequest', 'preHandler', 'onSend', 'onError', 'onResponse'];
+
+/**
+ * Combine server and handler hooks into lists of functions keyed by hook name.
+ * @param {...HandlerHooks} hooksConfigs - In the order they should run.
+ * @returns {Object<string, Function[]>}
+ */
+function mergeHooks(...hooksConfigs) {
+  const mergedHooks = {};
+  HOOK_NAMES.forEach((hookName) => {
+    mergedHooks[hookName] = [];
+  });
+
+  hooksConfigs.forEach((hooksConfig = {}) => {
+    Object.entries(hooksConfig || {}).forEach(([hookName, hooks]) => {
+      if (!mergedHooks[hookName]) {
+        throw new Error(`Unknown hook: ${hookName}. Use one of ${HOOK_NAMES.join(', ')}`);
+      }
+
+      [].concat(hooks || []).forEach((hook) => {
+        if (typeof hook !== 'function') throw new Error(`The ${hookName} hook must be a function`);
+        mergedHooks[hookName].push(hook);
+      });
+    });
+  });
+
+  return mergedHooks;
+}
+
+/**
+ * Run hooks one after the other.
+ * @param {Function[]} hooks
+ * @param {...*} args
+ * @returns {Promise<void>}
+ */
+async function runHooks(hooks, ...args) {
+  for (const hook of hooks) {
+    await hook(...args);
+  }
+}
+
+/**
+ * Run the onSend hooks, passing each the response as changed by the previous ones.
+ * @param {SendHook[]} hooks
+ * @param {import('./create-handler').RequestComponents} requestComponents
+ * @param {OutgoingResponse} response
+ * @returns {Promise<Required<OutgoingResponseUpdate>>} The response to send and the headers to add.
+ */
+async function runSendHooks(hooks, requestComponents, response) {
+  const outgoingResponse = { statusCode: response.statusCode, body: response.body, headers: {} };
+
+  for (const hook of hooks) {
+    const update = await hook(requestComponents, {
+      statusCode: outgoingResponse.statusCode,
+      body: outgoingResponse.body,
+    });
+
+    if (update) {
+      if (update.statusCode) outgoingResponse.statusCode = update.statusCode;
+      if ('body' in update) outgoingResponse.body = update.body;
+      Object.assign(outgoingResponse.headers, update.headers);
+    }
+  }
+
+  return outgoingResponse;
+}
+
+/**
+ * Run the onError hooks. Each may replace the error passed to the next one by returning or throwing it.
+ * @param {ErrorHook[]} hooks
+ * @param {import('./create-handler').RequestComponents} requestComponents
+ * @param {Error} error
+ * @returns {Promise<Error>} The error to respond with.
+ */
+async function runErrorHooks(hooks, requestComponents, error) {
+  let currentError = error;
+
+  for (const hook of hooks) {
+    try {
+      const replacementError = await hook(requestComponents, currentError);
+      if (replacementError instanceof Error) currentError = replacementError;
+    } catch (thrownError) {
+      currentError = thrownError;
+    }
+  }
+
+  return currentError;
+}
+
+module.exports = {
+  HOOK_NAMES,
+  mergeHooks,
+  runHooks,
+  runSendHooks,
+  runErrorHooks,
+};
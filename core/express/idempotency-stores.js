@@ -0,0 +1,125 @@
+/* eslint-disable global-require */
+const { ERROR_CODE } = require('@app-core/errors');
+
+/**
+ * A stored idempotency record.
+ * @typedef {Object} IdempotencyRecord
+ * @property {string} bodyHash - Hash of the body of the first request.
+ * @property {"processing"|"completed"} status
+ * @property {{statusCode: number, body: Object}} [response] - The response sent for the first request once it completes.
+ */
+
+/**
+ * An idempotency store keeps the first response sent for every key.
+ * @typedef {Object} IdempotencyStore
+ * @property {function(string, string, number): Promise<IdempotencyRecord|null>} claim - Create a processing record for the key with the body hash and ttl (ms). Resolves to the existing record if there is one, or null if the key was claimed.
+ * @property {function(string, {statusCode: number, body: Object}): Promise<void>} complete - Save the response for a claimed key.
+ * @property {function(string): Promise<void>} release - Remove a claimed key so the request can be retried.
+ */
+
+/**
+ * Create a store that keeps records in process memory. Meant for tests and single instance setups.
+ * @returns {IdempotencyStore}
+ */
+function createMemoryStore() {
+  const records = new Map();
+
+  function getRecord(key) {
+    const record = records.get(key);
+    if (record && record.expiresAt <= Date.now()) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  }
+
+  return {
+    async claim(key, bodyHash, ttlMs) {
+      const existingRecord = getRecord(key);
+      if (existingRecord) return existingRecord;
+
+      records.set(key, { bodyHash, status: 'processing', expiresAt: Date.now() + ttlMs });
+      return null;
+    },
+    async complete(key, response) {
+      const record = getRecord(key);
+      if (record) Object.assign(record, { status: 'completed', response });
+    },
+    async release(key) {
+      records.delete(key);
+    },
+  };
+}
+
+function toIdempotencyRecord(storedRecord) {
+  return {
+    bodyHash: storedRecord.body_hash,
+    status: storedRecord.status,
+    response: storedRecord.response,
+  };
+}
+
+/**
+ * Create a store that keeps records in the idempotency_keys collection through the repository factory.
+ * @returns {IdempotencyStore}
+ */
+function createMongoStore() {
+  let repository;
+
+  function getRepository() {
+    if (!repository) {
+      const repositoryFactory = require('@app-core/repository-factory');
+      repository = repositoryFactory('IdempotencyKey');
+    }
+    return repository;
+  }
+
+  async function claim(key, bodyHash, ttlMs, isRetry = false) {
+    try {
+      await getRepository().create({
+        key,
+        body_hash: bodyHash,
+        status: 'processing',
+        expires_at: new Date(Date.now() + ttlMs),
+      });
+      return null;
+    } catch (e) {
+      if (e.errorCode !== ERROR_CODE.DUPLRCRD) throw e;
+    }
+
+    const existingRecord = await getRepository().findOne({ query: { key } });
+
+    // The TTL index removes expired records periodically, so they can still be around for a while.
+    if (existingRecord && existingRecord.expires_at > new Date()) {
+      return toIdempotencyRecord(existingRecord);
+    }
+
+    if (isRetry) throw new Error(`Unable to claim idempotency key ${key}`);
+
+    // Only remove the expired record that was read. Another request may have claimed the key since.
+    if (existingRecord) {
+      await getRepository().deleteOne({
+        query: { _id: existingRecord._id, expires_at: existingRecord.expires_at },
+      });
+    }
+    return claim(key, bodyHash, ttlMs, true);
+  }
+
+  return {
+    claim,
+    async complete(key, response) {
+      await getRepository().updateOne({
+        query: { key },
+        updateValues: { status: 'completed', response },
+      });
+    },
+    async release(key) {
+      await getRepository().deleteOne({ query: { key } });
+    },
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+};
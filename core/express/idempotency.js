@@ -0,0 +1,131 @@
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger, requestContext } = require('@app-core/logger');
+const { hash } = require('@app-core/security');
+const parseDuration = require('./parse-duration');
+const { createMemoryStore, createMongoStore } = require('./idempotency-stores');
+
+/**
+ * Idempotency configuration of a handler.
+ * @typedef {Object} IdempotencyConfig
+ * @property {number|string} [ttl="24h"] - How long responses are kept, in milliseconds or as a duration string such as 30m or 24h.
+ * @property {"memory"|"mongo"|import('./idempotency-stores').IdempotencyStore} [store] - Where responses are kept. Defaults to the server idempotency store or memory.
+ */
+
+/**
+ * The outcome of checking the Idempotency-Key of a request.
+ * @typedef {Object} IdempotencyCheck
+ * @property {string} [key] - The claimed store key. Set when the request should be processed.
+ * @property {{statusCode: number, body: Object}} [replay] - The response to send again. Set when the request was already processed.
+ */
+
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+
+const sharedStores = {};
+
+function resolveStore(store = 'memory') {
+  if (typeof store === 'object') return store;
+
+  if (!sharedStores[store]) {
+    if (store === 'mongo') {
+      sharedStores[store] = createMongoStore();
+    } else if (store === 'memory') {
+      sharedStores[store] = createMemoryStore();
+    } else {
+      throw new Error(`Unknown idempotency store: ${store}`);
+    }
+  }
+
+  return sharedStores[store];
+}
+
+/**
+ * Create the idempotency checks for a handler.
+ * Requests with an Idempotency-Key header are processed once per key and body. Retries get the first response again,
+ * the same key with a different body or while the first request is still running fails with IDEMPKEYERR (409).
+ * Failed requests and server errors release the key so they can be retried.
+ * @param {true|IdempotencyConfig} idempotentConfig
+ * @param {string} scope - Namespace for the keys e.g. the handler method and path.
+ * @param {IdempotencyConfig} [serverIdempotencyConfig] - Server wide defaults.
+ */
+function createIdempotency(idempotentConfig, scope, serverIdempotencyConfig = {}) {
+  const { ttl = '24h', store } = {
+    ...serverIdempotencyConfig,
+    ...(idempotentConfig === true ? {} : idempotentConfig),
+  };
+  const ttlMs = parseDuration(ttl);
+  const idempotencyStore = resolveStore(store);
+
+  /**
+   * @param {import('./create-handler').RequestComponents} requestComponents
+   * @returns {Promise<IdempotencyCheck>}
+   */
+  async function check(requestComponents) {
+    const idempotencyKey = requestComponents.headers[IDEMPOTENCY_HEADER];
+    if (!idempotencyKey) return {};
+
+    const user = requestComponents.meta?.user || {};
+    const key = [scope, user.id || user._id, idempotencyKey].filter(Boolean).join(':');
+    const bodyHash = hash.create(JSON.stringify(requestComponents.body || {}), { algo: 'sha256' });
+
+    const existingRecord = await idempotencyStore.claim(key, bodyHash, ttlMs);
+    if (!existingRecord) return { key };
+
+    if (existingRecord.bodyHash !== bodyHash) {
+      throwAppError(
+        'This Idempotency-Key has already been used with a different request body.',
+        ERROR_CODE.IDEMPKEYERR
+      );
+    }
+
+    if (existingRecord.status !== 'completed') {
+      throwAppError(
+        'A request with this Idempotency-Key is still being processed.',
+        ERROR_CODE.IDEMPKEYERR
+      );
+    }
+
+    return { replay: existingRecord.response };
+  }
+
+  /**
+   * Save the response sent for a claimed key. Server errors release the key instead so the request can be retried.
+   * Runs even when the request was aborted, otherwise the key would stay claimed until it expires.
+   * @param {string} key
+   * @param {import('./create-handler').ResponseComponents} responseComponents
+   */
+  async function complete(key, responseComponents) {
+    try {
+      if (responseComponents.statusCode >= 500) {
+        await requestContext.runWithoutCancellation(() => idempotencyStore.release(key));
+        return;
+      }
+
+      await requestContext.runWithoutCancellation(() =>
+        idempotencyStore.complete(key, {
+          statusCode: responseComponents.statusCode,
+          body: responseComponents.body,
+        })
+      );
+    } catch (e) {
+      appLogger.error({ errorMessage: e.message, errorStack: e.stack, key }, 'idempotency-error');
+    }
+  }
+
+  /**
+   * Release a claimed key after the request failed, including when it timed out or the client disconnected.
+   * @param {string} key
+   */
+  async function release(key) {
+    try {
+      await requestContext.runWithoutCancellation(() => idempotencyStore.release(key));
+    } catch (e) {
+      appLogger.error({ errorMessage: e.message, errorStack: e.stack, key }, 'idempotency-error');
+    }
+  }
+
+  return { check, complete, release };
+}
+
+module.exports = {
+  createIdempotency,
+};
@@ -1,7 +1,20 @@
 const createHandler = require('./create-handler');
 const createServer = require('./server');
+const createSocketHandler = require('./create-socket-handler');
+const loadRoutes = require('./load-routes');
+const { normalizeVersion } = require('./versioning');
+const { createProblemFormatter } = require('./error-formatters');
+const { invalidateCache } = require('./response-cache');
+const { broadcast, useSocketAdapter } = require('./socket-rooms');
 
 module.exports = {
   createHandler,
   createServer,
+  createSocketHandler,
+  loadRoutes,
+  normalizeVersion,
+  createProblemFormatter,
+  invalidateCache,
+  broadcast,
+  useSocketAdapter,
 };
@@ -0,0 +1,22 @@
+const createHandler = require('./create-handler');
+
+const JWKS_PATH = '/.well-known/jwks.json';
+
+/**
+ * Create the handler serving the public keys of the JWT key ring so other services can verify our tokens.
+ * The key set is sent raw, without the response envelope handlers use.
+ */
+function createJWKSHandler() {
+  // eslint-disable-next-line global-require
+  const { getJWKS } = require('@app-core/jwt');
+
+  return createHandler({
+    path: JWKS_PATH,
+    method: 'get',
+    async handler() {
+      return { status: 200, data: getJWKS(), raw: true };
+    },
+  });
+}
+
+module.exports = createJWKSHandler;
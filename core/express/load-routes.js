@@ -0,0 +1,130 @@
+/* eslint-disable global-require */
+/* eslint-disable import/no-dynamic-require */
+const fs = require('fs');
+const path = require('path');
+const { normalizeVersion } = require('./versioning');
+
+const FOLDER_CONFIG_FILE = '_config.js';
+
+/**
+ * Settings for the handlers in a folder, read from its _config.js. Subfolders inherit them.
+ * @typedef {Object} RouteFolderConfig
+ * @property {string} [prefix] - The path prefix the folder adds. Defaults to `/<folder name>`; use '' to add none.
+ * @property {import('./create-handler').HandlerConfiguration[]} [middlewares] - Middlewares run before the handler's own, after those of parent folders.
+ * @property {string} [version] - The version of handlers in the folder that do not set one.
+ * @property {boolean|import('./versioning').DeprecationConfig} [deprecated] - Marks handlers in the folder that do not set it as deprecated.
+ * @property {boolean} [auth] - Whether the handlers require an authenticated user. When true, the authMiddleware passed to loadRoutes runs first.
+ */
+
+/**
+ * @typedef {Object} LoadRoutesOptions
+ * @property {string} [prefix=""] - A prefix for every route, e.g. /api.
+ * @property {import('./create-handler').HandlerConfiguration} [authMiddleware] - The middleware added to handlers in folders with auth set to true.
+ */
+
+/**
+ * A handler found by loadRoutes, ready to be added to the server.
+ * @typedef {Object} LoadedRoute
+ * @property {import('./create-handler').HandlerConfiguration} handler - A copy of the exported handler with the folder prefix and middlewares applied.
+ * @property {string} name - The file name without the extension e.g. create-identity.
+ * @property {string} file - The absolute path of the file.
+ * @property {string} prefix - The prefix added to the handler path.
+ * @property {RouteFolderConfig} config - The folder settings that apply to the handler.
+ */
+
+function joinPaths(...segments) {
+  const joinedPath = `/${segments.join('/')}`.replace(/\/{2,}/g, '/');
+  return joinedPath.length > 1 ? joinedPath.replace(/\/$/, '') : joinedPath;
+}
+
+function isRouteFile(fileName) {
+  return fileName.endsWith('.js') && fileName !== 'index.js' && !fileName.startsWith('_');
+}
+
+/**
+ * Find the handlers in a directory and its subdirectories.
+ * Folder names become path prefixes unless a _config.js says otherwise, and files starting with _ and index.js files are skipped.
+ * Throws when two handlers have the same method, path and version.
+ * @param {string} dir - The directory to load, relative to the working directory or absolute.
+ * @param {LoadRoutesOptions} [options]
+ * @returns {LoadedRoute[]}
+ */
+function loadRoutes(dir, options = {}) {
+  const { prefix = '', authMiddleware } = options;
+  const routes = [];
+  const registeredRoutes = {};
+
+  function loadFolder(folderPath, parentPrefix, parentConfig) {
+    const configPath = path.join(folderPath, FOLDER_CONFIG_FILE);
+    const folderConfig = fs.existsSync(configPath) ? require(configPath) : {};
+    const isRootFolder = folderPath === path.resolve(dir);
+
+    const folderPrefix =
+      folderConfig.prefix ?? (isRootFolder ? '' : `/${path.basename(folderPath)}`);
+    const routePrefix = joinPaths(parentPrefix, folderPrefix);
+    const config = {
+      ...parentConfig,
+      ...folderConfig,
+      prefix: routePrefix,
+      middlewares: [...(parentConfig.middlewares || []), ...(folderConfig.middlewares || [])],
+    };
+
+    fs.readdirSync(folderPath, { withFileTypes: true }).forEach((entry) => {
+      const entryPath = path.join(folderPath, entry.name);
+
+      if (entry.isDirectory()) {
+        loadFolder(entryPath, routePrefix, config);
+        return;
+      }
+
+      if (!entry.isFile() || !isRouteFile(entry.name)) return;
+
+      const handler = require(entryPath);
+
+      // Only files exporting a handler with a method and path are routes
+      if (!handler?.method || !handler?.path) return;
+
+      const middlewares = [...config.middlewares, ...(handler.middlewares || [])];
+      if (config.auth && authMiddleware && !middlewares.includes(authMiddleware)) {
+        middlewares.unshift(authMiddleware);
+      }
+
+      const route = {
+        handler: {
+          ...handler,
+          path: routePrefix === '/' ? handler.path : joinPaths(routePrefix, handler.path),
+          middlewares,
+          version: handler.version ?? config.version,
+          deprecated: handler.deprecated ?? config.deprecated,
+        },
+        name: path.basename(entry.name, '.js'),
+        file: entryPath,
+        prefix: routePrefix === '/' ? '' : routePrefix,
+        config,
+      };
+
+      const { method, version } = route.handler;
+      const routeKey = [
+        method.toUpperCase(),
+        route.handler.path,
+        version != null ? `(${normalizeVersion(version)})` : '',
+      ]
+        .join(' ')
+        .trim();
+      if (registeredRoutes[routeKey]) {
+        throw new Error(
+          `Duplicate route ${routeKey} in ${registeredRoutes[routeKey]} and ${entryPath}`
+        );
+      }
+      registeredRoutes[routeKey] = entryPath;
+
+      routes.push(route);
+    });
+  }
+
+  loadFolder(path.resolve(dir), prefix, {});
+
+  return routes;
+}
+
+module.exports = loadRoutes;
@@ -0,0 +1,19 @@
+const ms = require('ms');
+
+/**
+ * Convert a duration to milliseconds.
+ * @param {number|string} duration - Milliseconds or a duration string such as 250, 30s, 15m, 1h or 1d.
+ * @returns {number}
+ */
+function parseDuration(duration) {
+  if (typeof duration === 'number') return duration;
+
+  const durationMs = ms(String(duration).trim());
+  if (typeof durationMs !== 'number' || Number.isNaN(durationMs)) {
+    throw new Error(`Invalid duration: ${duration}`);
+  }
+
+  return durationMs;
+}
+
+module.exports = parseDuration;
@@ -0,0 +1,90 @@
+/* eslint-disable global-require */
+
+/**
+ * Result of incrementing a rate limit counter.
+ * @typedef {Object} RateLimitHit
+ * @property {number} count - Number of hits in the current window, including this one.
+ * @property {number} resetTime - Timestamp (ms) at which the current window ends.
+ */
+
+/**
+ * A rate limit store keeps hit counters per key.
+ * @typedef {Object} RateLimitStore
+ * @property {function(string, number): Promise<RateLimitHit>} increment - Record a hit for the key in a window of the given length (ms).
+ */
+
+/**
+ * Create a store that keeps counters in process memory.
+ * Counters are not shared across instances, so use the redis store when running more than one.
+ * @returns {RateLimitStore}
+ */
+function createMemoryStore() {
+  const hits = new Map();
+
+  const cleanupInterval = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetTime <= now) hits.delete(key);
+    });
+  }, 60_000);
+  cleanupInterval.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = hits.get(key);
+
+      if (!entry || entry.resetTime <= now) {
+        entry = { count: 0, resetTime: now + windowMs };
+        hits.set(key, entry);
+      }
+
+      entry.count += 1;
+      return { count: entry.count, resetTime: entry.resetTime };
+    },
+  };
+}
+
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end
+return { count, redis.call('PTTL', KEYS[1]) }
+`;
+
+/**
+ * @typedef {Object} RedisStoreConfig
+ * @property {string} [url] - The redis connection string. Defaults to the REDIS_URL environment variable used by the queue.
+ * @property {string} [prefix="rl:"] - Prefix added to every counter key.
+ * @property {import('ioredis').Redis} [client] - An existing ioredis client to reuse.
+ */
+
+/**
+ * Create a store that keeps counters in redis, shared by every instance of the app.
+ * @param {RedisStoreConfig} [storeConfig]
+ * @returns {RateLimitStore}
+ */
+function createRedisStore(storeConfig = {}) {
+  const { url = process.env.REDIS_URL, prefix = 'rl:' } = storeConfig;
+  let { client } = storeConfig;
+
+  function getClient() {
+    if (!client) {
+      if (!url) throw new Error('A redis url is required to use the redis rate limit store');
+      const Redis = require('ioredis');
+      client = new Redis(url, { maxRetriesPerRequest: 1 });
+    }
+    return client;
+  }
+
+  return {
+    async increment(key, windowMs) {
+      const [count, ttl] = await getClient().eval(INCREMENT_SCRIPT, 1, `${prefix}${key}`, windowMs);
+      return { count, resetTime: Date.now() + Math.max(ttl, 0) };
+    },
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  createRedisStore,
+};
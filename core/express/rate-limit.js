@@ -0,0 +1,116 @@
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger } = require('@app-core/logger');
+const parseDuration = require('./parse-duration');
+const { createMemoryStore, createRedisStore } = require('./rate-limit-stores');
+
+/**
+ * Function used to build a custom rate limit key from the request.
+ * @callback RateLimitKeyGenerator
+ * @param {import('./create-handler').RequestComponents} requestComponents
+ * @returns {string|Promise<string>}
+ */
+
+/**
+ * Rate limit configuration.
+ * @typedef {Object} RateLimitConfig
+ * @property {number} max - Maximum number of requests allowed per window.
+ * @property {number|string} [window="1m"] - Window length in milliseconds or as a duration string such as 30s, 15m or 1h.
+ * @property {"ip"|"user"|RateLimitKeyGenerator} [key="ip"] - What requests are counted by. "user" uses rc.meta.user and falls back to the IP.
+ * @property {"memory"|"redis"|import('./rate-limit-stores').RateLimitStore} [store="memory"] - Where counters are kept. "redis" uses the REDIS_URL environment variable.
+ * @property {string} [message] - The error message returned once the limit is exceeded.
+ */
+
+const DEFAULT_MESSAGE = 'Too many requests. Please try again later.';
+
+const sharedStores = {};
+
+function resolveStore(store = 'memory') {
+  if (typeof store === 'object') return store;
+
+  if (!sharedStores[store]) {
+    if (store === 'redis') {
+      sharedStores[store] = createRedisStore();
+    } else if (store === 'memory') {
+      sharedStores[store] = createMemoryStore();
+    } else {
+      throw new Error(`Unknown rate limit store: ${store}`);
+    }
+  }
+
+  return sharedStores[store];
+}
+
+function resolveKey(key, requestComponents) {
+  if (typeof key === 'function') return key(requestComponents);
+
+  if (key === 'user') {
+    const user = requestComponents.meta?.user || {};
+    const userId = user.id || user._id;
+    if (userId) return `user:${userId}`;
+  }
+
+  return `ip:${requestComponents.properties?.IP}`;
+}
+
+/**
+ * Create a function that counts a request against the limit and throws RTLIMERR once it is exceeded.
+ * RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers are set on every counted response, and Retry-After on rejected ones.
+ * If the store cannot be reached the request is let through.
+ * @param {RateLimitConfig} rateLimitConfig
+ * @param {string} scope - Namespace for the counters e.g. the handler method and path.
+ * @returns {function(import('./create-handler').RequestComponents, import('express').Response): Promise<void>}
+ */
+function createRateLimiter(rateLimitConfig, scope) {
+  const { max, window = '1m', key = 'ip', store, message = DEFAULT_MESSAGE } = rateLimitConfig;
+
+  if (!(max > 0)) throw new Error(`Rate limit max must be a positive number for ${scope}`);
+
+  const windowMs = parseDuration(window);
+  const rateLimitStore = resolveStore(store);
+
+  return async function applyRateLimit(requestComponents, expressResponse) {
+    let hit;
+
+    try {
+      const requestKey = await resolveKey(key, requestComponents);
+      hit = await rateLimitStore.increment(`${scope}:${requestKey}`, windowMs);
+    } catch (e) {
+      appLogger.error({ errorMessage: e.message, errorStack: e.stack, scope }, 'rate-limit-error');
+      return;
+    }
+
+    const remaining = Math.max(max - hit.count, 0);
+    const resetSeconds = Math.max(Math.ceil((hit.resetTime - Date.now()) / 1000), 0);
+
+    expressResponse.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(remaining),
+      'RateLimit-Reset': String(resetSeconds),
+    });
+
+    if (hit.count > max) {
+      expressResponse.set('Retry-After', String(resetSeconds));
+      throwAppError(message, ERROR_CODE.RTLIMERR, { context: { retry_after: resetSeconds } });
+    }
+  };
+}
+
+/**
+ * Create the server wide rate limiter. It runs before the middlewares authenticate the request, so it can't be keyed by user.
+ * @param {RateLimitConfig} rateLimitConfig
+ * @returns {function(import('./create-handler').RequestComponents, import('express').Response): Promise<void>}
+ */
+function createGlobalRateLimiter(rateLimitConfig) {
+  if (rateLimitConfig.key === 'user') {
+    throw new Error(
+      'The global rate limit is checked before authentication and can\'t use key "user". Set it on the handlers instead'
+    );
+  }
+
+  return createRateLimiter(rateLimitConfig, 'global');
+}
+
+module.exports = {
+  createRateLimiter,
+  createGlobalRateLimiter,
+};
@@ -0,0 +1,63 @@
+/* eslint-disable global-require */
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+
+/**
+ * @typedef {Object} BodyParserConfig
+ * @property {string|number} limit - The largest JSON body accepted, in bytes or as a size such as 100kb or 5mb.
+ * @property {string[]} [contentTypes] - The content types a request body may have e.g. ['application/json', 'multipart/form-data']. Any type is accepted when unset.
+ */
+
+const INVALID_BODY_MESSAGE =
+  'Error encountered in parsing request payload. Please check payload and try again';
+
+/**
+ * Create the parser of a handler's request bodies. JSON bodies are parsed onto the request, and other types are left for the handler or upload parser.
+ * Bodies over the limit fail with BODYTOOLARGE (413), bodies of types not in contentTypes with MEDIATYPEERR (415) and malformed JSON with INVLDDATA (400).
+ * @param {BodyParserConfig} bodyParserConfig
+ * @returns {function(import('express').Request, import('express').Response): Promise<void>}
+ */
+function createBodyParser(bodyParserConfig) {
+  const express = require('express');
+  const { limit, contentTypes } = bodyParserConfig;
+  const parseJSON = express.json({ limit });
+
+  return async function parseRequestBody(expressRequest, expressResponse) {
+    // Requests without a body, including empty ones, are always accepted
+    const hasBody =
+      expressRequest.headers['transfer-encoding'] !== undefined ||
+      Number(expressRequest.headers['content-length']) > 0;
+
+    if (contentTypes && hasBody && !expressRequest.is(contentTypes)) {
+      throwAppError(
+        `Unsupported content type ${expressRequest.headers['content-type']}. Send one of ${contentTypes.join(', ')}`,
+        ERROR_CODE.MEDIATYPEERR
+      );
+    }
+
+    try {
+      await new Promise((resolve, reject) => {
+        parseJSON(expressRequest, expressResponse, (error) => (error ? reject(error) : resolve()));
+      });
+    } catch (error) {
+      if (error.type === 'entity.too.large') {
+        throwAppError(
+          `The request body is larger than the ${limit} allowed.`,
+          ERROR_CODE.BODYTOOLARGE,
+          { context: { limit } }
+        );
+      }
+      if (error.type === 'charset.unsupported' || error.type === 'encoding.unsupported') {
+        throwAppError(error.message, ERROR_CODE.MEDIATYPEERR);
+      }
+      if (error.status < 500) {
+        throwAppError(INVALID_BODY_MESSAGE, ERROR_CODE.INVLDDATA);
+      }
+
+      throw error;
+    }
+  };
+}
+
+module.exports = {
+  createBodyParser,
+};
@@ -0,0 +1,83 @@
+const { ERROR_CODE } = require('@app-core/errors');
+
+/**
+ * Cancellation state of a request.
+ * @typedef {Object} RequestAbortState
+ * @property {AbortSignal} signal - Aborted with a REQUEST_TIMEOUT error when the timeout elapses, or a REQUEST_ABORTED error when the client disconnects.
+ * @property {number} [deadline] - Timestamp (ms) at which the request times out. Not set without a timeout.
+ * @property {function(): void} cleanup - Clears the timer and listeners once the request is done.
+ */
+
+function createAbortError(message, errorCode) {
+  const error = new Error(message);
+  error.isApplicationError = true;
+  error.errorCode = errorCode;
+  return error;
+}
+
+/**
+ * Create the abort signal of a request. It is aborted when the timeout elapses or the client disconnects before the response is sent.
+ * @param {import('express').Response} expressResponse
+ * @param {number} [timeoutMs] - Milliseconds the request may take. No timeout when not set.
+ * @returns {RequestAbortState}
+ */
+function createRequestAbortState(expressResponse, timeoutMs) {
+  const abortController = new AbortController();
+  let timeout;
+
+  const onClose = () => {
+    if (!expressResponse.writableFinished) {
+      abortController.abort(
+        createAbortError('The client closed the connection.', ERROR_CODE.REQABORTED)
+      );
+    }
+  };
+  expressResponse.once('close', onClose);
+
+  if (timeoutMs > 0) {
+    timeout = setTimeout(() => {
+      abortController.abort(
+        createAbortError(
+          `The request did not complete within ${timeoutMs}ms.`,
+          ERROR_CODE.TIMEOUTERR
+        )
+      );
+    }, timeoutMs);
+  }
+
+  return {
+    signal: abortController.signal,
+    deadline: timeoutMs > 0 ? Date.now() + timeoutMs : undefined,
+    cleanup() {
+      clearTimeout(timeout);
+      expressResponse.removeListener('close', onClose);
+    },
+  };
+}
+
+/**
+ * Wait for a promise, rejecting with the abort reason as soon as the signal is aborted.
+ * The promise keeps running, so work that can be cancelled should also be given the signal.
+ * @template T
+ * @param {AbortSignal} signal
+ * @param {Promise<T>|T} promise
+ * @returns {Promise<T>}
+ */
+function untilAborted(signal, promise) {
+  if (signal.aborted) return Promise.reject(signal.reason);
+
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+  return Promise.race([promise, aborted]).finally(() => {
+    signal.removeEventListener('abort', onAbort);
+  });
+}
+
+module.exports = {
+  createRequestAbortState,
+  untilAborted,
+};
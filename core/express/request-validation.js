@@ -0,0 +1,141 @@
+const validator = require('@app-core/validator');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+
+/**
+ * Map of request components to the handler configuration field holding their VSL spec.
+ */
+const REQUEST_SPEC_FIELDS = {
+  headers: 'headersSpec',
+  params: 'paramsSpec',
+  query: 'querySpec',
+  body: 'bodySpec',
+};
+
+// Values in these components always arrive as strings, so they are coerced before validation.
+const STRING_ONLY_COMPONENTS = { headers: true, params: true, query: true };
+
+/**
+ * Parsed VSL specs keyed by the request component they validate.
+ * @typedef {Object} ParsedRequestSpecs
+ * @property {Object} [headers]
+ * @property {Object} [params]
+ * @property {Object} [query]
+ * @property {Object} [body]
+ */
+
+/**
+ * Parse the request specs declared on a handler configuration.
+ * Specs may be passed as VSL strings or as already parsed specs.
+ * @param {import('./create-handler').HandlerConfiguration} handlerConfiguration
+ * @returns {ParsedRequestSpecs}
+ */
+function parseRequestSpecs(handlerConfiguration) {
+  const parsedSpecs = {};
+
+  Object.entries(REQUEST_SPEC_FIELDS).forEach(([component, specField]) => {
+    const spec = handlerConfiguration[specField];
+
+    if (!spec) return;
+
+    const parsedSpec = typeof spec === 'string' ? validator.parse(spec) : spec;
+
+    if (!parsedSpec?.root) {
+      throw new Error(
+        `Invalid ${specField} for ${handlerConfiguration.method} ${handlerConfiguration.path}: a root node is required`
+      );
+    }
+
+    parsedSpecs[component] = parsedSpec;
+  });
+
+  return parsedSpecs;
+}
+
+function coerceValue(value, dataType) {
+  if (typeof value !== 'string') return value;
+
+  if (dataType === 'number' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+
+  if (dataType === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+
+  return value;
+}
+
+/**
+ * Convert string values to the number and boolean types declared in the spec.
+ * @param {Object} data
+ * @param {Object} specNodes - The children of a parsed spec node.
+ * @returns {Object}
+ */
+function coerceStringValues(data, specNodes) {
+  if (!data || typeof data !== 'object') return data;
+
+  const coercedData = { ...data };
+
+  Object.entries(specNodes).forEach(([key, node]) => {
+    const value = coercedData[key];
+
+    if (typeof value === 'undefined') return;
+
+    if (node.dataType === 'array' && Array.isArray(value)) {
+      coercedData[key] = value.map((v) => coerceValue(v, node.arrayChildrenType));
+    } else if (Object.keys(node.children || {}).length) {
+      coercedData[key] = coerceStringValues(value, node.children);
+    } else {
+      coercedData[key] = coerceValue(value, node.dataType);
+    }
+  });
+
+  return coercedData;
+}
+
+/**
+ * Validate and transform the request components that have a spec.
+ * Every failing field across all components is reported in a single VALIDATIONERR error.
+ * @param {import('./create-handler').RequestComponents} requestComponents
+ * @param {ParsedRequestSpecs} parsedSpecs
+ * @returns {Object} - The validated request components.
+ * @throws
+ */
+function validateRequestComponents(requestComponents, parsedSpecs) {
+  const validatedComponents = {};
+  const errors = [];
+
+  Object.entries(parsedSpecs).forEach(([component, parsedSpec]) => {
+    let data = requestComponents[component] || {};
+
+    // Multipart form fields are strings too
+    const isMultipartBody = component === 'body' && !!requestComponents.files;
+    if (STRING_ONLY_COMPONENTS[component] || isMultipartBody) {
+      data = coerceStringValues(data, parsedSpec.root.children);
+    }
+
+    try {
+      const validatedData = validator.validate(data, parsedSpec, { collectAll: true });
+
+      // Headers are validated but not stripped, so unrelated headers remain available.
+      validatedComponents[component] =
+        component === 'headers' ? { ...data, ...validatedData } : validatedData;
+    } catch (error) {
+      (error.details || []).forEach((detail) => {
+        errors.push({ ...detail, location: component });
+      });
+    }
+  });
+
+  if (errors.length) {
+    throwAppError(errors[0].message, ERROR_CODE.VALIDATIONERR, { details: errors });
+  }
+
+  return validatedComponents;
+}
+
+module.exports = {
+  REQUEST_SPEC_FIELDS,
+  parseRequestSpecs,
+  validateRequestComponents,
+};
@@ -0,0 +1,157 @@
+/* eslint-disable global-require */
+
+/**
+ * A cached response.
+ * @typedef {Object} CacheEntry
+ * @property {number} statusCode
+ * @property {Object} body - The JSON body that was sent.
+ * @property {Object<string, string>} [headers] - Headers set by the handler result.
+ * @property {string} etag - The ETag of the body.
+ */
+
+/**
+ * A cache store keeps responses per key and can drop every response with a tag.
+ * @typedef {Object} CacheStore
+ * @property {function(string): Promise<CacheEntry|null>} get - Get the entry for a key, or null if there is none or it expired.
+ * @property {function(string, CacheEntry, number, string[]): Promise<void>} set - Save an entry for a key with a ttl (ms) and tags.
+ * @property {function(string[]): Promise<void>} invalidateTags - Remove every entry saved with any of the tags.
+ */
+
+/**
+ * @typedef {Object} MemoryCacheStoreConfig
+ * @property {number} [maxEntries=1000] - Entries kept before the least recently used ones are dropped.
+ */
+
+/**
+ * Create a store that keeps responses in process memory, dropping the least recently used ones once full.
+ * Entries are not shared across instances, so use the redis store when running more than one.
+ * @param {MemoryCacheStoreConfig} [storeConfig]
+ * @returns {CacheStore}
+ */
+function createMemoryStore(storeConfig = {}) {
+  const { maxEntries = 1000 } = storeConfig;
+  const entries = new Map();
+  const taggedKeys = new Map();
+
+  function remove(key) {
+    const stored = entries.get(key);
+    if (!stored) return;
+
+    entries.delete(key);
+    stored.tags.forEach((tag) => {
+      taggedKeys.get(tag)?.delete(key);
+      if (!taggedKeys.get(tag)?.size) taggedKeys.delete(tag);
+    });
+  }
+
+  return {
+    async get(key) {
+      const stored = entries.get(key);
+      if (!stored) return null;
+
+      if (stored.expiresAt <= Date.now()) {
+        remove(key);
+        return null;
+      }
+
+      // Map keeps insertion order, so re-inserting marks the entry as recently used
+      entries.delete(key);
+      entries.set(key, stored);
+      return JSON.parse(stored.entry);
+    },
+    async set(key, entry, ttlMs, tags = []) {
+      remove(key);
+      // Kept serialized so changes made to a response after it is sent or read don't leak into the cache
+      entries.set(key, { entry: JSON.stringify(entry), tags, expiresAt: Date.now() + ttlMs });
+      tags.forEach((tag) => {
+        if (!taggedKeys.has(tag)) taggedKeys.set(tag, new Set());
+        taggedKeys.get(tag).add(key);
+      });
+
+      while (entries.size > maxEntries) {
+        remove(entries.keys().next().value);
+      }
+    },
+    async invalidateTags(tags) {
+      tags.forEach((tag) => {
+        [...(taggedKeys.get(tag) || [])].forEach(remove);
+      });
+    },
+  };
+}
+
+/**
+ * @typedef {Object} RedisCacheStoreConfig
+ * @property {string} [url] - The redis connection string. Defaults to the REDIS_URL environment variable used by the queue.
+ * @property {string} [prefix="rc:"] - Prefix added to every key.
+ * @property {import('ioredis').Redis} [client] - An existing ioredis client to reuse.
+ */
+
+const DELETE_BATCH_SIZE = 500;
+
+// Extends the ttl of a tag set without ever shortening it. PEXPIRE's NX and GT flags do the same but need redis 7
+const EXTEND_TTL_SCRIPT = `
+  if redis.call('PTTL', KEYS[1]) < tonumber(ARGV[1]) then
+    redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  end
+`;
+
+/**
+ * Create a store that keeps responses in redis, shared by every instance of the app.
+ * Each tag is a set of the keys saved with it.
+ * @param {RedisCacheStoreConfig} [storeConfig]
+ * @returns {CacheStore}
+ */
+function createRedisStore(storeConfig = {}) {
+  const { url = process.env.REDIS_URL, prefix = 'rc:' } = storeConfig;
+  let { client } = storeConfig;
+
+  function getClient() {
+    if (!client) {
+      if (!url) throw new Error('A redis url is required to use the redis cache store');
+      const Redis = require('ioredis');
+      client = new Redis(url, { maxRetriesPerRequest: 1 });
+    }
+    return client;
+  }
+
+  const getTagKey = (tag) => `${prefix}tag:${tag}`;
+
+  return {
+    async get(key) {
+      const storedEntry = await getClient().get(`${prefix}${key}`);
+      return storedEntry ? JSON.parse(storedEntry) : null;
+    },
+    async set(key, entry, ttlMs, tags = []) {
+      const transaction = getClient()
+        .multi()
+        .set(`${prefix}${key}`, JSON.stringify(entry), 'PX', ttlMs);
+
+      // Tag sets live as long as the longest lived entry in them; members that expired are harmless
+      tags.forEach((tag) => {
+        transaction
+          .sadd(getTagKey(tag), `${prefix}${key}`)
+          .eval(EXTEND_TTL_SCRIPT, 1, getTagKey(tag), ttlMs);
+      });
+
+      await transaction.exec();
+    },
+    async invalidateTags(tags) {
+      const redis = getClient();
+      const keys = await Promise.all(tags.map((tag) => redis.smembers(getTagKey(tag))));
+      const keysToDelete = [...new Set(keys.flat()), ...tags.map(getTagKey)];
+
+      // Popular tags can hold many keys, so they are unlinked in batches rather than in one long blocking command
+      const pipeline = redis.pipeline();
+      for (let index = 0; index < keysToDelete.length; index += DELETE_BATCH_SIZE) {
+        pipeline.unlink(...keysToDelete.slice(index, index + DELETE_BATCH_SIZE));
+      }
+      await pipeline.exec();
+    },
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  createRedisStore,
+};
@@ -0,0 +1,212 @@
+const { appLogger } = require('@app-core/logger');
+const { hash } = require('@app-core/security');
+const parseDuration = require('./parse-duration');
+const { createMemoryStore, createRedisStore } = require('./response-cache-stores');
+
+/**
+ * Response cache configuration of a handler.
+ * @typedef {Object} CacheConfig
+ * @property {number|string} [ttl="60s"] - How long responses are kept, in milliseconds or as a duration string such as 30s or 5m.
+ * @property {function(import('./create-handler').RequestComponents): string|Promise<string>} [key] - Builds the cache key of a request, shared by every caller that gets the same key. Defaults to the request params and query, per user and Authorization header.
+ * @property {string[]} [varyBy] - Request headers the response differs by e.g. ['accept-language']. Use "user" with a custom key for responses that differ per authenticated user.
+ * @property {string[]|function(import('./create-handler').RequestComponents, *): string[]} [tags] - Tags passed to invalidateCache to drop the cached responses. A function gets the request and the response data e.g. (rc) => [`product:${rc.params.id}`].
+ * @property {"memory"|"redis"|import('./response-cache-stores').CacheStore} [store] - Where responses are kept. Defaults to the server cache store or memory.
+ */
+
+/**
+ * The outcome of looking up the cached response of a request.
+ * @typedef {Object} CacheLookup
+ * @property {string} [key] - The store key. Set when the response should be saved after the handler runs.
+ * @property {import('./response-cache-stores').CacheEntry} [entry] - The cached response. Set on a hit.
+ */
+
+const sharedStores = {};
+// Every store a handler caches in, so invalidateCache reaches custom stores too
+const usedStores = new Set();
+
+function resolveStore(store = 'memory') {
+  if (typeof store === 'object') return store;
+
+  if (!sharedStores[store]) {
+    if (store === 'redis') {
+      sharedStores[store] = createRedisStore();
+    } else if (store === 'memory') {
+      sharedStores[store] = createMemoryStore();
+    } else {
+      throw new Error(`Unknown cache store: ${store}`);
+    }
+  }
+
+  return sharedStores[store];
+}
+
+function sortEntries(value = {}) {
+  return Object.keys(value)
+    .sort()
+    .map((key) => [key, value[key]]);
+}
+
+/**
+ * Create the ETag of a response body.
+ * @param {*} body
+ * @returns {string}
+ */
+function createETag(body) {
+  return `"${hash.create(JSON.stringify(body), { algo: 'sha256' })}"`;
+}
+
+/**
+ * Check if an If-None-Match header matches an ETag, in which case the client's copy is current and a 304 is sent.
+ * @param {string} [ifNoneMatch] - The If-None-Match request header.
+ * @param {string} etag
+ * @returns {boolean}
+ */
+function isNotModified(ifNoneMatch, etag) {
+  if (!ifNoneMatch) return false;
+  if (ifNoneMatch.trim() === '*') return true;
+
+  // If-None-Match uses the weak comparison, so W/ prefixes are ignored
+  const stripWeakPrefix = (tag) => tag.trim().replace(/^W\//, '');
+  return ifNoneMatch.split(',').some((tag) => stripWeakPrefix(tag) === stripWeakPrefix(etag));
+}
+
+/**
+ * Create the response cache of a GET handler.
+ * Successful JSON responses are kept per key for the ttl and sent again, with an ETag, without running the handler.
+ * Cache store errors are logged and the request is processed as if nothing was cached.
+ * @param {true|CacheConfig} cacheConfig
+ * @param {string} scope - Namespace for the keys e.g. the handler method, path and version.
+ * @param {CacheConfig} [serverCacheConfig] - Server wide defaults.
+ */
+function createResponseCache(cacheConfig, scope, serverCacheConfig = {}) {
+  const {
+    ttl = '60s',
+    key,
+    varyBy = [],
+    tags = [],
+    store,
+  } = {
+    ...serverCacheConfig,
+    ...(cacheConfig === true ? {} : cacheConfig),
+  };
+  const ttlMs = parseDuration(ttl);
+  const cacheStore = resolveStore(store);
+  const varyHeaders = varyBy.filter((field) => field !== 'user').map((h) => h.toLowerCase());
+  usedStores.add(cacheStore);
+
+  async function buildKey(requestComponents) {
+    const user = requestComponents.meta?.user || {};
+    const userId = user.id || user._id || '';
+
+    // Without a key, responses are never shared between callers as they may hold data only the caller can see
+    const requestKey =
+      typeof key === 'function'
+        ? await key(requestComponents)
+        : JSON.stringify([
+            sortEntries(requestComponents.params),
+            sortEntries(requestComponents.query),
+            userId,
+            requestComponents.headers.authorization || '',
+          ]);
+    const varyValues = varyHeaders.map((header) => requestComponents.headers[header] || '');
+
+    if (varyBy.includes('user')) {
+      varyValues.push(userId);
+    }
+
+    return `${scope}:${hash.create(JSON.stringify([requestKey, varyValues]), { algo: 'sha256' })}`;
+  }
+
+  /**
+   * @param {import('./create-handler').RequestComponents} requestComponents
+   * @returns {Promise<CacheLookup>}
+   */
+  async function lookup(requestComponents) {
+    let cacheKey;
+
+    try {
+      cacheKey = await buildKey(requestComponents);
+      const entry = await cacheStore.get(cacheKey);
+      return entry ? { key: cacheKey, entry } : { key: cacheKey };
+    } catch (e) {
+      appLogger.error(
+        { errorMessage: e.message, errorStack: e.stack, key: cacheKey },
+        'response-cache-error'
+      );
+      return {};
+    }
+  }
+
+  /**
+   * Save the response of a request that missed the cache.
+   * @param {string} cacheKey
+   * @param {import('./create-handler').RequestComponents} requestComponents
+   * @param {import('./create-handler').ResponseComponents} responseComponents
+   * @param {import('./create-handler').HandlerResult} result
+   * @returns {Promise<string>} The ETag of the response.
+   */
+  async function save(cacheKey, requestComponents, responseComponents, result) {
+    const etag = createETag(responseComponents.body);
+
+    try {
+      const entryTags =
+        typeof tags === 'function' ? await tags(requestComponents, result.data) : tags;
+      await cacheStore.set(
+        cacheKey,
+        {
+          statusCode: responseComponents.statusCode,
+          body: responseComponents.body,
+          headers: result.headers,
+          etag,
+        },
+        ttlMs,
+        [].concat(entryTags || [])
+      );
+    } catch (e) {
+      appLogger.error(
+        { errorMessage: e.message, errorStack: e.stack, key: cacheKey },
+        'response-cache-error'
+      );
+    }
+
+    return etag;
+  }
+
+  return { lookup, save, varyHeaders };
+}
+
+/**
+ * Drop every cached response saved with any of the tags, e.g. after a repository write changes the data they were built from.
+ * By default the tags are cleared in the stores this process's handlers cache in. Processes that don't serve the cached
+ * handlers, such as workers, pass the stores to clear e.g. { stores: ['redis'] }. Memory stores can only be cleared by their own process.
+ * Store errors are logged rather than thrown so a cache outage doesn't fail the write.
+ * @param {string|string[]} tags
+ * @param {Object} [options]
+ * @param {Array<"memory"|"redis"|import('./response-cache-stores').CacheStore>} [options.stores] - The stores to clear instead.
+ * @returns {Promise<void>}
+ */
+async function invalidateCache(tags, options = {}) {
+  const tagList = [].concat(tags || []);
+  if (!tagList.length) return;
+
+  const cacheStores = options.stores ? new Set(options.stores.map(resolveStore)) : usedStores;
+
+  await Promise.all(
+    [...cacheStores].map(async (cacheStore) => {
+      try {
+        await cacheStore.invalidateTags(tagList);
+      } catch (e) {
+        appLogger.error(
+          { errorMessage: e.message, errorStack: e.stack, tags: tagList },
+          'response-cache-error'
+        );
+      }
+    })
+  );
+}
+
+module.exports = {
+  createResponseCache,
+  invalidateCache,
+  isNotModified,
+};
@@ -0,0 +1,200 @@
+const validator = require('@app-core/validator');
+const { appLogger } = require('@app-core/logger');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+
+/**
+ * VSL specs for the response data, keyed by status code e.g. { 200: 'root { id string }' }.
+ * Use the default key for status codes without their own spec.
+ * @typedef {Object<string, string|Object>} ResponseSpecMap
+ */
+
+/**
+ * A parsed response spec. The root node describes the data field of the response.
+ * @typedef {Object} ParsedResponseSpec
+ * @property {Object} root
+ * @property {string} [description] - The message of the response block it was read from.
+ * @property {string} [status] - The status of the response block it was read from.
+ */
+
+/**
+ * Parsed response specs keyed by status code.
+ * @typedef {Object<string, ParsedResponseSpec>} ParsedResponseSpecs
+ */
+
+/**
+ * How responses that don't match their spec are handled. "error" logs the failing fields and fails the request with a generic 500,
+ * and "warn" logs a warning and sends the data stripped of unknown fields.
+ * @typedef {"error"|"warn"} ResponseValidationMode
+ */
+
+const STATUS_CODE_KEY_REGEX = /^(\d{3}|default)$/;
+
+function getLiteral(node) {
+  return node?.literalValue ?? node?.dataType;
+}
+
+function isResponseSpecMap(responseSpec) {
+  return (
+    typeof responseSpec === 'object' &&
+    Object.keys(responseSpec).every((key) => STATUS_CODE_KEY_REGEX.test(key))
+  );
+}
+
+/**
+ * Read the response.<name> blocks of an endpoint spec e.g. response.ok { http.code 200 ... data { ... } }.
+ * Blocks without data are skipped, and blocks without http.code are skipped unless they are response.ok.
+ */
+function getEndpointResponseSpecs(endpointNode) {
+  const children = endpointNode.children || {};
+  const parsedSpecs = {};
+
+  // Name METHOD /path { response { ... } } endpoints only declare the successful response
+  if (endpointNode.isEndpoint && children.response) {
+    parsedSpecs[200] = { root: children.response };
+    return parsedSpecs;
+  }
+
+  Object.keys(children)
+    .filter((key) => key.startsWith('response.'))
+    .forEach((key) => {
+      const responseNode = children[key].children || {};
+      const statusCode = getLiteral(responseNode['http.code']) || (key === 'response.ok' && 200);
+
+      if (!statusCode || !responseNode.data) return;
+
+      parsedSpecs[statusCode] = {
+        root: responseNode.data,
+        description: getLiteral(responseNode.message),
+        status: getLiteral(responseNode.status),
+      };
+    });
+
+  return parsedSpecs;
+}
+
+function findEndpointNode(AST, handlerConfiguration) {
+  const endpointNodes = Object.values(AST).filter((node) => {
+    const children = node.children || {};
+    return (
+      (node.isEndpoint && children.response) ||
+      Object.keys(children).some((key) => key.startsWith('response.'))
+    );
+  });
+
+  // A spec file may declare several endpoints, so prefer the one for this handler
+  const { method, path } = handlerConfiguration;
+  const matchingNode = endpointNodes.find((node) => {
+    const nodeMethod = node.http_method || getLiteral(node.children.method);
+    const nodePath = node.http_path || getLiteral(node.children.path);
+    return String(nodeMethod).toLowerCase() === String(method).toLowerCase() && nodePath === path;
+  });
+
+  return matchingNode || (endpointNodes.length === 1 ? endpointNodes[0] : null);
+}
+
+/**
+ * Parse the responseSpec declared on a handler configuration.
+ * It may be a map of status codes to VSL specs, or an endpoint spec (as VSL or already parsed) whose response blocks are reused.
+ * @param {import('./create-handler').HandlerConfiguration} handlerConfiguration
+ * @returns {ParsedResponseSpecs|null}
+ */
+function parseResponseSpecs(handlerConfiguration) {
+  const { responseSpec, method, path } = handlerConfiguration;
+
+  if (!responseSpec) return null;
+
+  if (isResponseSpecMap(responseSpec)) {
+    const parsedSpecs = {};
+
+    Object.entries(responseSpec).forEach(([statusCode, spec]) => {
+      const parsedSpec = typeof spec === 'string' ? validator.parse(spec) : spec;
+
+      if (!parsedSpec?.root) {
+        throw new Error(
+          `Invalid responseSpec for ${method} ${path} ${statusCode}: a root node is required`
+        );
+      }
+
+      parsedSpecs[statusCode] = parsedSpec;
+    });
+
+    return parsedSpecs;
+  }
+
+  const AST = typeof responseSpec === 'string' ? validator.parse(responseSpec) : responseSpec;
+  const endpointNode = findEndpointNode(AST, handlerConfiguration);
+
+  if (!endpointNode) {
+    throw new Error(
+      `Invalid responseSpec for ${method} ${path}: no endpoint with response blocks was found`
+    );
+  }
+
+  return getEndpointResponseSpecs(endpointNode);
+}
+
+/**
+ * Keep only the fields declared in the spec. Used when the data is sent despite failing validation.
+ * @param {*} data
+ * @param {Object} specNodes - The children of a parsed spec node.
+ * @returns {*}
+ */
+function stripUnknownFields(data, specNodes) {
+  if (Array.isArray(data)) return data.map((item) => stripUnknownFields(item, specNodes));
+  if (!data || typeof data !== 'object') return data;
+
+  const strippedData = {};
+
+  Object.entries(specNodes).forEach(([key, node]) => {
+    if (!(key in data)) return;
+
+    strippedData[key] = Object.keys(node.children || {}).length
+      ? stripUnknownFields(data[key], node.children)
+      : data[key];
+  });
+
+  return strippedData;
+}
+
+/**
+ * Create a function that validates the data of a response against the spec for its status code and returns it without unknown fields.
+ * Status codes without a spec, and without a default one, are sent as they are.
+ * @param {ParsedResponseSpecs} parsedSpecs
+ * @param {ResponseValidationMode} mode
+ * @param {string} handlerName - The handler method and path, used in errors and logs.
+ * @returns {function(number, *): *}
+ */
+function createResponseValidator(parsedSpecs, mode, handlerName) {
+  return function validateResponseData(statusCode, data) {
+    const parsedSpec = parsedSpecs[statusCode] || parsedSpecs.default;
+
+    if (!parsedSpec) return data;
+
+    try {
+      return validator.validate(data || {}, parsedSpec, { collectAll: true });
+    } catch (error) {
+      const details = error.details || [];
+
+      // The failing fields describe internals of the handler, so they are logged rather than sent to the client
+      if (mode === 'error') {
+        appLogger.error(
+          { handler: handlerName, statusCode, errorMessage: error.message, errors: details },
+          'response-validation-failed'
+        );
+        throwAppError('Some error occurred.', ERROR_CODE.APPERR);
+      }
+
+      appLogger.warn(
+        { handler: handlerName, statusCode, errors: details },
+        'response-validation-failed'
+      );
+
+      return stripUnknownFields(data, parsedSpec.root.children || {});
+    }
+  };
+}
+
+module.exports = {
+  parseResponseSpecs,
+  createResponseValidator,
+};
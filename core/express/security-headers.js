@@ -0,0 +1,59 @@
+/**
+ * Security headers sent with every response. Set a header to false to leave it out.
+ * @typedef {Object} SecurityHeadersConfig
+ * @property {boolean|{maxAge?: number, includeSubDomains?: boolean, preload?: boolean}} [hsts=true] - Strict-Transport-Security. Defaults to 180 days including subdomains.
+ * @property {boolean|string} [contentSecurityPolicy=true] - Content-Security-Policy. Defaults to a policy that loads nothing, which suits JSON APIs.
+ * @property {boolean|"DENY"|"SAMEORIGIN"} [frameOptions="DENY"] - X-Frame-Options.
+ * @property {boolean} [noSniff=true] - X-Content-Type-Options: nosniff.
+ * @property {boolean|string} [referrerPolicy="no-referrer"] - Referrer-Policy.
+ */
+
+const DEFAULT_HSTS_MAX_AGE = 15552000;
+const DEFAULT_CONTENT_SECURITY_POLICY = "default-src 'none'; frame-ancestors 'none'";
+
+function getHSTSHeader(hsts) {
+  const {
+    maxAge = DEFAULT_HSTS_MAX_AGE,
+    includeSubDomains = true,
+    preload = false,
+  } = typeof hsts === 'object' ? hsts : {};
+  const directives = [`max-age=${maxAge}`];
+
+  if (includeSubDomains) directives.push('includeSubDomains');
+  if (preload) directives.push('preload');
+
+  return directives.join('; ');
+}
+
+/**
+ * Build the security headers for the securityHeaders server option.
+ * @param {true|SecurityHeadersConfig} securityHeadersConfig
+ * @returns {Object<string, string>}
+ */
+function getSecurityHeaders(securityHeadersConfig) {
+  const {
+    hsts = true,
+    contentSecurityPolicy = true,
+    frameOptions = 'DENY',
+    noSniff = true,
+    referrerPolicy = 'no-referrer',
+  } = securityHeadersConfig === true ? {} : securityHeadersConfig;
+  const headers = {};
+
+  if (hsts) headers['Strict-Transport-Security'] = getHSTSHeader(hsts);
+  if (contentSecurityPolicy) {
+    headers['Content-Security-Policy'] =
+      contentSecurityPolicy === true ? DEFAULT_CONTENT_SECURITY_POLICY : contentSecurityPolicy;
+  }
+  if (frameOptions) headers['X-Frame-Options'] = frameOptions === true ? 'DENY' : frameOptions;
+  if (noSniff) headers['X-Content-Type-Options'] = 'nosniff';
+  if (referrerPolicy) {
+    headers['Referrer-Policy'] = referrerPolicy === true ? 'no-referrer' : referrerPolicy;
+  }
+
+  return headers;
+}
+
+module.exports = {
+  getSecurityHeaders,
+};
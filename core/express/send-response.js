@@ -0,0 +1,152 @@
+const { appLogger } = require('@app-core/logger');
+
+const SSE_CONTENT_TYPE = 'text/event-stream';
+
+/**
+ * A cookie to set on the response. Options are passed to express' res.cookie e.g. httpOnly, secure, maxAge.
+ * @typedef {Object} ResponseCookie
+ * @property {string} value
+ */
+
+/**
+ * An event sent on a text/event-stream response. Strings are sent as the data of an event.
+ * @typedef {Object} ServerSentEvent
+ * @property {*} data - Sent as is when a string, otherwise as JSON.
+ * @property {string} [event] - The event type.
+ * @property {string} [id] - The event id, sent back by the client as Last-Event-ID when it reconnects.
+ * @property {number} [retry] - How long the client should wait before reconnecting, in milliseconds.
+ */
+
+/**
+ * Format an event in the Server-Sent Events wire format.
+ * @param {ServerSentEvent|string} serverSentEvent
+ * @returns {string}
+ */
+function formatServerSentEvent(serverSentEvent) {
+  const { data, event, id, retry } =
+    typeof serverSentEvent === 'string' ? { data: serverSentEvent } : serverSentEvent;
+  const lines = [];
+
+  if (event) lines.push(`event: ${event}`);
+  if (id !== undefined) lines.push(`id: ${id}`);
+  if (retry !== undefined) lines.push(`retry: ${retry}`);
+
+  const text = typeof data === 'string' ? data : JSON.stringify(data);
+  text.split(/\r?\n/).forEach((line) => lines.push(`data: ${line}`));
+
+  return `${lines.join('\n')}\n\n`;
+}
+
+/**
+ * Check if a handler result is sent as JSON, either in the status/message/data envelope or as raw JSON.
+ * @param {import('./create-handler').HandlerResult} result
+ * @returns {boolean}
+ */
+function isJSONResult(result) {
+  if (result.redirect || result.stream) return false;
+  return !result.raw || !(Buffer.isBuffer(result.data) || typeof result.data === 'string');
+}
+
+function setCookies(expressResponse, cookies) {
+  Object.entries(cookies).forEach(([name, cookie]) => {
+    if (cookie === null) {
+      expressResponse.clearCookie(name);
+    } else if (typeof cookie === 'object') {
+      const { value, ...cookieOptions } = cookie;
+      expressResponse.cookie(name, value, cookieOptions);
+    } else {
+      expressResponse.cookie(name, cookie);
+    }
+  });
+}
+
+async function writeStream(expressResponse, result, statusCode) {
+  const { stream } = result;
+  const isServerSentEvents = String(result.contentType).startsWith(SSE_CONTENT_TYPE);
+
+  if (isServerSentEvents) {
+    expressResponse.set({ 'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no' });
+  }
+  expressResponse.status(statusCode);
+
+  const iterator = stream[Symbol.asyncIterator]
+    ? stream[Symbol.asyncIterator]()
+    : stream[Symbol.iterator]();
+
+  // Stop reading from the source once the client goes away. A source waiting for its next chunk, such as an
+  // event generator, may not produce one for a long time, so each read is raced against the close.
+  let isClosed = false;
+  const closed = new Promise((resolve) => {
+    expressResponse.on('close', () => {
+      isClosed = true;
+      if (typeof stream.destroy === 'function') stream.destroy();
+      // Generators finish, running their finally blocks, once they get to their next yield
+      Promise.resolve(iterator.return?.()).catch(() => {});
+      resolve({ done: true });
+    });
+  });
+
+  try {
+    while (!isClosed) {
+      const next = Promise.resolve(iterator.next());
+      // The read is left pending when the client goes away, and may still fail
+      next.catch(() => {});
+
+      // eslint-disable-next-line no-await-in-loop
+      const { value: chunk, done } = await Promise.race([next, closed]);
+      if (done || isClosed) break;
+
+      const output = isServerSentEvents ? formatServerSentEvent(chunk) : chunk;
+      if (expressResponse.write(output) === false) {
+        // eslint-disable-next-line no-await-in-loop
+        await new Promise((resolve) => {
+          expressResponse.once('drain', resolve);
+          expressResponse.once('close', resolve);
+        });
+      }
+    }
+  } catch (e) {
+    // The status has already been sent, so the connection is dropped to tell the client the body is incomplete
+    appLogger.error({ errorMessage: e.message, errorStack: e.stack }, 'response-stream-error');
+    isClosed = true;
+    expressResponse.destroy(e);
+  } finally {
+    if (!isClosed) expressResponse.end();
+  }
+}
+
+/**
+ * Send a handler result. JSON results are sent from responseComponents.body. Headers, cookies and an attachment filename are applied first.
+ * @param {import('express').Response} expressResponse
+ * @param {import('./create-handler').HandlerResult} result
+ * @param {import('./create-handler').ResponseComponents} responseComponents
+ * @returns {Promise<void>} Resolves once the response has been sent. Streams are sent to the end.
+ */
+async function sendHandlerResult(expressResponse, result, responseComponents) {
+  const { statusCode } = responseComponents;
+
+  if (result.headers) expressResponse.set(result.headers);
+  if (result.cookies) setCookies(expressResponse, result.cookies);
+  if (result.filename) expressResponse.attachment(result.filename);
+  if (result.contentType) expressResponse.type(result.contentType);
+
+  if (result.redirect) {
+    expressResponse.redirect(statusCode, result.redirect);
+  } else if (result.stream) {
+    await writeStream(expressResponse, result, statusCode);
+  } else if (!isJSONResult(result)) {
+    // Strings are not sent as HTML unless asked for
+    if (!expressResponse.get('Content-Type') && typeof result.data === 'string') {
+      expressResponse.type('text/plain');
+    }
+    expressResponse.status(statusCode).send(result.data);
+  } else {
+    expressResponse.status(statusCode).json(responseComponents.body);
+  }
+}
+
+module.exports = {
+  formatServerSentEvent,
+  isJSONResult,
+  sendHandlerResult,
+};
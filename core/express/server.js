@@ -4,12 +4,62 @@
 /* eslint-disable no-continue */
 /* eslint-disable no-restricted-syntax */
 const expressEnums = require('./enums');
+const { parseRequestSpecs, validateRequestComponents } = require('./request-validation');
+const { parseResponseSpecs, createResponseValidator } = require('./response-validation');
+const { getDocsConfig, buildOpenAPIDocument, renderDocsPage } = require('./api-docs');
+const { createRateLimiter, createGlobalRateLimiter } = require('./rate-limit');
+const createJWKSHandler = require('./jwks');
+const { createIdempotency } = require('./idempotency');
+const { createResponseCache, isNotModified } = require('./response-cache');
+const { runReadinessChecks } = require('./health');
+const { isJSONResult, sendHandlerResult } = require('./send-response');
+const { formatErrorEnvelope, resolveErrorFormatter } = require('./error-formatters');
+const { mergeHooks, runHooks, runSendHooks, runErrorHooks } = require('./hooks');
+const { createRequestAbortState, untilAborted } = require('./request-timeout');
+const { isMultipartRequest, createUploads } = require('./uploads');
+const { createBodyParser } = require('./request-body');
+const { resolveCorsConfig, createCorsMiddleware, createServerCorsMiddleware } = require('./cors');
+const { getSecurityHeaders } = require('./security-headers');
+const { createSocketServer } = require('./sockets');
+const {
+  normalizeVersion,
+  getRequestedVersion,
+  getDeprecationHeaders,
+  createVersionedRoute,
+} = require('./versioning');
+
+const REQUEST_ID_HEADER = 'x-request-id';
+// Incoming IDs end up in logs and outgoing headers, so only short IDs without special characters are accepted.
+const VALID_REQUEST_ID_REGEX = /^[\w.:-]{1,128}$/;
+// Request components middlewares can augment, in the order they are merged
+const AUGMENTABLE_COMPONENTS = ['meta', 'body', 'query', 'params', 'headers'];
+const DOCS_CONTENT_SECURITY_POLICY =
+  "default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; connect-src 'self'; frame-ancestors 'none'";
+
 /**
  * @typedef {Object} ExpressServerConfig
  * @property {number} [port] - Optional parameter that defines the port the express server should listen on.
- * @property {string} [JSONLimit] - The max size allowed to be passed in the request body as JSON.
- * @property {boolean} [enableCors] - Optional parameter used to configure whether or not the server should allow CORS requests.
- * @property {boolean} [generateRequestIds] - Optional parameter indicating whether or not unique request IDs should be generated for every request that hits the server.
+ * @property {string} [JSONLimit] - The max size allowed to be passed in the request body as JSON. Handlers can set their own with bodyLimit.
+ * @property {boolean} [enableCors] - Optional parameter used to configure whether or not the server should allow CORS requests from any origin. Same as cors: true.
+ * @property {boolean|import('./cors').CorsConfig} [cors] - Optional CORS policy for every handler e.g. { origins: ['https://app.example.com'], credentials: true }. Handlers can override it with their own cors option.
+ * @property {boolean|import('./security-headers').SecurityHeadersConfig} [securityHeaders] - Optional parameter used to send HSTS, Content-Security-Policy, X-Frame-Options, X-Content-Type-Options and Referrer-Policy headers with every response. Disabled by default.
+ * @property {boolean} [generateRequestIds=true] - Optional parameter indicating whether or not unique request IDs should be generated for every request that hits the server. A valid X-Request-Id header is used as the ID when present.
+ * @property {boolean|import('./api-docs').DocsConfig} [docs] - Optional parameter used to serve an OpenAPI document and an HTML explorer for the registered handlers. Disabled by default.
+ * @property {boolean|{path?: string}} [metrics] - Optional parameter used to serve the metrics registry in the Prometheus text format on /metrics, or on the given path. Disabled by default.
+ * @property {boolean} [jwks] - Optional parameter used to serve the public keys of the JWT key ring at /.well-known/jwks.json. Disabled by default.
+ * @property {import('./idempotency').IdempotencyConfig} [idempotency] - Optional defaults for handlers created with idempotent set e.g. { store: 'mongo' }. Responses are kept in memory by default.
+ * @property {import('./response-cache').CacheConfig} [cache] - Optional defaults for handlers created with cache set e.g. { store: 'redis' }. Responses are kept in memory by default.
+ * @property {import('./sockets').SocketsConfig} [sockets] - Optional settings for socket handlers e.g. { adapter: 'redis' } so rooms span every instance.
+ * @property {import('./uploads').UploadsConfig} [uploads] - Optional defaults for handlers created with uploads set e.g. { storage: 's3' }. Files are written to disk by default.
+ * @property {import('./rate-limit').RateLimitConfig} [rateLimit] - Optional rate limit applied to every handler before the request is validated. Counted separately from per-handler limits. It runs before authentication, so key can't be "user".
+ * @property {boolean} [health=true] - Optional parameter indicating whether or not /healthz and /readyz should be served. /healthz responds while the process is up and /readyz runs the readiness checks.
+ * @property {Object<string, import('./health').ReadinessCheck>} [readinessChecks] - Optional checks run by /readyz, keyed by name e.g. { mongoose: checkConnection }.
+ * @property {Array<function(): Promise<void>>} [onShutdown] - Optional cleanup functions run in order on SIGTERM, after in-flight requests have drained e.g. closing queues and database connections.
+ * @property {number} [shutdownTimeout=10000] - Optional number of milliseconds shutdown may take before the process exits anyway.
+ * @property {"default"|"problem+json"|import('./error-formatters').ErrorFormatter} [errorFormatter="default"] - Optional. How error responses are shaped: the { status, message, errors, data } envelope, RFC 7807 application/problem+json, or a custom function. Used for handler errors and the 404 and 500 catchers.
+ * @property {number} [timeoutMs] - Optional default timeout for handlers that don't set timeoutMs. No timeout by default.
+ * @property {import('./hooks').HandlerHooks} [hooks] - Optional lifecycle hooks run for every handler, before the handler's own hooks.
+ * @property {import('./response-validation').ResponseValidationMode} [responseValidation] - Optional. How responses that don't match the handler's responseSpec are handled. Defaults to "warn" when NODE_ENV is production and "error" otherwise.
  */
 
 /**
@@ -19,9 +69,11 @@ const expressEnums = require('./enums');
  */
 function Server(serverConfig = {}) {
   const express = require('express');
-  const { appLogger } = require('@app-core/logger');
-  const { ERROR_STATUS_CODE_MAPPING } = require('@app-core/errors');
-  const cors = require('cors');
+  const { appLogger, requestContext } = require('@app-core/logger');
+  const { ulid } = require('@app-core/randomness');
+  const { ERROR_CODE, ERROR_STATUS_CODE_MAPPING } = require('@app-core/errors');
+  const tracing = require('@app-core/tracing');
+  const metrics = require('@app-core/metrics');
   const { getClientIp } = require('request-ip');
   const app = express();
 
@@ -58,38 +110,322 @@ function Server(serverConfig = {}) {
     port = 8811,
     JSONLimit = '50mb',
     enableCors = false,
-    // generateRequestIds = false
+    generateRequestIds = true,
+    health = true,
+    readinessChecks = {},
+    onShutdown = [],
+    shutdownTimeout = 10000,
   } = serverConfig;
 
-  if (enableCors) {
-    app.use(cors());
-  }
+  const serverCors = serverConfig.cors ?? enableCors;
+  const errorFormatter = resolveErrorFormatter(serverConfig.errorFormatter);
+  const responseValidationMode =
+    serverConfig.responseValidation || (process.env.NODE_ENV === 'production' ? 'warn' : 'error');
 
-  // Todo: pass in directories that we can set as public paths to use in express app.static whatever
-  app.use(express.json({ limit: JSONLimit }), (err, req, res, next) => {
-    if (err instanceof SyntaxError && err.status === 400 && 'body' in err) {
-      res.status(400).json({
-        code: 'ERR',
-        error: true,
-        message: 'Error encountered in parsing request payload. Please check payload and try again',
-      });
-    } else {
+  /** @type {import('http').Server} */
+  let httpServer;
+  let isShuttingDown = false;
+
+  if (serverConfig.securityHeaders) {
+    const securityHeaders = getSecurityHeaders(serverConfig.securityHeaders);
+    app.disable('x-powered-by');
+    app.use((req, res, next) => {
+      res.set(securityHeaders);
       next();
+    });
+  }
+
+  // Handlers with their own cors option add their policy to this router, ahead of the server policy
+  const handlerCorsRouter = express.Router();
+  app.use(handlerCorsRouter, createServerCorsMiddleware(serverCors));
+
+  /**
+   * Shape an error response with the errorFormatter. The default envelope is used if the formatter throws.
+   * @param {import('express').Request} expressRequest
+   * @param {Omit<import('./error-formatters').ErrorDescription, 'request'>} errorDescription
+   * @returns {import('./error-formatters').FormattedError}
+   */
+  function formatError(expressRequest, errorDescription) {
+    const description = { ...errorDescription, request: expressRequest };
+
+    try {
+      return errorFormatter(description);
+    } catch (e) {
+      appLogger.error({ errorMessage: e.message, errorStack: e.stack }, 'error-formatter-error');
+      return formatErrorEnvelope(description);
     }
+  }
+
+  /**
+   * Send an error response shaped by the errorFormatter.
+   * @param {import('express').Request} expressRequest
+   * @param {import('express').Response} expressResponse
+   * @param {Omit<import('./error-formatters').ErrorDescription, 'request'>} errorDescription
+   */
+  function sendError(expressRequest, expressResponse, errorDescription) {
+    const formattedError = formatError(expressRequest, errorDescription);
+
+    expressResponse.status(errorDescription.statusCode);
+    if (formattedError.contentType) expressResponse.type(formattedError.contentType);
+    expressResponse.json(formattedError.body);
+  }
+
+  // Todo: pass in directories that we can set as public paths to use in express app.static whatever
+
+  if (generateRequestIds) {
+    app.use((req, res, next) => {
+      const incomingRequestId = req.headers[REQUEST_ID_HEADER];
+      const requestId =
+        typeof incomingRequestId === 'string' && VALID_REQUEST_ID_REGEX.test(incomingRequestId)
+          ? incomingRequestId
+          : ulid();
+
+      res.set(REQUEST_ID_HEADER, requestId);
+      requestContext.runWithContext({ requestId }, next);
+    });
+  }
+
+  const docsConfig = getDocsConfig(serverConfig.docs);
+  /** @type {import('./api-docs').RegisteredHandler[]} */
+  const registeredHandlers = [];
+  // Versions registered for each method and path, so unprefixed requests can be routed to one of them.
+  // Paths registered without a version are kept as false.
+  const versionedRoutes = {};
+
+  if (docsConfig) {
+    app.get(`${docsConfig.path}/openapi.json`, (_, res) => {
+      res.status(200).json(buildOpenAPIDocument(registeredHandlers, docsConfig));
+    });
+    app.get(docsConfig.path, (_, res) => {
+      // The page uses inline scripts and styles, which the securityHeaders policy blocks
+      res.set('Content-Security-Policy', DOCS_CONTENT_SECURITY_POLICY);
+      res.status(200).type('html').send(renderDocsPage(docsConfig));
+    });
+  }
+
+  if (health) {
+    app.get('/healthz', (_, res) => {
+      res.status(200).json({ status: 'ok' });
+    });
+    app.get('/readyz', async (_, res) => {
+      if (isShuttingDown) {
+        res.status(503).json({ status: 'error', message: 'Server is shutting down.', checks: {} });
+        return;
+      }
+
+      const report = await runReadinessChecks(readinessChecks);
+      res.status(report.status === 'ok' ? 200 : 503).json(report);
+    });
+  }
+
+  if (serverConfig.metrics) {
+    const metricsPath = serverConfig.metrics.path || '/metrics';
+    app.get(metricsPath, async (_, res) => {
+      try {
+        res
+          .status(200)
+          .type(metrics.CONTENT_TYPE)
+          .send(await metrics.renderMetrics());
+      } catch (e) {
+        appLogger.error({ errorMessage: e.message, errorStack: e.stack }, 'metrics-error');
+        res.status(500).end();
+      }
+    });
+  }
+
+  const requestsCounter = metrics.createCounter({
+    name: 'http_requests_total',
+    help: 'Requests handled by the server.',
+    labelNames: ['method', 'handler_path', 'status_code'],
+  });
+  const requestDuration = metrics.createHistogram({
+    name: 'http_request_duration_seconds',
+    help: 'Duration of requests handled by the server in seconds.',
+    labelNames: ['method', 'handler_path', 'status_code'],
   });
 
+  const globalRateLimiter = serverConfig.rateLimit
+    ? createGlobalRateLimiter(serverConfig.rateLimit)
+    : null;
+
   const handlerHelpers = {};
   handlerHelpers.http_statuses = expressEnums.HTTPStatusCode;
 
   const LOG_APP_REQUEST = parseInt(process.env.LOG_APP_REQUEST, 10);
 
+  /**
+   * Run a handler's middlewares in order, merging their augments into the request components.
+   * @param {import("./create-handler").HandlerConfiguration[]} middlewares
+   * @param {import("./create-handler").RequestComponents} requestComponents
+   * @param {AbortSignal} signal - Stops waiting for a middleware once aborted.
+   * @returns {Promise<import("./create-handler").HandlerExecutionContext>} Has shouldEndRequest and the result when a middleware ended the chain.
+   */
+  async function runMiddlewares(middlewares, requestComponents, signal) {
+    const { handlerPath } = requestComponents.properties;
+
+    /** @type {import("./create-handler").HandlerExecutionContext} */
+    let middlewareExecutionContext = {};
+    for (const [index, middleware] of middlewares.entries()) {
+      if (middlewareExecutionContext.shouldSkipOtherMiddlewares) {
+        middlewareExecutionContext.shouldSkipOtherMiddlewares = false;
+        break;
+      }
+
+      if (middlewareExecutionContext.shouldSkipNextMiddleware) {
+        middlewareExecutionContext.shouldSkipNextMiddleware = false;
+        continue;
+      }
+
+      middlewareExecutionContext = {};
+
+      /** @type {import("./create-handler").HandlerResult} */
+      const middlewareExecutionResult = await untilAborted(
+        signal,
+        tracing.withSpan(
+          `middleware[${index}]`,
+          { attributes: { 'http.route': handlerPath } },
+          () => middleware.handler(requestComponents, handlerHelpers)
+        )
+      );
+
+      if (middlewareExecutionResult.skipOtherMiddlewares) {
+        middlewareExecutionContext.shouldSkipOtherMiddlewares = true; // Skip all other middlewares. Use the context object to hold this
+      }
+
+      if (middlewareExecutionResult.skipNextMiddleware) {
+        middlewareExecutionContext.shouldSkipNextMiddleware = true; // Skip next middleware. Use the context object to hold this
+      }
+
+      const middlewareAugments = middlewareExecutionResult.augments || {};
+      AUGMENTABLE_COMPONENTS.forEach((component) => {
+        if (middlewareAugments[component]) {
+          Object.assign(requestComponents, {
+            [component]: { ...requestComponents[component], ...middlewareAugments[component] },
+          });
+        }
+      });
+
+      if (middlewareExecutionResult.endHandlerChain) {
+        middlewareExecutionContext.shouldEndRequest = true;
+        middlewareExecutionContext.result = middlewareExecutionResult;
+        break;
+      }
+    }
+
+    return middlewareExecutionContext;
+  }
+
+  const socketServer = createSocketServer({
+    socketsConfig: serverConfig.sockets,
+    runMiddlewares,
+    formatError,
+  });
+
   /**
    *
-   * @param {import('./create-handler').HandlerConfiguration} handlerConfiguration
+   * @param {import('./create-handler').HandlerConfiguration|import('./create-socket-handler').SocketHandlerConfiguration} handlerConfiguration
    */
   function addHandler(handlerConfiguration) {
     const { method, path } = handlerConfiguration;
-    app[method](path, async (expressRequest, expressResponse) => {
+
+    if (method === expressEnums.ExpressHandlerMethod.METHOD_WS) {
+      socketServer.addSocketHandler(handlerConfiguration);
+      return;
+    }
+
+    const version =
+      handlerConfiguration.version != null ? normalizeVersion(handlerConfiguration.version) : null;
+    const deprecationHeaders = getDeprecationHeaders(handlerConfiguration.deprecated);
+    const routeKey = `${String(method).toUpperCase()} ${path}`;
+
+    if (version && versionedRoutes[routeKey] === false) {
+      throw new Error(`${routeKey} is already registered without a version`);
+    }
+    if (!version && versionedRoutes[routeKey]) {
+      throw new Error(`${routeKey} is already registered with a version`);
+    }
+    if (version && versionedRoutes[routeKey]?.versions().includes(version)) {
+      throw new Error(`${routeKey} is already registered for version ${version}`);
+    }
+    if (handlerConfiguration.idempotent && ['get', 'head'].includes(String(method).toLowerCase())) {
+      throw new Error(
+        `${routeKey} can't be idempotent. GET and HEAD handlers are already safe to retry`
+      );
+    }
+    if (handlerConfiguration.cache && String(method).toLowerCase() !== 'get') {
+      throw new Error(`${routeKey} can't be cached. Only GET handlers can set cache`);
+    }
+
+    const versionedPath = version && (path === '/' ? `/${version}` : `/${version}${path}`);
+    const handlerCors =
+      handlerConfiguration.cors !== undefined
+        ? createCorsMiddleware(resolveCorsConfig(handlerConfiguration.cors, serverCors))
+        : null;
+
+    const parsedRequestSpecs = parseRequestSpecs(handlerConfiguration);
+    const parsedResponseSpecs = parseResponseSpecs(handlerConfiguration);
+    registeredHandlers.push({
+      handlerConfiguration,
+      parsedRequestSpecs,
+      parsedResponseSpecs,
+      version,
+    });
+    const rateLimiter = handlerConfiguration.rateLimit
+      ? createRateLimiter(handlerConfiguration.rateLimit, `${method}:${path}`)
+      : null;
+    const idempotency = handlerConfiguration.idempotent
+      ? createIdempotency(
+          handlerConfiguration.idempotent,
+          `${method}:${path}`,
+          serverConfig.idempotency
+        )
+      : null;
+    // Versions of a handler respond differently, so each keeps its own cached responses
+    const responseCache = handlerConfiguration.cache
+      ? createResponseCache(
+          handlerConfiguration.cache,
+          [method, path, version].filter(Boolean).join(':'),
+          serverConfig.cache
+        )
+      : null;
+    const responseValidator = parsedResponseSpecs
+      ? createResponseValidator(parsedResponseSpecs, responseValidationMode, routeKey)
+      : null;
+    const hooks = mergeHooks(serverConfig.hooks, handlerConfiguration.hooks);
+    const timeoutMs = handlerConfiguration.timeoutMs ?? serverConfig.timeoutMs;
+    const parseRequestBody = createBodyParser({
+      limit: handlerConfiguration.bodyLimit ?? JSONLimit,
+      contentTypes: handlerConfiguration.contentTypes,
+    });
+    const uploads = handlerConfiguration.uploads
+      ? createUploads(handlerConfiguration.uploads, serverConfig.uploads)
+      : null;
+    // Multipart bodies are only read once the middlewares have passed, so they are validated on their own
+    const { body: bodySpec, ...requestSpecsWithoutBody } = parsedRequestSpecs;
+
+    /**
+     * Run the onSend hooks on the response about to be sent and apply their changes to it.
+     * @param {import("./create-handler").RequestComponents} requestComponents
+     * @param {import("./create-handler").ResponseComponents} responseComponents
+     * @returns {Promise<Object<string, string>>} The headers added by the hooks.
+     */
+    async function applySendHooks(requestComponents, responseComponents) {
+      const { headers, ...outgoingResponse } = await runSendHooks(
+        hooks.onSend,
+        requestComponents,
+        responseComponents
+      );
+      Object.assign(responseComponents, outgoingResponse);
+      return headers;
+    }
+
+    /**
+     * @param {import('express').Request} expressRequest
+     * @param {import('express').Response} expressResponse
+     * @param {import('@app-core/tracing/tracer').Span} span
+     * @param {AbortSignal} signal
+     */
+    async function handleRequest(expressRequest, expressResponse, span, signal) {
       /** @type {import("./create-handler").RequestComponents} */
       const requestComponents = {
         body: {},
@@ -99,6 +435,7 @@ function Server(serverConfig = {}) {
         meta: {},
         props: handlerConfiguration.props || {},
         properties: {},
+        signal,
       };
 
       const responseComponents = {
@@ -109,8 +446,15 @@ function Server(serverConfig = {}) {
         },
       };
 
+      let idempotencyKey;
+      let cacheKey;
+      /** @type {import('./uploads').UploadedFile[]} */
+      let unusedFiles;
+
       try {
         const middlewares = handlerConfiguration.middlewares || [];
+        await untilAborted(signal, parseRequestBody(expressRequest, expressResponse));
+
         const { body, query, params, headers } = expressRequest;
         const meta = {};
 
@@ -127,6 +471,9 @@ function Server(serverConfig = {}) {
         properties.requestURL = expressRequest.originalUrl;
         properties.requestURLWithoutQueryStrings = expressRequest.path;
         properties.handlerPath = path;
+        properties.version = version || undefined;
+        properties.requestId = requestContext.getContext().requestId;
+        properties.permissions = [].concat(handlerConfiguration.permissions || []);
         properties.hostname = expressRequest.hostname;
         properties.userAgent = expressRequest.headers['user-agent'];
 
@@ -138,99 +485,166 @@ function Server(serverConfig = {}) {
         requestComponents.properties = properties;
         requestComponents.body = body;
 
-        /**
-         * Do Middleware stuff here
-         */
-        /** @type {import("./create-handler").HandlerExecutionContext} */
-        let middlewareExecutionContext = {};
-        for (const middleware of middlewares) {
-          if (middlewareExecutionContext.shouldSkipOtherMiddlewares) {
-            middlewareExecutionContext.shouldSkipOtherMiddlewares = false;
-            break;
-          }
+        await runHooks(hooks.onRequest, requestComponents);
 
-          if (middlewareExecutionContext.shouldSkipNextMiddleware) {
-            middlewareExecutionContext.shouldSkipNextMiddleware = false;
-            continue;
-          }
+        if (globalRateLimiter) {
+          await globalRateLimiter(requestComponents, expressResponse);
+        }
 
-          middlewareExecutionContext = {};
+        // Files are stored only for requests that pass the middlewares and the handler rate limit
+        const isUploadRequest = !!uploads && isMultipartRequest(expressRequest);
 
-          /** @type {import("./create-handler").HandlerResult} */
-          const middlewareExecutionResult = await middleware.handler(
+        Object.assign(
+          requestComponents,
+          validateRequestComponents(
             requestComponents,
-            handlerHelpers
-          );
+            isUploadRequest ? requestSpecsWithoutBody : parsedRequestSpecs
+          )
+        );
 
-          if (middlewareExecutionResult.skipOtherMiddlewares) {
-            middlewareExecutionContext.shouldSkipOtherMiddlewares = true; // Skip all other middlewares. Use the context object to hold this
-          }
+        const middlewareExecutionContext = await runMiddlewares(
+          middlewares,
+          requestComponents,
+          signal
+        );
 
-          if (middlewareExecutionResult.skipNextMiddleware) {
-            middlewareExecutionContext.shouldSkipNextMiddleware = true; // Skip next middleware. Use the context object to hold this
+        /** @type {import("./create-handler").HandlerResult} */
+        let result;
+        if (!middlewareExecutionContext.shouldEndRequest) {
+          if (rateLimiter) {
+            await rateLimiter(requestComponents, expressResponse);
           }
 
-          const middlewareAugments = middlewareExecutionResult.augments || {};
-          if (middlewareAugments.meta) {
-            requestComponents.meta = {
-              ...requestComponents.meta,
-              ...middlewareAugments.meta,
-            };
+          if (isUploadRequest) {
+            const { body: uploadBody, files } = await untilAborted(
+              signal,
+              uploads.parse(expressRequest, signal)
+            );
+            requestComponents.body = uploadBody;
+            requestComponents.files = files;
+            unusedFiles = files;
+
+            if (bodySpec) {
+              Object.assign(
+                requestComponents,
+                validateRequestComponents(requestComponents, { body: bodySpec })
+              );
+            }
           }
 
-          if (middlewareAugments.body) {
-            requestComponents.body = {
-              ...requestComponents.body,
-              ...middlewareAugments.body,
-            };
-          }
+          if (idempotency) {
+            const { key, replay } = await idempotency.check(requestComponents);
 
-          if (middlewareAugments.query) {
-            requestComponents.query = {
-              ...requestComponents.query,
-              ...middlewareAugments.query,
-            };
-          }
+            if (replay) {
+              responseComponents.statusCode = replay.statusCode;
+              responseComponents.body = replay.body;
 
-          if (middlewareAugments.params) {
-            requestComponents.params = {
-              ...requestComponents.params,
-              ...middlewareAugments.params,
-            };
-          }
+              const hookHeaders = await applySendHooks(requestComponents, responseComponents);
+              expressResponse.set('Idempotent-Replayed', 'true').set(hookHeaders);
+              expressResponse.status(responseComponents.statusCode).json(responseComponents.body);
+              return;
+            }
 
-          if (middlewareAugments.headers) {
-            requestComponents.headers = {
-              ...requestComponents.headers,
-              ...middlewareAugments.headers,
-            };
+            idempotencyKey = key;
           }
 
-          if (middlewareExecutionResult.endHandlerChain) {
-            middlewareExecutionContext.shouldEndRequest = true;
-            middlewareExecutionContext.result = middlewareExecutionResult;
-            break;
+          if (responseCache) {
+            responseCache.varyHeaders.forEach((header) => expressResponse.vary(header));
+            const { key, entry } = await responseCache.lookup(requestComponents);
+
+            if (entry) {
+              responseComponents.statusCode = entry.statusCode;
+              responseComponents.body = entry.body;
+              expressResponse.set(entry.headers || {}).set({ ETag: entry.etag, 'X-Cache': 'HIT' });
+
+              if (isNotModified(expressRequest.headers['if-none-match'], entry.etag)) {
+                responseComponents.statusCode = 304;
+                expressResponse.status(304).end();
+                return;
+              }
+
+              const hookHeaders = await applySendHooks(requestComponents, responseComponents);
+              expressResponse.set(hookHeaders);
+              expressResponse.status(responseComponents.statusCode).json(responseComponents.body);
+              return;
+            }
+
+            cacheKey = key;
           }
-        }
 
-        /** @type {import("./create-handler").HandlerResult} */
-        let result;
-        if (!middlewareExecutionContext.shouldEndRequest) {
-          result = await handlerConfiguration.handler(requestComponents, handlerHelpers);
+          await runHooks(hooks.preHandler, requestComponents);
+          result = await untilAborted(
+            signal,
+            handlerConfiguration.handler(requestComponents, handlerHelpers)
+          );
+          unusedFiles = null;
         } else {
           result = middlewareExecutionContext.result;
         }
 
-        responseComponents.statusCode = result.status || 200;
-        responseComponents.body.status = 'success';
-        responseComponents.body.message = result.message;
-        responseComponents.body.data = result.data || {};
+        responseComponents.statusCode = result.status || (result.redirect ? 302 : 200);
 
-        expressResponse.status(responseComponents.statusCode).json(responseComponents.body);
+        if (responseValidator && isJSONResult(result)) {
+          result = {
+            ...result,
+            data: responseValidator(responseComponents.statusCode, result.data),
+          };
+        }
+
+        if (result.raw || !isJSONResult(result)) {
+          responseComponents.body = result.data;
+        } else {
+          responseComponents.body.status = 'success';
+          responseComponents.body.message = result.message;
+          responseComponents.body.data = result.data || {};
+        }
+
+        // Only JSON responses can be replayed, so the key is freed for anything else
+        if (idempotencyKey && isJSONResult(result)) {
+          await idempotency.complete(idempotencyKey, responseComponents);
+        } else if (idempotencyKey) {
+          await idempotency.release(idempotencyKey);
+        }
+
+        // Only successful JSON responses are cached. Responses setting cookies are specific to the client
+        if (
+          cacheKey &&
+          isJSONResult(result) &&
+          responseComponents.statusCode === 200 &&
+          !result.cookies
+        ) {
+          const etag = await responseCache.save(
+            cacheKey,
+            requestComponents,
+            responseComponents,
+            result
+          );
+          result = { ...result, headers: { ...result.headers, ETag: etag, 'X-Cache': 'MISS' } };
+
+          if (isNotModified(expressRequest.headers['if-none-match'], etag)) {
+            responseComponents.statusCode = 304;
+            expressResponse.set(result.headers).status(304).end();
+            return;
+          }
+        }
+
+        // Hook headers are set after the result's own, so hooks such as response signing have the last word
+        if (isJSONResult(result)) {
+          const hookHeaders = await applySendHooks(requestComponents, responseComponents);
+          result = { ...result, headers: { ...result.headers, ...hookHeaders } };
+        }
+
+        await sendHandlerResult(expressResponse, result, responseComponents);
       } catch (error) {
-        const statusCode = !error.isApplicationError
+        if (idempotencyKey) {
+          await idempotency.release(idempotencyKey);
+        }
+
+        const responseError = await runErrorHooks(hooks.onError, requestComponents, error);
+
+        const statusCode = !responseError.isApplicationError
           ? 500
-          : errorCodeMappings[error.errorCode] || 400;
+          : errorCodeMappings[responseError.errorCode] || 400;
 
         const requestLog = createRequestLog(expressRequest);
 
@@ -241,16 +655,42 @@ function Server(serverConfig = {}) {
 
         appLogger.error(requestLog, `error: ${statusCode} ${method} ${path}`);
 
+        if (statusCode >= 500) {
+          span.recordException(error);
+        }
+
+        // Part of a file or stream may already have been sent, or the client is gone
+        if (expressResponse.headersSent || signal.reason?.errorCode === ERROR_CODE.REQABORTED) {
+          expressResponse.end();
+          return;
+        }
+
+        const formattedError = formatError(expressRequest, {
+          statusCode,
+          message: responseError.isApplicationError ? responseError.message : 'Some error occured.',
+          errorCode: responseError.errorCode,
+          details: responseError.details,
+          context: responseError.context,
+          error: responseError,
+        });
+
         responseComponents.statusCode = statusCode;
-        responseComponents.body.status = 'error';
-        responseComponents.body.message = error.isApplicationError
-          ? error.message
-          : 'Some error occured.';
-        responseComponents.body.errors = error.details || undefined;
-        responseComponents.body.data = error.context;
-
-        expressResponse.status(responseComponents.statusCode).json(responseComponents.body); // Todo: Add a callback config that can be used to handle this in a custom way.
+        responseComponents.body = formattedError.body;
+
+        try {
+          expressResponse.set(await applySendHooks(requestComponents, responseComponents));
+        } catch (e) {
+          appLogger.error({ errorMessage: e.message, errorStack: e.stack }, 'onSend-hook-error');
+        }
+
+        if (formattedError.contentType) expressResponse.type(formattedError.contentType);
+        expressResponse.status(responseComponents.statusCode).json(responseComponents.body);
       } finally {
+        // Files of requests that failed, or were answered, before the handler returned are not kept
+        if (unusedFiles) {
+          await uploads.removeFiles(unusedFiles);
+        }
+
         if (typeof handlerConfiguration.onResponseEnd === 'function') {
           try {
             handlerConfiguration.onResponseEnd(requestComponents, responseComponents);
@@ -259,8 +699,111 @@ function Server(serverConfig = {}) {
             appLogger.error([e.message, e.stack], `onResponseEnd error`);
           }
         }
+
+        // Not awaited, so slow hooks such as audit logging don't hold up the request
+        runHooks(hooks.onResponse, requestComponents, responseComponents).catch((e) => {
+          appLogger.error(
+            { errorMessage: e.message, errorStack: e.stack },
+            'onResponse-hook-error'
+          );
+        });
       }
-    });
+    }
+
+    // Each request gets a server span, continuing the trace of the caller when a traceparent header is sent, and is counted in the request metrics
+    const routeCallback = (expressRequest, expressResponse) =>
+      tracing.withSpan(
+        `${method.toUpperCase()} ${path}`,
+        {
+          kind: tracing.SPAN_KIND.SERVER,
+          parent: expressRequest.headers.traceparent || null,
+          attributes: {
+            'http.method': expressRequest.method,
+            'http.route': path,
+            'http.target': expressRequest.originalUrl,
+            'http.request_id': requestContext.getContext().requestId,
+          },
+        },
+        async (span) => {
+          const endTimer = requestDuration.startTimer({ method, handler_path: path });
+
+          if (version) {
+            span.setAttribute('http.api_version', version);
+            expressResponse.set('API-Version', version);
+          }
+          expressResponse.set(deprecationHeaders);
+
+          // The signal, deadline and incoming trace are kept in the request context so repositories and HTTP calls can use them
+          const abortState = createRequestAbortState(expressResponse, timeoutMs);
+          const context = {
+            ...requestContext.getContext(),
+            signal: abortState.signal,
+            deadline: abortState.deadline,
+            traceparent: expressRequest.headers.traceparent,
+          };
+
+          try {
+            await requestContext.runWithContext(context, () =>
+              handleRequest(expressRequest, expressResponse, span, abortState.signal)
+            );
+          } finally {
+            abortState.cleanup();
+          }
+
+          const { statusCode } = expressResponse;
+          span.setAttribute('http.status_code', statusCode);
+          endTimer({ status_code: statusCode });
+          requestsCounter.inc({ method, handler_path: path, status_code: statusCode });
+        }
+      );
+
+    if (handlerCors) {
+      // Preflight requests are matched on the method they ask for, so handlers sharing a path can have different policies.
+      // router.all is used because routers answer OPTIONS requests for their method routes themselves.
+      const applyHandlerCors = (expressRequest, expressResponse, next) => {
+        const requestMethod =
+          expressRequest.method === 'OPTIONS'
+            ? expressRequest.headers['access-control-request-method']
+            : expressRequest.method;
+        const normalizedMethod = String(requestMethod).toLowerCase();
+
+        if (normalizedMethod !== method && !(method === 'get' && normalizedMethod === 'head')) {
+          next();
+          return;
+        }
+        handlerCors(expressRequest, expressResponse, next);
+      };
+
+      [path, versionedPath].filter(Boolean).forEach((routePath) => {
+        handlerCorsRouter.all(routePath, applyHandlerCors);
+      });
+    }
+
+    if (!version) {
+      versionedRoutes[routeKey] = false;
+      app[method](path, routeCallback);
+      return;
+    }
+
+    const versionedRoute = versionedRoutes[routeKey] || createVersionedRoute();
+    if (!versionedRoutes[routeKey]) {
+      versionedRoutes[routeKey] = versionedRoute;
+
+      // Requests without a version prefix get the version they ask for, or the latest one when it is not registered
+      app[method](path, (expressRequest, expressResponse) => {
+        const selectedRouteCallback = versionedRoute.select(getRequestedVersion(expressRequest));
+
+        expressResponse.vary('Accept-Version').vary('Accept');
+        selectedRouteCallback(expressRequest, expressResponse);
+      });
+    }
+
+    versionedRoute.add(version, routeCallback);
+    app[method](versionedPath, routeCallback);
+  }
+
+  if (serverConfig.jwks) {
+    addHandler(createJWKSHandler());
   }
 
   /**
@@ -273,29 +816,92 @@ function Server(serverConfig = {}) {
     return app(request, response, nextFunction);
   }
 
+  async function shutdown() {
+    // Stop accepting connections and wait for in-flight requests to finish.
+    // Keep-alive connections are closed as soon as their requests are done, and WebSocket connections are closed right away.
+    await socketServer.close();
+    if (httpServer?.listening) {
+      await new Promise((resolve) => {
+        const idleConnectionsInterval = setInterval(() => httpServer.closeIdleConnections(), 100);
+        httpServer.close(() => {
+          clearInterval(idleConnectionsInterval);
+          resolve();
+        });
+      });
+    }
+
+    for (const cleanup of onShutdown) {
+      await cleanup();
+    }
+
+    await tracing.shutdownTracing();
+  }
+
+  /**
+   * Stop the server gracefully. /readyz starts failing, in-flight requests are drained and the onShutdown functions are run.
+   * Connections still open after the shutdown timeout are closed.
+   * @returns {Promise<number>} The exit code to use: 0 when everything closed in time and 1 otherwise.
+   */
+  async function stopServer() {
+    isShuttingDown = true;
+
+    let timeout;
+    const timedOut = new Promise((resolve) => {
+      timeout = setTimeout(() => resolve(true), shutdownTimeout);
+    });
+
+    try {
+      const didTimeOut = await Promise.race([shutdown().then(() => false), timedOut]);
+      if (didTimeOut) {
+        appLogger.error({ shutdownTimeout }, 'shutdown-timed-out');
+        httpServer?.closeAllConnections();
+        return 1;
+      }
+
+      appLogger.info({}, 'shutdown-completed');
+      return 0;
+    } catch (e) {
+      appLogger.error({ errorMessage: e.message, errorStack: e.stack }, 'shutdown-error');
+      return 1;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
   function startServer() {
-    app.use((_, res, __) => {
+    app.use((req, res, __) => {
       // Global 404 Catcher
-      res.status(404).json({
-        status: 'error',
+      sendError(req, res, {
+        statusCode: 404,
         message: 'Resource not found.',
+        errorCode: ERROR_CODE.NOTFOUND,
       });
     });
-    app.use((err, _, res, __) => {
+    app.use((err, req, res, __) => {
       appLogger.errorX(err, 'global-500-error');
       // Global 500 Catcher
-      res.status(500).json({
-        status: 'error',
+      sendError(req, res, {
+        statusCode: 500,
         message: 'Some error occurred.',
+        errorCode: ERROR_CODE.APPERR,
+        error: err,
       });
     });
-    app.listen(port, () => {
+    httpServer = app.listen(port, () => {
       appLogger(`Listening at port ${port}`);
     });
+    socketServer.attach(httpServer);
+
+    process.once('SIGTERM', async () => {
+      appLogger.info({ shutdownTimeout }, 'shutdown-started');
+      const exitCode = await stopServer();
+      process.exit(exitCode);
+    });
   }
 
   return {
     startServer,
+    stopServer,
     addHandler,
     executeRequest,
   };
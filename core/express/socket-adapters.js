@@ -0,0 +1,96 @@
+/* eslint-disable global-require */
+const { randomUUID } = require('crypto');
+const { appLogger } = require('@app-core/logger');
+
+/**
+ * A message sent to the sockets in a room.
+ * @typedef {Object} SocketBroadcast
+ * @property {string} room
+ * @property {*} data
+ */
+
+/**
+ * An adapter shares broadcasts between instances of the app, so a room spans every instance.
+ * @typedef {Object} SocketAdapter
+ * @property {function(SocketBroadcast): Promise<void>} publish - Send a broadcast to the other instances.
+ * @property {function(function(SocketBroadcast): void): Promise<void>} subscribe - Receive the broadcasts published by the other instances.
+ * @property {function(): Promise<void>} [close] - Disconnect from the other instances.
+ */
+
+/**
+ * Create an adapter for a single instance. Broadcasts only reach the sockets of this process.
+ * @returns {SocketAdapter}
+ */
+function createMemoryAdapter() {
+  return {
+    async publish() {
+      // There are no other instances to send to
+    },
+    async subscribe() {
+      // Nor any to receive from
+    },
+  };
+}
+
+/**
+ * @typedef {Object} RedisSocketAdapterConfig
+ * @property {string} [url] - The redis connection string. Defaults to the REDIS_URL environment variable used by the queue.
+ * @property {string} [channel="ws:broadcast"] - The pub/sub channel broadcasts are sent on.
+ * @property {import('ioredis').Redis} [client] - An existing ioredis client to publish with. A duplicate is used to subscribe. It is left open on close.
+ */
+
+/**
+ * Create an adapter that shares broadcasts through redis pub/sub.
+ * Each instance skips its own broadcasts since it has already delivered them.
+ * @param {RedisSocketAdapterConfig} [adapterConfig]
+ * @returns {SocketAdapter}
+ */
+function createRedisAdapter(adapterConfig = {}) {
+  const { url = process.env.REDIS_URL, channel = 'ws:broadcast' } = adapterConfig;
+  const instanceId = randomUUID();
+  let { client } = adapterConfig;
+  const ownsClient = !client;
+  let subscriber;
+
+  function getClient() {
+    if (!client) {
+      if (!url) throw new Error('A redis url is required to use the redis socket adapter');
+      const Redis = require('ioredis');
+      client = new Redis(url, { maxRetriesPerRequest: 1 });
+    }
+    return client;
+  }
+
+  return {
+    async publish({ room, data }) {
+      await getClient().publish(channel, JSON.stringify({ instanceId, room, data }));
+    },
+    async subscribe(onBroadcast) {
+      // A connection in subscriber mode can't publish, so broadcasts are received on a second one
+      subscriber = getClient().duplicate();
+      subscriber.on('message', (_, message) => {
+        let broadcast;
+        try {
+          broadcast = JSON.parse(message);
+        } catch (e) {
+          // Anything else publishing on the channel must not bring the instance down
+          appLogger.error({ errorMessage: e.message, channel }, 'socket-broadcast-error');
+          return;
+        }
+        if (broadcast.instanceId !== instanceId) {
+          onBroadcast({ room: broadcast.room, data: broadcast.data });
+        }
+      });
+      await subscriber.subscribe(channel);
+    },
+    async close() {
+      await subscriber?.quit();
+      if (ownsClient) await client?.quit();
+    },
+  };
+}
+
+module.exports = {
+  createMemoryAdapter,
+  createRedisAdapter,
+};
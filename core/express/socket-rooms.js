@@ -0,0 +1,96 @@
+const { appLogger } = require('@app-core/logger');
+const { createMemoryAdapter, createRedisAdapter } = require('./socket-adapters');
+
+// The sockets of this process in each room
+const rooms = new Map();
+
+let socketAdapter = createMemoryAdapter();
+
+/**
+ * Send a message to the sockets of this process in a room.
+ * @param {string} room
+ * @param {*} data
+ * @param {import('./sockets').Socket} [exceptSocket] - A socket to leave out, usually the sender.
+ */
+function deliverToRoom(room, data, exceptSocket) {
+  (rooms.get(room) || new Set()).forEach((socket) => {
+    if (socket !== exceptSocket) socket.send(data);
+  });
+}
+
+/**
+ * Set the adapter broadcasts are shared with. The server sets it from its sockets option; other processes, such as workers, call it to broadcast to the server's sockets.
+ * @param {"memory"|"redis"|import('./socket-adapters').SocketAdapter} [adapter="memory"]
+ * @returns {Promise<void>}
+ */
+async function useSocketAdapter(adapter = 'memory') {
+  const previousAdapter = socketAdapter;
+
+  if (typeof adapter === 'object') {
+    socketAdapter = adapter;
+  } else if (adapter === 'redis') {
+    socketAdapter = createRedisAdapter();
+  } else if (adapter === 'memory') {
+    socketAdapter = createMemoryAdapter();
+  } else {
+    throw new Error(`Unknown socket adapter: ${adapter}`);
+  }
+
+  await previousAdapter.close?.();
+  await socketAdapter.subscribe(({ room, data }) => deliverToRoom(room, data));
+}
+
+/**
+ * Close the connections of the adapter.
+ * @returns {Promise<void>}
+ */
+async function closeSocketAdapter() {
+  await socketAdapter.close?.();
+}
+
+/**
+ * @param {import('./sockets').Socket} socket
+ * @param {string} room
+ */
+function joinRoom(socket, room) {
+  if (!rooms.has(room)) rooms.set(room, new Set());
+  rooms.get(room).add(socket);
+}
+
+/**
+ * @param {import('./sockets').Socket} socket
+ * @param {string} room
+ */
+function leaveRoom(socket, room) {
+  rooms.get(room)?.delete(socket);
+  if (!rooms.get(room)?.size) rooms.delete(room);
+}
+
+/**
+ * Send a message to every socket in a room, on every instance when a shared adapter is used.
+ * Adapter errors are logged, after the sockets of this process have been sent the message.
+ * @param {string} room - e.g. payment-instruction:<id> or user:<id>.
+ * @param {*} data - Sent as JSON.
+ * @param {{except?: import('./sockets').Socket}} [options] - except leaves out a socket of this process, usually the sender.
+ * @returns {Promise<void>}
+ */
+async function broadcast(room, data, options = {}) {
+  deliverToRoom(room, data, options.except);
+
+  try {
+    await socketAdapter.publish({ room, data });
+  } catch (e) {
+    appLogger.error(
+      { errorMessage: e.message, errorStack: e.stack, room },
+      'socket-broadcast-error'
+    );
+  }
+}
+
+module.exports = {
+  useSocketAdapter,
+  closeSocketAdapter,
+  joinRoom,
+  leaveRoom,
+  broadcast,
+};
@@ -0,0 +1,443 @@
+/* eslint-disable global-require */
+const { STATUS_CODES } = require('http');
+const validator = require('@app-core/validator');
+const { appLogger, requestContext } = require('@app-core/logger');
+const { ulid } = require('@app-core/randomness');
+const { throwAppError, ERROR_CODE, ERROR_STATUS_CODE_MAPPING } = require('@app-core/errors');
+const { parseRequestSpecs, validateRequestComponents } = require('./request-validation');
+const {
+  useSocketAdapter,
+  closeSocketAdapter,
+  joinRoom,
+  leaveRoom,
+  broadcast,
+} = require('./socket-rooms');
+
+/**
+ * A WebSocket connection, passed to the onConnect, onMessage and onClose functions of socket handlers.
+ * @typedef {Object} Socket
+ * @property {string} id - Unique ID of the connection. It is the request ID in the logs of its messages.
+ * @property {import('./create-handler').RequestComponents} rc - The upgrade request as augmented by the middlewares e.g. rc.meta.user. rc.signal is aborted once the connection closes.
+ * @property {Set<string>} rooms - The rooms the socket is in.
+ * @property {function(*): void} send - Send data as JSON. Ignored once the connection is closed.
+ * @property {function(string): void} join - Join a room, to receive what is broadcast to it.
+ * @property {function(string): void} leave - Leave a room.
+ * @property {function(string, *): Promise<void>} broadcast - Send data to the other sockets in a room.
+ * @property {function(number=, string=): void} close - Close the connection with an optional close code and reason.
+ */
+
+/**
+ * @typedef {Object} SocketsConfig
+ * @property {"memory"|"redis"|import('./socket-adapters').SocketAdapter} [adapter="memory"] - How broadcasts reach the sockets of other instances. "redis" uses the REDIS_URL environment variable.
+ * @property {number} [pingInterval=30000] - Milliseconds between pings. Connections that don't answer a ping by the next one are dropped.
+ * @property {number} [maxPayload=1048576] - The largest message accepted, in bytes. Larger messages close the connection.
+ */
+
+/**
+ * @typedef {Object} SocketServerDependencies
+ * @property {SocketsConfig} [socketsConfig]
+ * @property {function(Object[], Object, AbortSignal): Promise<import('./create-handler').HandlerExecutionContext>} runMiddlewares - Runs a middleware chain like HTTP requests do.
+ * @property {function(Object, Object): import('./error-formatters').FormattedError} formatError - Shapes error responses like the HTTP ones.
+ */
+
+// The query parameter the access token of a connection may be sent in
+const ACCESS_TOKEN_PARAM = 'access_token';
+
+function parseMessageSpec(handlerConfiguration) {
+  const { messageSpec, path } = handlerConfiguration;
+  if (!messageSpec) return null;
+
+  const parsedSpec = typeof messageSpec === 'string' ? validator.parse(messageSpec) : messageSpec;
+  if (!parsedSpec?.root) {
+    throw new Error(`Invalid messageSpec for WS ${path}: a root node is required`);
+  }
+
+  return parsedSpec;
+}
+
+/**
+ * Get the path and query of a request URL without the access_token query parameter.
+ * @param {string} requestURL
+ * @returns {string}
+ */
+function getURLWithoutToken(requestURL) {
+  const url = new URL(requestURL, 'http://localhost');
+  url.searchParams.delete(ACCESS_TOKEN_PARAM);
+  return `${url.pathname}${url.search}`;
+}
+
+function createErrorEvent(error) {
+  return {
+    event: 'error',
+    message: error.isApplicationError ? error.message : 'Some error occured.',
+    errorCode: error.errorCode,
+    errors: error.details,
+  };
+}
+
+/**
+ * Create the WebSocket side of the server. Upgrade requests go through the handler's middlewares before they are accepted.
+ * @param {SocketServerDependencies} socketServerDependencies
+ */
+function createSocketServer(socketServerDependencies) {
+  const { socketsConfig = {}, runMiddlewares, formatError } = socketServerDependencies;
+  const { adapter, pingInterval = 30000, maxPayload = 1024 * 1024 } = socketsConfig;
+
+  const socketHandlers = {};
+  // Open connections and the socket passed to the handler for each
+  const connections = new Map();
+  const unansweredPings = new WeakSet();
+  let webSocketServer;
+  let heartbeat;
+
+  function getWebSocketServer() {
+    if (!webSocketServer) {
+      const { WebSocketServer } = require('ws');
+      webSocketServer = new WebSocketServer({ noServer: true, maxPayload });
+
+      heartbeat = setInterval(() => {
+        connections.forEach((_, ws) => {
+          if (unansweredPings.has(ws)) {
+            ws.terminate();
+            return;
+          }
+          unansweredPings.add(ws);
+          ws.ping();
+        });
+      }, pingInterval);
+      heartbeat.unref();
+    }
+
+    return webSocketServer;
+  }
+
+  /**
+   * @param {import('./create-socket-handler').SocketHandlerConfiguration} handlerConfiguration
+   */
+  function addSocketHandler(handlerConfiguration) {
+    const { path } = handlerConfiguration;
+
+    if (socketHandlers[path]) {
+      throw new Error(`WS ${path} is already registered`);
+    }
+
+    socketHandlers[path] = {
+      handlerConfiguration,
+      parsedRequestSpecs: parseRequestSpecs(handlerConfiguration),
+      parsedMessageSpec: parseMessageSpec(handlerConfiguration),
+    };
+  }
+
+  function rejectUpgrade(request, rawSocket, errorDescription) {
+    const { statusCode } = errorDescription;
+    // The errorFormatter may echo the URL, so it gets the request without the token
+    const requestURL = getURLWithoutToken(request.url);
+    const requestWithoutToken = Object.create(request, {
+      url: { value: requestURL },
+      originalUrl: { value: requestURL },
+    });
+    const { body, contentType = 'application/json' } = formatError(
+      requestWithoutToken,
+      errorDescription
+    );
+    const payload = JSON.stringify(body);
+
+    rawSocket.end(
+      [
+        `HTTP/1.1 ${statusCode} ${STATUS_CODES[statusCode]}`,
+        `Content-Type: ${contentType}`,
+        `Content-Length: ${Buffer.byteLength(payload)}`,
+        'Connection: close',
+        '',
+        payload,
+      ].join('\r\n')
+    );
+  }
+
+  function createRequestComponents(request, handlerConfiguration, id, signal) {
+    const { getClientIp } = require('request-ip');
+    const url = new URL(request.url, 'http://localhost');
+    let { headers } = request;
+
+    // Browsers can't set headers on WebSocket connections, so the token may be sent in the query instead
+    const accessToken = url.searchParams.get(ACCESS_TOKEN_PARAM);
+    if (accessToken && !headers.authorization) {
+      headers = { ...headers, authorization: `Bearer ${accessToken}` };
+    }
+    url.searchParams.delete(ACCESS_TOKEN_PARAM);
+
+    return {
+      body: {},
+      query: Object.fromEntries(url.searchParams),
+      params: {},
+      headers,
+      meta: {},
+      props: handlerConfiguration.props || {},
+      properties: {
+        IP: getClientIp(request),
+        baseURL: '',
+        method: request.method,
+        requestURL: `${url.pathname}${url.search}`,
+        requestURLWithoutQueryStrings: url.pathname,
+        handlerPath: handlerConfiguration.path,
+        requestId: id,
+        permissions: [].concat(handlerConfiguration.permissions || []),
+        hostname: (headers.host || '').split(':')[0],
+        userAgent: headers['user-agent'],
+      },
+      signal,
+    };
+  }
+
+  function createSocket(ws, requestComponents) {
+    /** @type {Socket} */
+    const socket = {
+      id: requestComponents.properties.requestId,
+      rc: requestComponents,
+      rooms: new Set(),
+      send(data) {
+        if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(data));
+      },
+      join(room) {
+        // Rooms joined after the connection closed would never be left
+        if (ws.readyState !== ws.OPEN) return;
+        socket.rooms.add(room);
+        joinRoom(socket, room);
+      },
+      leave(room) {
+        socket.rooms.delete(room);
+        leaveRoom(socket, room);
+      },
+      broadcast(room, data) {
+        return broadcast(room, data, { except: socket });
+      },
+      close(code = 1000, reason = '') {
+        ws.close(code, reason);
+      },
+    };
+
+    return socket;
+  }
+
+  async function handleMessage(socket, rawMessage, socketHandler) {
+    const { handlerConfiguration, parsedMessageSpec } = socketHandler;
+
+    try {
+      let message;
+      try {
+        message = JSON.parse(rawMessage.toString());
+      } catch (e) {
+        throwAppError('Messages must be valid JSON.', ERROR_CODE.INVLDDATA);
+      }
+
+      if (parsedMessageSpec) {
+        try {
+          message = validator.validate(message, parsedMessageSpec, { collectAll: true });
+        } catch (error) {
+          const details = error.details || [];
+          throwAppError(details[0]?.message || error.message, ERROR_CODE.VALIDATIONERR, {
+            details,
+          });
+        }
+      }
+
+      if (typeof handlerConfiguration.onMessage !== 'function') return;
+
+      const reply = await handlerConfiguration.onMessage(socket, message);
+      if (reply !== undefined) socket.send(reply);
+    } catch (error) {
+      appLogger.error(
+        {
+          socketId: socket.id,
+          errorCode: error.errorCode,
+          errorMessage: error.message,
+          errorStack: error.stack,
+        },
+        `error: WS ${handlerConfiguration.path}`
+      );
+      socket.send(createErrorEvent(error));
+    }
+  }
+
+  function onConnection(ws, requestComponents, socketHandler, abortController) {
+    const { handlerConfiguration } = socketHandler;
+    const { onConnect, onClose, path } = handlerConfiguration;
+    const socket = createSocket(ws, requestComponents);
+    const runInContext = (callback) =>
+      requestContext.runWithContext(
+        { requestId: socket.id, signal: abortController.signal },
+        callback
+      );
+
+    connections.set(ws, socket);
+    ws.on('pong', () => unansweredPings.delete(ws));
+    ws.on('error', (e) => {
+      appLogger.error({ socketId: socket.id, errorMessage: e.message }, 'socket-error');
+    });
+
+    // Messages are handled one at a time, in order, once onConnect is done. None are handled if it failed
+    let hasConnectFailed = false;
+    let queue = runInContext(async () => {
+      if (typeof onConnect === 'function') await onConnect(socket);
+    }).catch((error) => {
+      hasConnectFailed = true;
+      appLogger.error(
+        { socketId: socket.id, errorMessage: error.message, errorStack: error.stack },
+        `error: WS ${path} onConnect`
+      );
+      socket.send(createErrorEvent(error));
+      ws.close(error.isApplicationError ? 1008 : 1011);
+    });
+
+    ws.on('message', (rawMessage) => {
+      queue = queue.then(() => {
+        if (hasConnectFailed) return undefined;
+        return runInContext(() => handleMessage(socket, rawMessage, socketHandler));
+      });
+    });
+
+    ws.on('close', (code, reason) => {
+      connections.delete(ws);
+      socket.rooms.forEach((room) => leaveRoom(socket, room));
+      abortController.abort();
+
+      queue = queue
+        .then(() =>
+          runInContext(async () => {
+            if (typeof onClose === 'function') {
+              await onClose(socket, { code, reason: reason.toString() });
+            }
+          })
+        )
+        .catch((e) => {
+          appLogger.error(
+            { socketId: socket.id, errorMessage: e.message, errorStack: e.stack },
+            `error: WS ${path} onClose`
+          );
+        });
+    });
+  }
+
+  async function handleUpgrade(request, rawSocket, head) {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const socketHandler = socketHandlers[pathname];
+
+    if (!socketHandler) {
+      rejectUpgrade(request, rawSocket, {
+        statusCode: 404,
+        message: 'Resource not found.',
+        errorCode: ERROR_CODE.NOTFOUND,
+      });
+      return;
+    }
+
+    const { handlerConfiguration, parsedRequestSpecs } = socketHandler;
+    const id = ulid();
+    // Aborted when the client goes away, before or after the upgrade
+    const abortController = new AbortController();
+    rawSocket.on('error', () => abortController.abort());
+    rawSocket.once('close', () => abortController.abort());
+
+    const requestComponents = createRequestComponents(
+      request,
+      handlerConfiguration,
+      id,
+      abortController.signal
+    );
+
+    let middlewareExecutionContext;
+    try {
+      middlewareExecutionContext = await requestContext.runWithContext(
+        { requestId: id, signal: abortController.signal },
+        () => {
+          Object.assign(
+            requestComponents,
+            validateRequestComponents(requestComponents, parsedRequestSpecs)
+          );
+          return runMiddlewares(
+            handlerConfiguration.middlewares || [],
+            requestComponents,
+            abortController.signal
+          );
+        }
+      );
+    } catch (error) {
+      if (abortController.signal.aborted) return;
+
+      const statusCode = error.isApplicationError
+        ? ERROR_STATUS_CODE_MAPPING[error.errorCode] || 400
+        : 500;
+
+      appLogger.error(
+        {
+          requestId: id,
+          requestURL: requestComponents.properties.requestURL,
+          errorCode: error.errorCode,
+          errorMessage: error.message,
+          errorStack: error.stack,
+        },
+        `error: ${statusCode} WS ${handlerConfiguration.path}`
+      );
+
+      rejectUpgrade(request, rawSocket, {
+        statusCode,
+        message: error.isApplicationError ? error.message : 'Some error occured.',
+        errorCode: error.errorCode,
+        details: error.details,
+        context: error.context,
+        error,
+      });
+      return;
+    }
+
+    if (abortController.signal.aborted) return;
+
+    if (middlewareExecutionContext.shouldEndRequest) {
+      const { result } = middlewareExecutionContext;
+      rejectUpgrade(request, rawSocket, {
+        statusCode: result.status || 403,
+        message: result.message || 'The connection was refused.',
+      });
+      return;
+    }
+
+    getWebSocketServer().handleUpgrade(request, rawSocket, head, (ws) => {
+      onConnection(ws, requestComponents, socketHandler, abortController);
+    });
+  }
+
+  /**
+   * Accept WebSocket upgrades on the HTTP server. Nothing is done when no socket handler was added.
+   * @param {import('http').Server} httpServer
+   */
+  function attach(httpServer) {
+    if (!Object.keys(socketHandlers).length) return;
+
+    useSocketAdapter(adapter).catch((e) => {
+      appLogger.error({ errorMessage: e.message, errorStack: e.stack }, 'socket-adapter-error');
+    });
+
+    httpServer.on('upgrade', (request, rawSocket, head) => {
+      handleUpgrade(request, rawSocket, head).catch((e) => {
+        appLogger.error({ errorMessage: e.message, errorStack: e.stack }, 'socket-upgrade-error');
+        rawSocket.destroy();
+      });
+    });
+  }
+
+  /**
+   * Close every connection with 1001 (going away) and disconnect the adapter.
+   * @returns {Promise<void>}
+   */
+  async function close() {
+    clearInterval(heartbeat);
+    connections.forEach((socket) => socket.close(1001, 'Server shutting down'));
+    await closeSocketAdapter();
+  }
+
+  return { addSocketHandler, attach, close };
+}
+
+module.exports = {
+  createSocketServer,
+};
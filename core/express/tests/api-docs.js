@@ -0,0 +1,91 @@
+const assert = require('assert');
+const createHandler = require('../create-handler');
+const { createTestServer } = require('./helpers');
+
+async function runAPIDocsTests() {
+  console.log('🧪 Running API Docs Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  const createItem = createHandler({
+    path: '/items/:id',
+    method: 'post',
+    paramsSpec: `root {
+  id number
+}`,
+    bodySpec: `root {
+  name string<minLength:2>
+  tags[]? string
+}`,
+    responseSpec: {
+      201: `root {
+  id number
+}`,
+    },
+    async handler(rc) {
+      return { status: 201, data: { id: rc.params.id } };
+    },
+  });
+
+  await test('should not serve docs unless enabled', async () => {
+    const { request } = createTestServer({}, [createItem]);
+    await assert.rejects(request('GET', '/_docs/openapi.json'), /Cannot GET \/_docs\/openapi.json/);
+  });
+
+  await test('should serve an OpenAPI document of the registered handlers', async () => {
+    const { request } = createTestServer({ docs: { title: 'Items API', version: '2.0.0' } }, [
+      createItem,
+    ]);
+    const response = await request('GET', '/_docs/openapi.json');
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(response.data.info, { title: 'Items API', version: '2.0.0' });
+
+    const operation = response.data.paths['/items/{id}'].post;
+    assert.deepStrictEqual(operation.tags, ['items']);
+    assert.deepStrictEqual(operation.parameters[0], {
+      name: 'id',
+      in: 'path',
+      required: true,
+      schema: { type: 'number' },
+    });
+    assert.deepStrictEqual(
+      operation.requestBody.content['application/json'].schema.properties.name,
+      { type: 'string', minLength: 2 }
+    );
+    assert.deepStrictEqual(
+      operation.responses['201'].content['application/json'].schema.properties.data,
+      { type: 'object', properties: { id: { type: 'number' } }, required: ['id'] }
+    );
+  });
+
+  await test('should serve the explorer on the configured path', async () => {
+    const { request } = createTestServer({ docs: { path: '/reference/', title: '<Items>' } }, [
+      createItem,
+    ]);
+    const response = await request('GET', '/reference');
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.match(String(response.responseObject.getHeader('content-type')), /text\/html/);
+    assert.match(response.responseObject.getHeader('content-security-policy'), /'unsafe-inline'/);
+    assert.ok(response.data.includes('<title>&lt;Items&gt; docs</title>'));
+    assert.ok(response.data.includes("fetch('/reference/openapi.json')"));
+  });
+
+  console.log(`✅ API Docs Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runAPIDocsTests;
@@ -0,0 +1,179 @@
+const assert = require('assert');
+const createHandler = require('../create-handler');
+const createServer = require('../server');
+const { resolveCorsConfig, createCorsMiddleware } = require('../cors');
+const { listen, send } = require('./helpers');
+
+const APP_ORIGIN = 'https://app.example.com';
+const OTHER_ORIGIN = 'https://evil.example.com';
+
+async function runCorsTests() {
+  console.log('🧪 Running CORS Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Serve a server with an orders handler and the given handler cors options per method.
+   * @param {import('../server').ExpressServerConfig} serverConfig
+   * @param {{get?: *, post?: *}} [handlerCors]
+   */
+  async function startServer(serverConfig, handlerCors = {}) {
+    const server = createServer(serverConfig);
+    ['get', 'post'].forEach((method) => {
+      server.addHandler(
+        createHandler({
+          path: '/orders',
+          method,
+          cors: handlerCors[method],
+          async handler() {
+            return { status: 200, data: { method } };
+          },
+        })
+      );
+    });
+    return listen(server);
+  }
+
+  function preflight(port, origin, method) {
+    return send(port, 'OPTIONS', '/orders', {
+      headers: {
+        origin,
+        'access-control-request-method': method,
+        'access-control-request-headers': 'content-type',
+      },
+    });
+  }
+
+  await test('should allow any origin with cors true', async () => {
+    const { port, close } = await startServer({ cors: true });
+    try {
+      const response = await send(port, 'GET', '/orders', { headers: { origin: OTHER_ORIGIN } });
+      assert.strictEqual(response.headers['access-control-allow-origin'], '*');
+
+      const preflightResponse = await preflight(port, OTHER_ORIGIN, 'POST');
+      assert.strictEqual(preflightResponse.statusCode, 204);
+      assert.strictEqual(preflightResponse.headers['access-control-allow-headers'], 'content-type');
+    } finally {
+      await close();
+    }
+  });
+
+  await test('should only allow the listed origins', async () => {
+    const { port, close } = await startServer({
+      cors: {
+        origins: [APP_ORIGIN],
+        credentials: true,
+        exposedHeaders: ['x-request-id'],
+        maxAge: 600,
+      },
+    });
+    try {
+      const allowed = await send(port, 'GET', '/orders', { headers: { origin: APP_ORIGIN } });
+      assert.strictEqual(allowed.headers['access-control-allow-origin'], APP_ORIGIN);
+      assert.strictEqual(allowed.headers['access-control-allow-credentials'], 'true');
+      assert.strictEqual(allowed.headers['access-control-expose-headers'], 'x-request-id');
+
+      const denied = await send(port, 'GET', '/orders', { headers: { origin: OTHER_ORIGIN } });
+      assert.strictEqual(denied.headers['access-control-allow-origin'], undefined);
+
+      const preflightResponse = await preflight(port, APP_ORIGIN, 'POST');
+      assert.strictEqual(preflightResponse.headers['access-control-max-age'], '600');
+    } finally {
+      await close();
+    }
+  });
+
+  await test('should check origins with a RegExp or function', async () => {
+    const checkedOrigins = [];
+    const { port, close } = await startServer(
+      { cors: { origins: /\.example\.com$/ } },
+      {
+        post: {
+          origins: async (origin) => {
+            checkedOrigins.push(origin);
+            return origin === APP_ORIGIN;
+          },
+        },
+      }
+    );
+    try {
+      const matched = await send(port, 'GET', '/orders', { headers: { origin: OTHER_ORIGIN } });
+      assert.strictEqual(matched.headers['access-control-allow-origin'], OTHER_ORIGIN);
+
+      const notMatched = await send(port, 'GET', '/orders', {
+        headers: { origin: 'https://example.org' },
+      });
+      assert.strictEqual(notMatched.headers['access-control-allow-origin'], undefined);
+
+      const denied = await send(port, 'POST', '/orders', { headers: { origin: OTHER_ORIGIN } });
+      const allowed = await send(port, 'POST', '/orders', { headers: { origin: APP_ORIGIN } });
+      assert.strictEqual(denied.headers['access-control-allow-origin'], undefined);
+      assert.strictEqual(allowed.headers['access-control-allow-origin'], APP_ORIGIN);
+      assert.deepStrictEqual(checkedOrigins, [OTHER_ORIGIN, APP_ORIGIN]);
+    } finally {
+      await close();
+    }
+  });
+
+  await test('should answer preflights with the policy of the requested method', async () => {
+    const { port, close } = await startServer(
+      { cors: { origins: [APP_ORIGIN] } },
+      { get: { origins: '*' }, post: false }
+    );
+    try {
+      const getPreflight = await preflight(port, OTHER_ORIGIN, 'GET');
+      assert.strictEqual(getPreflight.headers['access-control-allow-origin'], '*');
+
+      const postPreflight = await preflight(port, APP_ORIGIN, 'POST');
+      assert.strictEqual(postPreflight.headers['access-control-allow-origin'], undefined);
+
+      const post = await send(port, 'POST', '/orders', { headers: { origin: APP_ORIGIN } });
+      assert.strictEqual(post.statusCode, 200);
+      assert.strictEqual(post.headers['access-control-allow-origin'], undefined);
+    } finally {
+      await close();
+    }
+  });
+
+  await test('should merge handler policies over the server policy', async () => {
+    const serverCors = { origins: [APP_ORIGIN], credentials: true };
+
+    assert.deepStrictEqual(resolveCorsConfig({ maxAge: 60 }, serverCors), {
+      origins: [APP_ORIGIN],
+      credentials: true,
+      maxAge: 60,
+    });
+    assert.deepStrictEqual(resolveCorsConfig(true, serverCors), serverCors);
+    assert.deepStrictEqual(resolveCorsConfig(true, false), {});
+    assert.strictEqual(resolveCorsConfig(false, serverCors), null);
+    assert.strictEqual(resolveCorsConfig(undefined, false), null);
+  });
+
+  await test('should refuse credentials for any origin', async () => {
+    assert.throws(
+      () => createCorsMiddleware({ origins: '*', credentials: true }),
+      /CORS credentials need a list of origins/
+    );
+    assert.throws(
+      () => createServer({ cors: { credentials: true } }),
+      /CORS credentials need a list of origins/
+    );
+  });
+
+  console.log(`✅ CORS Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runCorsTests;
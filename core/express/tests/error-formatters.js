@@ -0,0 +1,171 @@
+const assert = require('assert');
+const http = require('http');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const createHandler = require('../create-handler');
+const { PROBLEM_CONTENT_TYPE, createProblemFormatter } = require('../error-formatters');
+const { createTestServer, listen } = require('./helpers');
+
+async function runErrorFormattersTests() {
+  console.log('🧪 Running Error Formatter Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  const handlers = [
+    createHandler({
+      path: '/orders',
+      method: 'post',
+      bodySpec: `root {
+        quantity number<min:1>
+      }`,
+      async handler() {
+        return { status: 201, data: {} };
+      },
+    }),
+    createHandler({
+      path: '/orders/:id',
+      method: 'get',
+      async handler(rc) {
+        if (rc.params.id === 'crash') throw new Error('connection string leaked');
+        throwAppError('Order not found', ERROR_CODE.NOTFOUND, { context: { id: rc.params.id } });
+      },
+    }),
+  ];
+
+  await test('should send the error envelope by default', async () => {
+    const { request } = createTestServer({}, handlers);
+
+    const notFound = await request('GET', '/orders/7');
+    assert.strictEqual(notFound.statusCode, 404);
+    assert.deepStrictEqual(notFound.data, {
+      status: 'error',
+      message: 'Order not found',
+      data: { id: '7' },
+    });
+
+    const invalid = await request('POST', '/orders', { body: { quantity: 0 } });
+    assert.strictEqual(invalid.statusCode, 400);
+    assert.strictEqual(invalid.data.errors[0].field, 'quantity');
+  });
+
+  await test('should send RFC 7807 problem details', async () => {
+    const { request } = createTestServer({ errorFormatter: 'problem+json' }, handlers);
+
+    const notFound = await request('GET', '/orders/7');
+    assert.strictEqual(notFound.statusCode, 404);
+    assert.deepStrictEqual(notFound.data, {
+      type: 'about:blank',
+      title: 'Not Found',
+      status: 404,
+      detail: 'Order not found',
+      instance: '/orders/7',
+      code: ERROR_CODE.NOTFOUND,
+      data: { id: '7' },
+    });
+
+    const invalid = await request('POST', '/orders', { body: { quantity: 0 } });
+    assert.strictEqual(invalid.data.status, 400);
+    assert.strictEqual(invalid.data.errors[0].field, 'quantity');
+  });
+
+  await test('should send problem details with their content type', async () => {
+    // The mocked response always sends json() as application/json, so this needs a real socket
+    const { server } = createTestServer({ errorFormatter: 'problem+json' }, handlers);
+    const { port, close } = await listen(server);
+
+    try {
+      const contentType = await new Promise((resolve, reject) => {
+        http
+          .get({ host: '127.0.0.1', port, path: '/orders/7', agent: false }, (res) => {
+            res.resume();
+            resolve(res.headers['content-type']);
+          })
+          .on('error', reject);
+      });
+      assert.match(contentType, /^application\/problem\+json/);
+    } finally {
+      await close();
+    }
+  });
+
+  await test('should build problem types from the error code', async () => {
+    const formatProblem = createProblemFormatter({
+      typeBaseURL: 'https://docs.example.com/errors/',
+    });
+    const { body, contentType } = formatProblem({
+      statusCode: 400,
+      message: 'Invalid body',
+      errorCode: ERROR_CODE.VALIDATIONERR,
+    });
+
+    assert.strictEqual(contentType, PROBLEM_CONTENT_TYPE);
+    assert.strictEqual(body.type, 'https://docs.example.com/errors/validation-error');
+    assert.strictEqual(body.title, 'Bad Request');
+  });
+
+  await test('should hide the message of unexpected errors', async () => {
+    const { request } = createTestServer({ errorFormatter: 'problem+json' }, handlers);
+    const response = await request('GET', '/orders/crash');
+    const problem = response.data;
+
+    assert.strictEqual(response.statusCode, 500);
+    assert.strictEqual(problem.title, 'Internal Server Error');
+    assert.doesNotMatch(JSON.stringify(problem), /connection string/);
+  });
+
+  await test('should use custom formatters for handler errors', async () => {
+    const descriptions = [];
+    const { request } = createTestServer(
+      {
+        errorFormatter(description) {
+          descriptions.push(description);
+          return { body: { error: description.errorCode, path: description.request.path } };
+        },
+      },
+      handlers
+    );
+
+    const notFound = await request('GET', '/orders/7');
+    assert.strictEqual(notFound.statusCode, 404);
+    assert.deepStrictEqual(notFound.data, { error: ERROR_CODE.NOTFOUND, path: '/orders/7' });
+    assert.strictEqual(descriptions[0].error.message, 'Order not found');
+  });
+
+  await test('should fall back to the envelope when the formatter throws', async () => {
+    const { request } = createTestServer(
+      {
+        errorFormatter() {
+          throw new Error('formatter bug');
+        },
+      },
+      handlers
+    );
+    const response = await request('GET', '/orders/7');
+
+    assert.strictEqual(response.statusCode, 404);
+    assert.strictEqual(response.data.message, 'Order not found');
+  });
+
+  await test('should reject unknown formatters', async () => {
+    assert.throws(
+      () => createTestServer({ errorFormatter: 'xml' }),
+      /Unknown error formatter: xml/
+    );
+  });
+
+  console.log(`✅ Error Formatter Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runErrorFormattersTests;
@@ -0,0 +1,181 @@
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const { Readable } = require('stream');
+const httpMocker = require('node-mocks-http');
+const createHandler = require('../create-handler');
+const { formatServerSentEvent, sendHandlerResult } = require('../send-response');
+const { createTestServer, sleep } = require('./helpers');
+
+async function runHandlerResultsTests() {
+  console.log('🧪 Running Handler Result Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  function createResultServer(result) {
+    return createTestServer({}, [
+      createHandler({
+        path: '/result',
+        method: 'get',
+        async handler() {
+          return typeof result === 'function' ? result() : result;
+        },
+      }),
+    ]);
+  }
+
+  async function getResult(result) {
+    const { request } = createResultServer(result);
+    return request('GET', '/result');
+  }
+
+  await test('should send raw data without the envelope', async () => {
+    const jsonResponse = await getResult({ raw: true, data: { id: 1 } });
+    assert.deepStrictEqual(jsonResponse.data, { id: 1 });
+
+    const textResponse = await getResult({ raw: true, data: 'plain text' });
+    assert.strictEqual(textResponse.data, 'plain text');
+    assert.match(textResponse.responseObject.getHeader('content-type'), /^text\/plain/);
+  });
+
+  await test('should send files as attachments with their content type', async () => {
+    const response = await getResult({
+      raw: true,
+      data: Buffer.from('id,name\n1,Ada\n'),
+      contentType: 'text/csv',
+      filename: 'users.csv',
+    });
+
+    assert.match(response.responseObject.getHeader('content-type'), /^text\/csv/);
+    assert.strictEqual(
+      response.responseObject.getHeader('content-disposition'),
+      'attachment; filename="users.csv"'
+    );
+    assert.strictEqual(response.data.toString(), 'id,name\n1,Ada\n');
+  });
+
+  await test('should set headers and cookies', async () => {
+    const response = await getResult({
+      status: 201,
+      data: { created: true },
+      headers: { 'X-Resource-Id': '42' },
+      cookies: {
+        theme: 'dark',
+        session: { value: 'abc', httpOnly: true, maxAge: 60_000 },
+        legacy: null,
+      },
+    });
+
+    const { cookies } = response.responseObject;
+    assert.strictEqual(response.statusCode, 201);
+    assert.deepStrictEqual(response.data.data, { created: true });
+    assert.strictEqual(response.responseObject.getHeader('X-Resource-Id'), '42');
+    assert.strictEqual(cookies.theme.value, 'dark');
+    assert.strictEqual(cookies.session.value, 'abc');
+    assert.strictEqual(cookies.session.options.httpOnly, true);
+    assert.strictEqual(cookies.legacy.value, '');
+    assert.ok(cookies.legacy.options.expires < new Date());
+  });
+
+  await test('should redirect with 302 unless a status is given', async () => {
+    const temporary = await getResult({ redirect: '/login' });
+    assert.strictEqual(temporary.statusCode, 302);
+    assert.strictEqual(temporary.responseObject._getRedirectUrl(), '/login');
+
+    const permanent = await getResult({ status: 301, redirect: 'https://example.com/new' });
+    assert.strictEqual(permanent.statusCode, 301);
+    assert.strictEqual(permanent.responseObject._getRedirectUrl(), 'https://example.com/new');
+  });
+
+  await test('should write streams to the response', async () => {
+    const response = await getResult(() => ({
+      stream: Readable.from(['first,', 'second']),
+      contentType: 'text/plain',
+    }));
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.data, 'first,second');
+  });
+
+  await test('should send async iterables as Server-Sent Events', async () => {
+    async function* events() {
+      yield 'ready';
+      yield { event: 'progress', id: '2', data: { percent: 50 } };
+    }
+    const response = await getResult(() => ({
+      stream: events(),
+      contentType: 'text/event-stream',
+    }));
+
+    assert.strictEqual(response.responseObject.getHeader('cache-control'), 'no-cache');
+    assert.strictEqual(
+      response.data,
+      'data: ready\n\nevent: progress\nid: 2\ndata: {"percent":50}\n\n'
+    );
+    assert.strictEqual(
+      formatServerSentEvent({ data: 'line one\nline two', retry: 1000 }),
+      'retry: 1000\ndata: line one\ndata: line two\n\n'
+    );
+  });
+
+  await test('should drop the connection when a stream fails after it started', async () => {
+    async function* failingRows() {
+      yield 'row 1\n';
+      throw new Error('cursor lost');
+    }
+    await assert.rejects(
+      getResult(() => ({ stream: failingRows() })),
+      /cursor lost/
+    );
+  });
+
+  await test('should stop a waiting event stream once the client disconnects', async () => {
+    let generatorFinished = false;
+    async function* events() {
+      try {
+        yield 'connected';
+        // Waits far longer than the test for the next event
+        await sleep(200);
+        yield 'never sent';
+      } finally {
+        generatorFinished = true;
+      }
+    }
+
+    const expressResponse = httpMocker.createResponse({ eventEmitter: EventEmitter });
+    const sending = sendHandlerResult(
+      expressResponse,
+      { stream: events(), contentType: 'text/event-stream' },
+      { statusCode: 200 }
+    );
+
+    await sleep(10);
+    expressResponse.emit('close');
+
+    const startedAt = Date.now();
+    await sending;
+    assert.ok(Date.now() - startedAt < 50);
+    assert.strictEqual(expressResponse._getData(), 'data: connected\n\n');
+
+    // The generator finishes at its next yield instead of sending another event
+    await sleep(250);
+    assert.strictEqual(generatorFinished, true);
+    assert.strictEqual(expressResponse._getData(), 'data: connected\n\n');
+  });
+
+  console.log(`✅ Handler Result Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runHandlerResultsTests;
@@ -0,0 +1,160 @@
+const assert = require('assert');
+const http = require('http');
+const { checkConnection } = require('@app-core/mongoose');
+const createHandler = require('../create-handler');
+const createServer = require('../server');
+const { createTestServer, getFreePort, sleep } = require('./helpers');
+
+function get(port, path) {
+  return new Promise((resolve, reject) => {
+    http
+      .get({ host: '127.0.0.1', port, path, agent: false }, (res) => {
+        let body = '';
+        res.on('data', (chunk) => {
+          body += chunk;
+        });
+        res.on('end', () => resolve({ statusCode: res.statusCode, data: JSON.parse(body) }));
+      })
+      .on('error', reject);
+  });
+}
+
+async function runHealthTests() {
+  console.log('🧪 Running Health and Shutdown Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  await test('should respond on /healthz while the process is up', async () => {
+    const { request } = createTestServer({ readinessChecks: { db: () => false } });
+    const response = await request('GET', '/healthz');
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(response.data, { status: 'ok' });
+  });
+
+  await test('should report every readiness check on /readyz', async () => {
+    const { request } = createTestServer({
+      readinessChecks: { db: async () => {}, cache: () => true },
+    });
+    const response = await request('GET', '/readyz');
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.data.status, 'ok');
+    assert.deepStrictEqual(Object.keys(response.data.checks).sort(), ['cache', 'db']);
+    assert.strictEqual(response.data.checks.db.status, 'ok');
+    assert.strictEqual(typeof response.data.checks.db.duration_ms, 'number');
+  });
+
+  await test('should fail /readyz when a check throws or returns false', async () => {
+    const { request } = createTestServer({
+      readinessChecks: {
+        db: async () => {},
+        queue: () => false,
+        mongoose: checkConnection,
+      },
+    });
+    const response = await request('GET', '/readyz');
+
+    assert.strictEqual(response.statusCode, 503);
+    assert.strictEqual(response.data.status, 'error');
+    assert.strictEqual(response.data.checks.db.status, 'ok');
+    assert.strictEqual(response.data.checks.queue.error, 'Check failed');
+    assert.strictEqual(response.data.checks.mongoose.error, 'Mongoose connection is disconnected');
+  });
+
+  await test('should not serve health routes when disabled', async () => {
+    const { request } = createTestServer({ health: false });
+    await assert.rejects(request('GET', '/healthz'), /Cannot GET/);
+    await assert.rejects(request('GET', '/readyz'), /Cannot GET/);
+  });
+
+  await test('should fail /readyz and run onShutdown in order once stopping', async () => {
+    const cleanups = [];
+    const { server, request } = createTestServer({
+      onShutdown: [
+        async () => {
+          await sleep(10);
+          cleanups.push('queues');
+        },
+        async () => cleanups.push('database'),
+      ],
+    });
+
+    assert.strictEqual(await server.stopServer(), 0);
+    assert.deepStrictEqual(cleanups, ['queues', 'database']);
+
+    const response = await request('GET', '/readyz');
+    assert.strictEqual(response.statusCode, 503);
+    assert.strictEqual(response.data.message, 'Server is shutting down.');
+  });
+
+  await test('should exit with 1 when shutdown takes longer than the timeout', async () => {
+    const { server } = createTestServer({
+      shutdownTimeout: 20,
+      onShutdown: [() => sleep(200)],
+    });
+    assert.strictEqual(await server.stopServer(), 1);
+
+    const { server: failingServer } = createTestServer({
+      onShutdown: [
+        async () => {
+          throw new Error('close failed');
+        },
+      ],
+    });
+    assert.strictEqual(await failingServer.stopServer(), 1);
+  });
+
+  await test('should finish in-flight requests before stopping', async () => {
+    const port = await getFreePort();
+    const sigtermListeners = process.listeners('SIGTERM');
+    const server = createServer({ port });
+    server.addHandler(
+      createHandler({
+        path: '/slow',
+        method: 'get',
+        async handler() {
+          await sleep(100);
+          return { data: { finished: true } };
+        },
+      })
+    );
+    server.startServer();
+
+    try {
+      await sleep(20);
+      const inFlightRequest = get(port, '/slow');
+      await sleep(20);
+
+      const exitCode = await server.stopServer();
+      const response = await inFlightRequest;
+
+      assert.strictEqual(exitCode, 0);
+      assert.strictEqual(response.statusCode, 200);
+      assert.deepStrictEqual(response.data.data, { finished: true });
+      await assert.rejects(get(port, '/healthz'), /ECONNREFUSED/);
+    } finally {
+      process
+        .listeners('SIGTERM')
+        .filter((listener) => !sigtermListeners.includes(listener))
+        .forEach((listener) => process.removeListener('SIGTERM', listener));
+    }
+  });
+
+  console.log(`✅ Health and Shutdown Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runHealthTests;
@@ -0,0 +1,110 @@
+const http = require('http');
+const simulateRequest = require('@app-core/mock-server/simulate-request');
+const createServer = require('../server');
+
+/**
+ * Create a server with the given handlers and a function that sends requests to it without opening a port.
+ * @param {import('../server').ExpressServerConfig} [serverConfig]
+ * @param {import('../create-handler').HandlerConfiguration[]} [handlers]
+ */
+function createTestServer(serverConfig = {}, handlers = []) {
+  const server = createServer(serverConfig);
+  handlers.forEach((handler) => server.addHandler(handler));
+
+  /**
+   * @param {string} method
+   * @param {string} path
+   * @param {Object} [requestConfig] - body, query, headers and IP of the request.
+   */
+  function request(method, path, requestConfig = {}) {
+    return simulateRequest(server, { method, path, requestConfig: { ...requestConfig } });
+  }
+
+  return { server, request };
+}
+
+/**
+ * Serve a server on a free local port, for tests that need real sockets e.g. streamed request bodies.
+ * @param {ReturnType<typeof createServer>} server
+ * @returns {Promise<{port: number, close: function(): Promise<void>}>}
+ */
+async function listen(server) {
+  const httpServer = http.createServer((req, res) => server.executeRequest(req, res));
+  await new Promise((resolve) => {
+    httpServer.listen(0, '127.0.0.1', resolve);
+  });
+
+  return {
+    port: httpServer.address().port,
+    close: () =>
+      new Promise((resolve) => {
+        httpServer.closeAllConnections();
+        httpServer.close(resolve);
+      }),
+  };
+}
+
+/**
+ * Find a port that is free to listen on, for tests that start the server itself.
+ * @returns {Promise<number>}
+ */
+async function getFreePort() {
+  const probe = http.createServer();
+  await new Promise((resolve) => {
+    probe.listen(0, '127.0.0.1', resolve);
+  });
+  const { port } = probe.address();
+  await new Promise((resolve) => {
+    probe.close(resolve);
+  });
+  return port;
+}
+
+/**
+ * Send a request to a server started with listen and read the whole response.
+ * @param {number} port
+ * @param {string} method
+ * @param {string} path
+ * @param {{headers?: Object<string, string>, body?: string|Buffer}} [requestConfig]
+ * @returns {Promise<{statusCode: number, headers: import('http').IncomingHttpHeaders, body: string}>}
+ */
+function send(port, method, path, requestConfig = {}) {
+  const { headers = {}, body } = requestConfig;
+
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      { host: '127.0.0.1', port, method, path, headers, agent: false },
+      (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => {
+          resolve({
+            statusCode: res.statusCode,
+            headers: res.headers,
+            body: Buffer.concat(chunks).toString(),
+          });
+        });
+      }
+    );
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Wait for the given number of milliseconds.
+ * @param {number} ms
+ */
+function sleep(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+module.exports = {
+  createTestServer,
+  getFreePort,
+  listen,
+  send,
+  sleep,
+};
@@ -0,0 +1,278 @@
+const assert = require('assert');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const createHandler = require('../create-handler');
+const { mergeHooks } = require('../hooks');
+const { createTestServer, sleep } = require('./helpers');
+
+async function runHooksTests() {
+  console.log('🧪 Running Lifecycle Hook Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a server whose hooks, middleware and handler record the order they run in.
+   * @param {Object} [options]
+   * @param {Object} [options.handlerHooks]
+   * @param {function(Object): Object} [options.handler]
+   * @param {function(Object): Object} [options.middleware]
+   */
+  function createRecordingServer(options = {}) {
+    const calls = [];
+    const record = (name) => () => {
+      calls.push(name);
+    };
+
+    const middleware = createHandler({
+      method: 'middleware',
+      async handler(rc) {
+        calls.push('middleware');
+        return options.middleware ? options.middleware(rc) : {};
+      },
+    });
+
+    const { request } = createTestServer(
+      {
+        hooks: {
+          onRequest: record('server onRequest'),
+          preHandler: record('server preHandler'),
+          onSend: record('server onSend'),
+          onError: record('server onError'),
+          onResponse: record('server onResponse'),
+        },
+      },
+      [
+        createHandler({
+          path: '/orders',
+          method: 'post',
+          middlewares: [middleware],
+          bodySpec: `root {
+            quantity number
+          }`,
+          hooks: {
+            onRequest: [record('handler onRequest'), record('handler onRequest 2')],
+            preHandler: record('handler preHandler'),
+            onSend: record('handler onSend'),
+            onError: record('handler onError'),
+            onResponse: record('handler onResponse'),
+            ...options.handlerHooks,
+          },
+          async handler(rc) {
+            calls.push('handler');
+            return options.handler ? options.handler(rc) : { status: 201, data: rc.body };
+          },
+        }),
+      ]
+    );
+
+    return { request, calls };
+  }
+
+  await test('should run the hooks in order, server hooks first', async () => {
+    const { request, calls } = createRecordingServer();
+
+    const response = await request('POST', '/orders', { body: { quantity: 2 } });
+    await sleep(5);
+
+    assert.strictEqual(response.statusCode, 201);
+    assert.deepStrictEqual(calls, [
+      'server onRequest',
+      'handler onRequest',
+      'handler onRequest 2',
+      'middleware',
+      'server preHandler',
+      'handler preHandler',
+      'handler',
+      'server onSend',
+      'handler onSend',
+      'server onResponse',
+      'handler onResponse',
+    ]);
+  });
+
+  await test('should pass the parsed body to onRequest, before validation', async () => {
+    let requestBody;
+    const { request, calls } = createRecordingServer({
+      handlerHooks: {
+        onRequest: (rc) => {
+          requestBody = rc.body;
+        },
+      },
+    });
+
+    const response = await request('POST', '/orders', { body: { quantity: 'two' } });
+    await sleep(5);
+
+    assert.strictEqual(response.statusCode, 400);
+    assert.deepStrictEqual(requestBody, { quantity: 'two' });
+    assert.ok(!calls.includes('middleware'));
+    assert.ok(calls.includes('server onError') && calls.includes('handler onError'));
+  });
+
+  await test('should reject the request when onRequest or preHandler throws', async () => {
+    const rejectingHook = () => throwAppError('Requests are paused', ERROR_CODE.PERMERR);
+
+    const onRequestServer = createRecordingServer({ handlerHooks: { onRequest: rejectingHook } });
+    const onRequestResponse = await onRequestServer.request('POST', '/orders', {
+      body: { quantity: 2 },
+    });
+    assert.strictEqual(onRequestResponse.statusCode, 401);
+    assert.strictEqual(onRequestResponse.data.message, 'Requests are paused');
+    assert.ok(!onRequestServer.calls.includes('middleware'));
+
+    const preHandlerServer = createRecordingServer({ handlerHooks: { preHandler: rejectingHook } });
+    const preHandlerResponse = await preHandlerServer.request('POST', '/orders', {
+      body: { quantity: 2 },
+    });
+    assert.strictEqual(preHandlerResponse.statusCode, 401);
+    assert.ok(preHandlerServer.calls.includes('middleware'));
+    assert.ok(!preHandlerServer.calls.includes('handler'));
+  });
+
+  await test('should skip preHandler when a middleware ends the chain', async () => {
+    const { request, calls } = createRecordingServer({
+      middleware: () => ({ endHandlerChain: true, data: { cached: true } }),
+    });
+
+    const response = await request('POST', '/orders', { body: { quantity: 2 } });
+    await sleep(5);
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(response.data.data, { cached: true });
+    assert.ok(!calls.includes('server preHandler') && !calls.includes('handler'));
+    assert.ok(calls.includes('handler onSend') && calls.includes('handler onResponse'));
+  });
+
+  await test('should let onSend change the status, body and headers', async () => {
+    const { request } = createRecordingServer({
+      handlerHooks: {
+        onSend: [
+          (rc, { body }) => ({ body: { ...body, data: { ...body.data, signed: false } } }),
+          (rc, { statusCode, body }) => ({
+            statusCode: statusCode + 1,
+            body: { ...body, data: { ...body.data, signed: true } },
+            headers: { 'X-Signature': 'sig' },
+          }),
+        ],
+      },
+      handler: () => ({ status: 201, data: { id: 1 }, headers: { 'X-Signature': 'handler' } }),
+    });
+
+    const response = await request('POST', '/orders', { body: { quantity: 2 } });
+
+    assert.strictEqual(response.statusCode, 202);
+    assert.deepStrictEqual(response.data.data, { id: 1, signed: true });
+    assert.strictEqual(response.responseObject.getHeader('X-Signature'), 'sig');
+  });
+
+  await test('should not pass raw results to onSend', async () => {
+    const { request, calls } = createRecordingServer({
+      handler: () => ({ raw: true, data: 'plain text' }),
+    });
+
+    const response = await request('POST', '/orders', { body: { quantity: 2 } });
+
+    assert.strictEqual(response.data, 'plain text');
+    assert.ok(!calls.includes('server onSend'));
+  });
+
+  await test('should let onError replace the error by returning or throwing it', async () => {
+    const { request } = createRecordingServer({
+      handler: () => {
+        const error = new Error('E11000 duplicate key');
+        error.code = 11000;
+        throw error;
+      },
+      handlerHooks: {
+        onError: [
+          (rc, error) => {
+            if (error.code === 11000) throwAppError('Order already exists', ERROR_CODE.DUPLRCRD);
+          },
+          (rc, error) => {
+            assert.strictEqual(error.message, 'Order already exists');
+            return undefined;
+          },
+        ],
+      },
+    });
+
+    const response = await request('POST', '/orders', { body: { quantity: 2 } });
+
+    assert.strictEqual(response.statusCode, 409);
+    assert.strictEqual(response.data.message, 'Order already exists');
+
+    const { request: returningRequest } = createRecordingServer({
+      handler: () => {
+        throw new Error('connection lost');
+      },
+      handlerHooks: {
+        onError: () => new Error('still hidden'),
+      },
+    });
+    const hiddenResponse = await returningRequest('POST', '/orders', { body: { quantity: 2 } });
+    assert.strictEqual(hiddenResponse.statusCode, 500);
+    assert.notStrictEqual(hiddenResponse.data.message, 'still hidden');
+  });
+
+  await test('should run onSend on error responses', async () => {
+    const { request } = createRecordingServer({
+      handler: () => throwAppError('Order not found', ERROR_CODE.NOTFOUND),
+      handlerHooks: {
+        onSend: (rc, { statusCode, body }) => ({ body: { ...body, code: statusCode } }),
+      },
+    });
+
+    const response = await request('POST', '/orders', { body: { quantity: 2 } });
+
+    assert.strictEqual(response.statusCode, 404);
+    assert.strictEqual(response.data.code, 404);
+  });
+
+  await test('should not let onResponse failures affect the response', async () => {
+    let responseComponents;
+    const { request } = createRecordingServer({
+      handlerHooks: {
+        onResponse: [
+          (rc, rs) => {
+            responseComponents = rs;
+          },
+          async () => {
+            throw new Error('audit log unavailable');
+          },
+        ],
+      },
+    });
+
+    const response = await request('POST', '/orders', { body: { quantity: 2 } });
+    await sleep(5);
+
+    assert.strictEqual(response.statusCode, 201);
+    assert.strictEqual(responseComponents.statusCode, 201);
+    assert.deepStrictEqual(responseComponents.body.data, { quantity: 2 });
+  });
+
+  await test('should reject unknown hooks and hooks that are not functions', async () => {
+    assert.throws(() => mergeHooks({ onRequets: () => {} }), /Unknown hook: onRequets/);
+    assert.throws(() => mergeHooks({ onSend: 'sign' }), /The onSend hook must be a function/);
+
+    const merged = mergeHooks({ onSend: () => {} }, undefined, { onSend: [() => {}, () => {}] });
+    assert.strictEqual(merged.onSend.length, 3);
+    assert.deepStrictEqual(merged.onError, []);
+  });
+
+  console.log(`✅ Lifecycle Hook Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runHooksTests;
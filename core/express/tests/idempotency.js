@@ -0,0 +1,255 @@
+const assert = require('assert');
+const models = require('@app/models');
+const createMemoryModel = require('@app-core/repository-factory/tests/memory-model');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const createHandler = require('../create-handler');
+const { createMemoryStore, createMongoStore } = require('../idempotency-stores');
+const { createTestServer } = require('./helpers');
+
+async function runIdempotencyTests() {
+  console.log('🧪 Running Idempotency Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // The mongo store creates its repository on first use, so it picks up this memory model
+  Object.assign(models, {
+    IdempotencyKey: createMemoryModel('idempotency_keys', { uniqueFields: ['key'] }),
+  });
+
+  function createPaymentServer(handler, options = {}) {
+    const { idempotent = { store: createMemoryStore() }, middlewares } = options;
+    let calls = 0;
+    const testServer = createTestServer({}, [
+      createHandler({
+        path: '/payments',
+        method: 'post',
+        idempotent,
+        middlewares,
+        async handler(rc) {
+          calls++;
+          return handler(rc, calls);
+        },
+      }),
+    ]);
+    return { ...testServer, getCalls: () => calls };
+  }
+
+  function pay(request, key, body = { amount: 100 }, headers = {}) {
+    return request('POST', '/payments', {
+      body,
+      headers: { ...headers, ...(key && { 'idempotency-key': key }) },
+    });
+  }
+
+  await test('should replay the first response for the same key and body', async () => {
+    const { request, getCalls } = createPaymentServer((rc, calls) => ({
+      status: 201,
+      data: { paymentId: `payment-${calls}` },
+    }));
+
+    const first = await pay(request, 'key-1');
+    const retry = await pay(request, 'key-1');
+
+    assert.strictEqual(getCalls(), 1);
+    assert.strictEqual(retry.statusCode, 201);
+    assert.deepStrictEqual(retry.data.data, first.data.data);
+    assert.strictEqual(retry.responseObject.getHeader('Idempotent-Replayed'), 'true');
+    assert.strictEqual(first.responseObject.getHeader('Idempotent-Replayed'), undefined);
+  });
+
+  await test('should process requests without a key every time', async () => {
+    const { request, getCalls } = createPaymentServer(() => ({ data: {} }));
+
+    await pay(request);
+    await pay(request);
+    assert.strictEqual(getCalls(), 2);
+  });
+
+  await test('should reject the same key with a different body', async () => {
+    const { request, getCalls } = createPaymentServer(() => ({ data: {} }));
+
+    await pay(request, 'key-1', { amount: 100 });
+    const response = await pay(request, 'key-1', { amount: 200 });
+
+    assert.strictEqual(response.statusCode, 409);
+    assert.match(response.data.message, /different request body/);
+    assert.strictEqual(getCalls(), 1);
+  });
+
+  await test('should reject the same key while the first request is running', async () => {
+    let finishFirstRequest;
+    const { request } = createPaymentServer(
+      () =>
+        new Promise((resolve) => {
+          finishFirstRequest = () => resolve({ data: {} });
+        })
+    );
+
+    const firstRequest = pay(request, 'key-1');
+    const response = await pay(request, 'key-1');
+    finishFirstRequest();
+
+    assert.strictEqual(response.statusCode, 409);
+    assert.match(response.data.message, /still being processed/);
+    assert.strictEqual((await firstRequest).statusCode, 200);
+  });
+
+  await test('should release the key when the request fails', async () => {
+    const { request, getCalls } = createPaymentServer((rc, calls) => {
+      if (calls === 1) throwAppError('Card declined', ERROR_CODE.VALIDATIONERR);
+      if (calls === 2) throw new Error('database unavailable');
+      return { data: { attempt: calls } };
+    });
+
+    assert.strictEqual((await pay(request, 'key-1')).statusCode, 400);
+    assert.strictEqual((await pay(request, 'key-1')).statusCode, 500);
+    assert.deepStrictEqual((await pay(request, 'key-1')).data.data, { attempt: 3 });
+    assert.deepStrictEqual((await pay(request, 'key-1')).data.data, { attempt: 3 });
+    assert.strictEqual(getCalls(), 3);
+  });
+
+  await test('should scope keys by the authenticated user', async () => {
+    const authenticate = createHandler({
+      method: 'middleware',
+      async handler(rc) {
+        return { augments: { meta: { user: { id: rc.headers['x-user'] } } } };
+      },
+    });
+    const { request, getCalls } = createPaymentServer(
+      (rc) => ({ data: { user: rc.meta.user.id } }),
+      { middlewares: [authenticate] }
+    );
+
+    const first = await pay(request, 'key-1', undefined, { 'x-user': 'a' });
+    const second = await pay(request, 'key-1', undefined, { 'x-user': 'b' });
+
+    assert.strictEqual(getCalls(), 2);
+    assert.deepStrictEqual([first.data.data.user, second.data.data.user], ['a', 'b']);
+  });
+
+  await test('should keep responses in the idempotency_keys collection', async () => {
+    const { request, getCalls } = createPaymentServer(() => ({ status: 201, data: {} }), {
+      idempotent: { store: createMongoStore() },
+    });
+
+    await pay(request, 'key-mongo');
+    const retry = await pay(request, 'key-mongo');
+
+    assert.strictEqual(getCalls(), 1);
+    assert.strictEqual(retry.statusCode, 201);
+    assert.strictEqual(models.IdempotencyKey.records.length, 1);
+    assert.strictEqual(models.IdempotencyKey.records[0].status, 'completed');
+  });
+
+  await test('should claim keys whose record has expired but is not removed yet', async () => {
+    const store = createMongoStore();
+    const { records } = models.IdempotencyKey;
+    records.push({
+      _id: 'expired-record',
+      key: 'expired',
+      body_hash: 'old',
+      status: 'completed',
+      expires_at: new Date(0),
+    });
+
+    assert.strictEqual(await store.claim('expired', 'new', 60_000), null);
+    assert.deepStrictEqual(await store.claim('expired', 'other', 60_000), {
+      bodyHash: 'new',
+      status: 'processing',
+      response: undefined,
+    });
+
+    await store.release('expired');
+    assert.strictEqual(
+      records.some((record) => record.key === 'expired'),
+      false
+    );
+  });
+
+  await test('should let only one request claim an expired key', async () => {
+    const { records } = models.IdempotencyKey;
+    records.push({
+      _id: 'expired-racing-record',
+      key: 'racing',
+      body_hash: 'old',
+      status: 'completed',
+      expires_at: new Date(0),
+    });
+
+    // Both requests read the expired record, and the second one only goes on once the first has claimed the key
+    const model = models.IdempotencyKey;
+    const { findOne } = model;
+    let reads = 0;
+    let releaseFirstRead;
+    const secondRead = new Promise((resolve) => {
+      releaseFirstRead = resolve;
+    });
+    let firstClaim;
+    model.findOne = async (query) => {
+      const record = await findOne(query);
+      reads++;
+      const read = reads;
+      if (read === 1) await secondRead;
+      if (read === 2) {
+        releaseFirstRead();
+        await firstClaim;
+      }
+      return record;
+    };
+
+    const pendingClaims = [
+      createMongoStore().claim('racing', 'first', 60_000),
+      createMongoStore().claim('racing', 'second', 60_000),
+    ];
+    firstClaim = Promise.race(pendingClaims);
+    let claims;
+    try {
+      claims = await Promise.all(pendingClaims);
+    } finally {
+      model.findOne = findOne;
+    }
+
+    const racingRecords = records.filter((record) => record.key === 'racing');
+    assert.strictEqual(racingRecords.length, 1);
+    assert.deepStrictEqual(claims, [
+      null,
+      { bodyHash: racingRecords[0].body_hash, status: 'processing', response: undefined },
+    ]);
+  });
+
+  await test('should refuse idempotent GET and HEAD handlers', async () => {
+    ['get', 'head'].forEach((method) => {
+      assert.throws(
+        () =>
+          createTestServer({}, [
+            createHandler({
+              path: '/payments',
+              method,
+              idempotent: true,
+              async handler() {
+                return { status: 200, data: [] };
+              },
+            }),
+          ]),
+        /can't be idempotent/
+      );
+    });
+  });
+
+  console.log(`✅ Idempotency Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runIdempotencyTests;
@@ -0,0 +1,47 @@
+const assert = require('assert');
+const { generateKeyPairSync } = require('crypto');
+const { createTestServer } = require('./helpers');
+
+async function runJWKSTests() {
+  console.log('🧪 Running JWKS Route Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  const { privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  process.env.JWT_KEYS = JSON.stringify([
+    { kid: 'route-key', privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }) },
+  ]);
+
+  await test('should serve the key set without the response envelope', async () => {
+    const { request } = createTestServer({ jwks: true });
+    const response = await request('GET', '/.well-known/jwks.json');
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(Object.keys(response.data), ['keys']);
+    assert.strictEqual(response.data.keys[0].kid, 'route-key');
+    assert.strictEqual(response.data.keys[0].alg, 'ES256');
+    assert.strictEqual(response.data.keys[0].d, undefined);
+  });
+
+  await test('should not serve the key set unless enabled', async () => {
+    const { request } = createTestServer();
+    await assert.rejects(request('GET', '/.well-known/jwks.json'), /Cannot GET/);
+  });
+
+  console.log(`✅ JWKS Route Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runJWKSTests;
@@ -0,0 +1,190 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const loadRoutes = require('../load-routes');
+const { createTestServer } = require('./helpers');
+
+/**
+ * Write files into a new temporary directory.
+ * @param {Object<string, string>} files - File contents keyed by path relative to the directory.
+ * @returns {string} The directory.
+ */
+function writeRouteTree(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'routes-'));
+  Object.entries(files).forEach(([filePath, content]) => {
+    const absolutePath = path.join(dir, filePath);
+    fs.mkdirSync(path.dirname(absolutePath), { recursive: true });
+    fs.writeFileSync(absolutePath, content);
+  });
+  return dir;
+}
+
+function handlerFile(method, handlerPath, extra = '') {
+  return `module.exports = {
+  method: '${method}',
+  path: '${handlerPath}',
+  ${extra}
+  async handler(rc) {
+    return { data: { path: rc.properties.handlerPath, meta: rc.meta } };
+  },
+};
+`;
+}
+
+function middlewareFile(name) {
+  return `module.exports = {
+  method: 'middleware',
+  name: '${name}',
+  async handler() {
+    return { augments: { meta: { ${name}: true } } };
+  },
+};
+`;
+}
+
+async function runLoadRoutesTests() {
+  console.log('🧪 Running Route Discovery Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  const dirs = [];
+  function createRouteTree(files) {
+    const dir = writeRouteTree(files);
+    dirs.push(dir);
+    return dir;
+  }
+
+  const authMiddleware = { method: 'middleware', name: 'auth', handler: async () => ({}) };
+
+  function describeRoutes(routes) {
+    return routes
+      .map(({ handler }) => `${handler.method} ${handler.path}`)
+      .sort()
+      .join(', ');
+  }
+
+  try {
+    await test('should prefix handlers with their folder names', async () => {
+      const dir = createRouteTree({
+        'health.js': handlerFile('get', '/status'),
+        'identities/create.js': handlerFile('post', '/'),
+        'identities/documents/list.js': handlerFile('get', '/:id/documents'),
+        'identities/index.js': handlerFile('get', '/index-is-skipped'),
+        'identities/_helpers.js': handlerFile('get', '/helpers-are-skipped'),
+        'identities/constants.js': 'module.exports = { LIMIT: 10 };',
+        'identities/notes.txt': 'not a route',
+      });
+
+      const routes = loadRoutes(dir);
+      assert.strictEqual(
+        describeRoutes(routes),
+        'get /identities/documents/:id/documents, get /status, post /identities'
+      );
+
+      const createRoute = routes.find((route) => route.name === 'create');
+      assert.strictEqual(createRoute.prefix, '/identities');
+      assert.strictEqual(createRoute.file, path.join(dir, 'identities/create.js'));
+
+      assert.strictEqual(
+        describeRoutes(loadRoutes(dir, { prefix: '/api' })),
+        'get /api/identities/documents/:id/documents, get /api/status, post /api/identities'
+      );
+    });
+
+    await test('should apply folder configs to the handlers below them', async () => {
+      const dir = createRouteTree({
+        'admin/_config.js': `module.exports = {
+  prefix: '/internal',
+  auth: true,
+  version: 'v2',
+  middlewares: [require('../_middlewares/audit')],
+};
+`,
+        'admin/users/_config.js': `module.exports = {
+  prefix: '',
+  deprecated: true,
+  middlewares: [require('../../_middlewares/tenant')],
+};
+`,
+        'admin/users/list.js': handlerFile('get', '/users'),
+        'admin/users/legacy.js': handlerFile('get', '/legacy', "version: 'v1', deprecated: false,"),
+        '_middlewares/audit.js': middlewareFile('audit'),
+        '_middlewares/tenant.js': middlewareFile('tenant'),
+      });
+
+      const routes = loadRoutes(dir, { authMiddleware });
+      const list = routes.find((route) => route.name === 'list');
+      const legacy = routes.find((route) => route.name === 'legacy');
+
+      assert.strictEqual(list.handler.path, '/internal/users');
+      assert.deepStrictEqual(
+        list.handler.middlewares.map((middleware) => middleware.name),
+        ['auth', 'audit', 'tenant']
+      );
+      assert.strictEqual(list.handler.version, 'v2');
+      assert.strictEqual(list.handler.deprecated, true);
+      assert.strictEqual(list.config.auth, true);
+
+      assert.strictEqual(legacy.handler.version, 'v1');
+      assert.strictEqual(legacy.handler.deprecated, false);
+
+      // Without an authMiddleware the auth setting adds nothing
+      const [unauthenticatedList] = loadRoutes(dir).filter((route) => route.name === 'list');
+      assert.deepStrictEqual(
+        unauthenticatedList.handler.middlewares.map((middleware) => middleware.name),
+        ['audit', 'tenant']
+      );
+    });
+
+    await test('should reject handlers with the same method, path and version', async () => {
+      const dir = createRouteTree({
+        'orders/list.js': handlerFile('get', '/'),
+        'orders/list-v2.js': handlerFile('get', '/', "version: '2',"),
+        'orders/all.js': handlerFile('get', '/'),
+      });
+
+      assert.throws(() => loadRoutes(dir), /Duplicate route GET \/orders in .* and .*/);
+
+      fs.rmSync(path.join(dir, 'orders/all.js'));
+      assert.strictEqual(loadRoutes(dir).length, 2);
+    });
+
+    await test('should serve the loaded handlers', async () => {
+      const dir = createRouteTree({
+        'accounts/_config.js': `module.exports = { middlewares: [require('../_tenant')] };\n`,
+        'accounts/get.js': handlerFile('get', '/:id'),
+        '_tenant.js': middlewareFile('tenant'),
+      });
+
+      const { server, request } = createTestServer();
+      loadRoutes(dir).forEach(({ handler }) => server.addHandler(handler));
+
+      const response = await request('GET', '/accounts/42');
+      assert.strictEqual(response.statusCode, 200);
+      assert.deepStrictEqual(response.data.data, {
+        path: '/accounts/:id',
+        meta: { tenant: true },
+      });
+    });
+  } finally {
+    dirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+  }
+
+  console.log(`✅ Route Discovery Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runLoadRoutesTests;
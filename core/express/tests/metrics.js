@@ -0,0 +1,80 @@
+const assert = require('assert');
+const { CONTENT_TYPE } = require('@app-core/metrics');
+const createHandler = require('../create-handler');
+const { createTestServer, sleep } = require('./helpers');
+
+async function runServerMetricsTests() {
+  console.log('🧪 Running Server Metrics Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  const orderHandler = createHandler({
+    path: '/metrics-test/orders/:id',
+    method: 'get',
+    async handler(rc) {
+      if (rc.params.id === 'missing') throw new Error('lookup failed');
+      return { data: {} };
+    },
+  });
+
+  await test('should serve the registry in the Prometheus text format', async () => {
+    const { request } = createTestServer({ metrics: true }, [orderHandler]);
+    await request('GET', '/metrics-test/orders/1');
+    await request('GET', '/metrics-test/orders/2');
+    await request('GET', '/metrics-test/orders/missing');
+    // Requests are counted once their handling finishes, just after the response is sent
+    await sleep(5);
+
+    const response = await request('GET', '/metrics');
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.responseObject.getHeader('content-type'), CONTENT_TYPE);
+
+    const lines = response.data.split('\n');
+    assert.ok(lines.includes('# TYPE http_requests_total counter'));
+    assert.ok(
+      lines.includes(
+        'http_requests_total{method="get",handler_path="/metrics-test/orders/:id",status_code="200"} 2'
+      )
+    );
+    assert.ok(
+      lines.includes(
+        'http_requests_total{method="get",handler_path="/metrics-test/orders/:id",status_code="500"} 1'
+      )
+    );
+    assert.ok(
+      lines.some((line) =>
+        line.startsWith(
+          'http_request_duration_seconds_count{method="get",handler_path="/metrics-test/orders/:id",status_code="200"}'
+        )
+      )
+    );
+  });
+
+  await test('should serve the registry on a custom path', async () => {
+    const { request } = createTestServer({ metrics: { path: '/internal/metrics' } });
+    assert.strictEqual((await request('GET', '/internal/metrics')).statusCode, 200);
+    await assert.rejects(request('GET', '/metrics'), /Cannot GET/);
+  });
+
+  await test('should not serve the registry unless enabled', async () => {
+    const { request } = createTestServer();
+    await assert.rejects(request('GET', '/metrics'), /Cannot GET/);
+  });
+
+  console.log(`✅ Server Metrics Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runServerMetricsTests;
@@ -0,0 +1,137 @@
+const assert = require('assert');
+const createHandler = require('../create-handler');
+const parseDuration = require('../parse-duration');
+const { createRateLimiter, createGlobalRateLimiter } = require('../rate-limit');
+const { createMemoryStore } = require('../rate-limit-stores');
+const { createTestServer, sleep } = require('./helpers');
+
+async function runRateLimitTests() {
+  console.log('🧪 Running Rate Limit Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  function createPingHandler(rateLimit, middlewares) {
+    return createHandler({
+      path: '/ping',
+      method: 'get',
+      rateLimit,
+      middlewares,
+      async handler() {
+        return { status: 200, data: { pong: true } };
+      },
+    });
+  }
+
+  await test('should parse windows in milliseconds and duration strings', async () => {
+    assert.strictEqual(parseDuration(500), 500);
+    assert.strictEqual(parseDuration('250'), 250);
+    assert.strictEqual(parseDuration('30s'), 30_000);
+    assert.strictEqual(parseDuration('15m'), 900_000);
+    assert.strictEqual(parseDuration('1d'), 86_400_000);
+    assert.throws(() => parseDuration('soon'), /Invalid duration: soon/);
+  });
+
+  await test('should require a positive max', async () => {
+    assert.throws(() => createRateLimiter({ max: 0 }, 'test'), /positive number for test/);
+  });
+
+  await test('should reject requests over the limit with 429 and Retry-After', async () => {
+    const { request } = createTestServer({}, [
+      createPingHandler({ max: 2, window: '1m', store: createMemoryStore() }),
+    ]);
+
+    const first = await request('GET', '/ping');
+    assert.strictEqual(first.statusCode, 200);
+    assert.strictEqual(first.responseObject.getHeader('RateLimit-Limit'), '2');
+    assert.strictEqual(first.responseObject.getHeader('RateLimit-Remaining'), '1');
+
+    await request('GET', '/ping');
+    const rejected = await request('GET', '/ping');
+    assert.strictEqual(rejected.statusCode, 429);
+    assert.strictEqual(rejected.data.message, 'Too many requests. Please try again later.');
+    assert.strictEqual(rejected.responseObject.getHeader('RateLimit-Remaining'), '0');
+    assert.ok(Number(rejected.responseObject.getHeader('Retry-After')) > 0);
+
+    // Other clients have their own counter
+    const otherClient = await request('GET', '/ping', { IP: '10.0.0.2' });
+    assert.strictEqual(otherClient.statusCode, 200);
+  });
+
+  await test('should count handler limits per authenticated user', async () => {
+    const authenticate = createHandler({
+      method: 'middleware',
+      async handler(rc) {
+        return { augments: { meta: { user: { id: rc.headers['x-user'] } } } };
+      },
+    });
+    const { request } = createTestServer({}, [
+      createPingHandler({ max: 1, key: 'user', store: createMemoryStore() }, [authenticate]),
+    ]);
+
+    assert.strictEqual(
+      (await request('GET', '/ping', { headers: { 'x-user': 'a' } })).statusCode,
+      200
+    );
+    assert.strictEqual(
+      (await request('GET', '/ping', { headers: { 'x-user': 'b' } })).statusCode,
+      200
+    );
+    assert.strictEqual(
+      (await request('GET', '/ping', { headers: { 'x-user': 'a' } })).statusCode,
+      429
+    );
+  });
+
+  await test('should count global limits separately from handler limits', async () => {
+    const { request } = createTestServer({ rateLimit: { max: 1, store: createMemoryStore() } }, [
+      createPingHandler({ max: 5, store: createMemoryStore() }),
+    ]);
+
+    assert.strictEqual((await request('GET', '/ping')).statusCode, 200);
+    assert.strictEqual((await request('GET', '/ping')).statusCode, 429);
+  });
+
+  await test('should not key the global limit by user', async () => {
+    assert.throws(() => createGlobalRateLimiter({ max: 10, key: 'user' }), /can't use key "user"/);
+    assert.throws(() => createTestServer({ rateLimit: { max: 10, key: 'user' } }), /key "user"/);
+  });
+
+  await test('should let requests through when the store fails', async () => {
+    const failingStore = {
+      async increment() {
+        throw new Error('store unavailable');
+      },
+    };
+    const { request } = createTestServer({}, [createPingHandler({ max: 1, store: failingStore })]);
+
+    assert.strictEqual((await request('GET', '/ping')).statusCode, 200);
+    assert.strictEqual((await request('GET', '/ping')).statusCode, 200);
+  });
+
+  await test('should start a new window once the current one ends', async () => {
+    const store = createMemoryStore();
+    const first = await store.increment('key', 20);
+    const second = await store.increment('key', 20);
+    assert.deepStrictEqual([first.count, second.count], [1, 2]);
+
+    await sleep(30);
+    assert.strictEqual((await store.increment('key', 20)).count, 1);
+  });
+
+  console.log(`✅ Rate Limit Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runRateLimitTests;
@@ -0,0 +1,112 @@
+const assert = require('assert');
+const { ERROR_CODE } = require('@app-core/errors');
+const createHandler = require('../create-handler');
+const createServer = require('../server');
+const { listen, send } = require('./helpers');
+
+async function runRequestBodyTests() {
+  console.log('🧪 Running Request Body Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  let errorHookCodes = [];
+  const server = createServer({
+    JSONLimit: '1kb',
+    hooks: {
+      onError: (rc, error) => {
+        errorHookCodes.push(error.errorCode);
+      },
+    },
+  });
+  [
+    { path: '/notes', bodyLimit: undefined },
+    { path: '/payment-instructions', bodyLimit: '100b', contentTypes: ['application/json'] },
+  ].forEach(({ path, bodyLimit, contentTypes }) => {
+    server.addHandler(
+      createHandler({
+        path,
+        method: 'post',
+        bodyLimit,
+        contentTypes,
+        async handler(rc) {
+          return { status: 201, data: { body: rc.body } };
+        },
+      })
+    );
+  });
+  const { port, close } = await listen(server);
+
+  function post(path, body, contentType = 'application/json') {
+    return send(port, 'POST', path, {
+      headers: { 'content-type': contentType },
+      body,
+    }).then((response) => ({ ...response, data: JSON.parse(response.body) }));
+  }
+
+  try {
+    await test('should parse JSON bodies within the limit', async () => {
+      const response = await post('/notes', JSON.stringify({ text: 'a'.repeat(900) }));
+      assert.strictEqual(response.statusCode, 201);
+      assert.strictEqual(response.data.data.body.text.length, 900);
+    });
+
+    await test('should reject bodies over the server or handler limit with 413', async () => {
+      errorHookCodes = [];
+      const tooLarge = await post('/notes', JSON.stringify({ text: 'a'.repeat(1100) }));
+      assert.strictEqual(tooLarge.statusCode, 413);
+      assert.strictEqual(tooLarge.data.message, 'The request body is larger than the 1kb allowed.');
+      assert.deepStrictEqual(tooLarge.data.data, { limit: '1kb' });
+
+      const overHandlerLimit = await post(
+        '/payment-instructions',
+        JSON.stringify({ text: 'a'.repeat(200) })
+      );
+      assert.strictEqual(overHandlerLimit.statusCode, 413);
+      assert.deepStrictEqual(overHandlerLimit.data.data, { limit: '100b' });
+      assert.deepStrictEqual(errorHookCodes, [ERROR_CODE.BODYTOOLARGE, ERROR_CODE.BODYTOOLARGE]);
+    });
+
+    await test('should reject content types the handler does not accept with 415', async () => {
+      const response = await post('/payment-instructions', 'amount=1', 'text/plain');
+      assert.strictEqual(response.statusCode, 415);
+      assert.match(response.data.message, /Unsupported content type text\/plain/);
+
+      // Any type is accepted when the handler doesn't list them
+      assert.strictEqual((await post('/notes', 'amount=1', 'text/plain')).statusCode, 201);
+    });
+
+    await test('should accept requests without a body', async () => {
+      const response = await send(port, 'POST', '/payment-instructions');
+      assert.strictEqual(response.statusCode, 201);
+      assert.deepStrictEqual(JSON.parse(response.body).data.body, {});
+    });
+
+    await test('should reject malformed JSON with 400', async () => {
+      const response = await post('/notes', '{"text":');
+      assert.strictEqual(response.statusCode, 400);
+      assert.strictEqual(
+        response.data.message,
+        'Error encountered in parsing request payload. Please check payload and try again'
+      );
+    });
+  } finally {
+    await close();
+  }
+
+  console.log(`✅ Request Body Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runRequestBodyTests;
@@ -0,0 +1,184 @@
+const assert = require('assert');
+const http = require('http');
+const HttpRequest = require('@app-core/http-request');
+const { requestContext } = require('@app-core/logger');
+const tracing = require('@app-core/tracing');
+const createHandler = require('../create-handler');
+const { createTestServer, sleep } = require('./helpers');
+
+/**
+ * Start a server on a free port that responds with the headers of the requests it gets.
+ */
+async function startEchoServer() {
+  const echoServer = http.createServer((req, res) => {
+    res.setHeader('content-type', 'application/json');
+    res.end(JSON.stringify({ headers: req.headers }));
+  });
+  await new Promise((resolve) => {
+    echoServer.listen(0, '127.0.0.1', resolve);
+  });
+  return echoServer;
+}
+
+async function runRequestIdTests() {
+  console.log('🧪 Running Request ID Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  const echoHandler = createHandler({
+    path: '/request-id',
+    method: 'get',
+    async handler(rc) {
+      await sleep(Number(rc.query.delay) || 0);
+      return {
+        data: {
+          propertiesId: rc.properties.requestId,
+          contextId: requestContext.getContext().requestId,
+        },
+      };
+    },
+  });
+
+  await test('should generate an id for every request', async () => {
+    const { request } = createTestServer({}, [echoHandler]);
+    const first = await request('GET', '/request-id');
+    const second = await request('GET', '/request-id');
+
+    const requestId = first.responseObject.getHeader('x-request-id');
+    assert.match(requestId, /^[0-9A-HJKMNP-TV-Z]{26}$/);
+    assert.deepStrictEqual(first.data.data, { propertiesId: requestId, contextId: requestId });
+    assert.notStrictEqual(second.responseObject.getHeader('x-request-id'), requestId);
+  });
+
+  await test('should use a valid X-Request-Id header from the client', async () => {
+    const { request } = createTestServer({}, [echoHandler]);
+    const response = await request('GET', '/request-id', {
+      headers: { 'x-request-id': 'upstream-id:42' },
+    });
+
+    assert.strictEqual(response.responseObject.getHeader('x-request-id'), 'upstream-id:42');
+    assert.strictEqual(response.data.data.contextId, 'upstream-id:42');
+  });
+
+  await test('should replace invalid X-Request-Id headers', async () => {
+    const { request } = createTestServer({}, [echoHandler]);
+
+    await Promise.all(
+      ['id with spaces', 'x'.repeat(129), 'id\nwith-newline'].map(async (incomingId) => {
+        const response = await request('GET', '/request-id', {
+          headers: { 'x-request-id': incomingId },
+        });
+        assert.notStrictEqual(response.data.data.contextId, incomingId);
+        assert.match(response.data.data.contextId, /^[0-9A-Z]{26}$/);
+      })
+    );
+  });
+
+  await test('should keep the id of each request across async calls', async () => {
+    const { request } = createTestServer({}, [echoHandler]);
+    const responses = await Promise.all(
+      ['a', 'b', 'c'].map((id, index) =>
+        request('GET', '/request-id', {
+          query: { delay: 30 - index * 10 },
+          headers: { 'x-request-id': id },
+        })
+      )
+    );
+
+    assert.deepStrictEqual(
+      responses.map((response) => response.data.data.contextId),
+      ['a', 'b', 'c']
+    );
+  });
+
+  await test('should not set ids when generateRequestIds is off', async () => {
+    const { request } = createTestServer({ generateRequestIds: false }, [echoHandler]);
+    const response = await request('GET', '/request-id');
+
+    assert.strictEqual(response.responseObject.getHeader('x-request-id'), undefined);
+    assert.deepStrictEqual(response.data.data, {});
+  });
+
+  await test('should forward the id on HTTP calls made while handling a request', async () => {
+    const echoServer = await startEchoServer();
+    const echoURL = `http://127.0.0.1:${echoServer.address().port}`;
+
+    try {
+      const { request } = createTestServer({}, [
+        createHandler({
+          path: '/outbound',
+          method: 'get',
+          async handler() {
+            const response = await HttpRequest.get(echoURL, { headers: { 'x-caller': 'test' } });
+            return { data: response.data.headers };
+          },
+        }),
+      ]);
+
+      const response = await request('GET', '/outbound', { headers: { 'x-request-id': 'req-1' } });
+      assert.strictEqual(response.data.data['x-request-id'], 'req-1');
+      assert.strictEqual(response.data.data['x-caller'], 'test');
+
+      // Outside of a request there is no id to forward
+      const { data } = await HttpRequest.get(echoURL);
+      assert.strictEqual(data.headers['x-request-id'], undefined);
+    } finally {
+      echoServer.close();
+    }
+  });
+
+  await test('should only start a new trace on HTTP calls while tracing is on', async () => {
+    const echoServer = await startEchoServer();
+    const echoURL = `http://127.0.0.1:${echoServer.address().port}`;
+    const traceId = 'e'.repeat(32);
+    const incomingTraceparent = `00-${traceId}-${'f'.repeat(16)}-00`;
+
+    try {
+      const { request } = createTestServer({}, [
+        createHandler({
+          path: '/outbound',
+          method: 'get',
+          async handler() {
+            const response = await HttpRequest.get(echoURL);
+            return { data: response.data.headers };
+          },
+        }),
+      ]);
+
+      const untraced = await request('GET', '/outbound');
+      assert.strictEqual(untraced.data.data.traceparent, undefined);
+
+      const forwarded = await request('GET', '/outbound', {
+        headers: { traceparent: incomingTraceparent },
+      });
+      assert.strictEqual(forwarded.data.data.traceparent, incomingTraceparent);
+
+      tracing.configureTracing({ exporter: 'memory' });
+      const traced = await request('GET', '/outbound', {
+        headers: { traceparent: incomingTraceparent },
+      });
+      assert.match(traced.data.data.traceparent, new RegExp(`^00-${traceId}-[0-9a-f]{16}-01$`));
+      assert.notStrictEqual(traced.data.data.traceparent, incomingTraceparent);
+    } finally {
+      tracing.configureTracing({ exporter: null });
+      echoServer.close();
+    }
+  });
+
+  console.log(`✅ Request ID Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runRequestIdTests;
@@ -0,0 +1,183 @@
+const assert = require('assert');
+const models = require('@app/models');
+const createMemoryModel = require('@app-core/repository-factory/tests/memory-model');
+const repositoryFactory = require('@app-core/repository-factory');
+const { requestContext } = require('@app-core/logger');
+const { ERROR_CODE } = require('@app-core/errors');
+const createHandler = require('../create-handler');
+const { createMongoStore } = require('../idempotency-stores');
+const { createTestServer, sleep } = require('./helpers');
+
+async function runRequestTimeoutTests() {
+  console.log('🧪 Running Request Timeout Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // The mongo store creates its repository on first use, so it picks up this memory model
+  Object.assign(models, {
+    IdempotencyKey: createMemoryModel('idempotency_keys', { uniqueFields: ['key'] }),
+  });
+
+  /**
+   * A model that records the options of its queries and answers after the given delay.
+   * @param {number} delayMs
+   */
+  function createSlowModel(delayMs) {
+    const calls = [];
+    const SlowModel = createMemoryModel('reports');
+    const { findOne } = SlowModel;
+    SlowModel.findOne = async (query, projections, options) => {
+      calls.push(options);
+      await sleep(delayMs);
+      return findOne(query);
+    };
+    return { SlowModel, calls };
+  }
+
+  await test('should respond with 504 when the handler ignores the timeout', async () => {
+    let handlerSignal;
+    const { request } = createTestServer({}, [
+      createHandler({
+        path: '/reports',
+        method: 'get',
+        timeoutMs: 20,
+        async handler(rc) {
+          handlerSignal = rc.signal;
+          await sleep(60);
+          return { status: 200, data: {} };
+        },
+      }),
+    ]);
+
+    const response = await request('GET', '/reports');
+
+    assert.strictEqual(response.statusCode, 504);
+    assert.strictEqual(response.data.message, 'The request did not complete within 20ms.');
+    assert.ok(handlerSignal.aborted);
+    assert.strictEqual(handlerSignal.reason.errorCode, ERROR_CODE.TIMEOUTERR);
+  });
+
+  await test('should use the server timeout unless the handler sets its own', async () => {
+    const { request } = createTestServer({ timeoutMs: 20 }, [
+      createHandler({
+        path: '/slow',
+        method: 'get',
+        async handler() {
+          await sleep(60);
+          return { status: 200, data: {} };
+        },
+      }),
+      createHandler({
+        path: '/export',
+        method: 'get',
+        timeoutMs: 200,
+        async handler() {
+          await sleep(60);
+          return { status: 200, data: { done: true } };
+        },
+      }),
+    ]);
+
+    assert.strictEqual((await request('GET', '/slow')).statusCode, 504);
+    assert.deepStrictEqual((await request('GET', '/export')).data.data, { done: true });
+  });
+
+  await test('should cap queries at the time left and stop querying after the timeout', async () => {
+    const { SlowModel, calls } = createSlowModel(40);
+    const reportRepository = repositoryFactory(SlowModel);
+    let lateQueryError;
+
+    const { request } = createTestServer({}, [
+      createHandler({
+        path: '/reports',
+        method: 'get',
+        timeoutMs: 30,
+        async handler() {
+          await reportRepository.findOne({ query: { _id: '1' } });
+          await reportRepository.findOne({ query: { _id: '2' } }).catch((e) => {
+            lateQueryError = e;
+          });
+          return { status: 200, data: {} };
+        },
+      }),
+    ]);
+
+    assert.strictEqual((await request('GET', '/reports')).statusCode, 504);
+    await sleep(20);
+
+    assert.strictEqual(calls.length, 1);
+    assert.ok(calls[0].maxTimeMS > 0 && calls[0].maxTimeMS <= 30);
+    assert.strictEqual(calls[0].lean, true);
+    assert.strictEqual(lateQueryError.errorCode, ERROR_CODE.TIMEOUTERR);
+  });
+
+  await test('should release the idempotency key of a timed out request', async () => {
+    let calls = 0;
+    const { request } = createTestServer({}, [
+      createHandler({
+        path: '/payments',
+        method: 'post',
+        timeoutMs: 20,
+        idempotent: { store: createMongoStore() },
+        async handler() {
+          calls++;
+          if (calls === 1) await sleep(60);
+          return { status: 201, data: { attempt: calls } };
+        },
+      }),
+    ]);
+    const pay = () =>
+      request('POST', '/payments', {
+        body: { amount: 100 },
+        headers: { 'idempotency-key': 'timeout-key' },
+      });
+
+    assert.strictEqual((await pay()).statusCode, 504);
+    assert.strictEqual(models.IdempotencyKey.records.length, 0);
+
+    const retry = await pay();
+    assert.strictEqual(retry.statusCode, 201);
+    assert.deepStrictEqual(retry.data.data, { attempt: 2 });
+    assert.strictEqual(models.IdempotencyKey.records[0].status, 'completed');
+  });
+
+  await test('should run cleanup without the signal and deadline of the request', async () => {
+    const abortController = new AbortController();
+    abortController.abort(new Error('gone'));
+    const context = { requestId: 'req-1', signal: abortController.signal, deadline: Date.now() };
+
+    const cleanupContext = await requestContext.runWithContext(context, async () => {
+      const innerContext = requestContext.runWithoutCancellation(() => requestContext.getContext());
+      assert.strictEqual(requestContext.getContext().signal, abortController.signal);
+      return innerContext;
+    });
+
+    assert.deepStrictEqual(cleanupContext, { requestId: 'req-1' });
+
+    const { SlowModel, calls } = createSlowModel(0);
+    const reportRepository = repositoryFactory(SlowModel);
+    await requestContext.runWithContext(context, async () => {
+      await assert.rejects(reportRepository.findOne({ query: {} }), /gone/);
+      await requestContext.runWithoutCancellation(() => reportRepository.findOne({ query: {} }));
+    });
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].maxTimeMS, undefined);
+  });
+
+  console.log(`✅ Request Timeout Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runRequestTimeoutTests;
@@ -0,0 +1,283 @@
+const assert = require('assert');
+const createHandler = require('../create-handler');
+const { invalidateCache } = require('../response-cache');
+const { createMemoryStore, createRedisStore } = require('../response-cache-stores');
+const { createTestServer, sleep } = require('./helpers');
+
+/**
+ * An ioredis client that records the commands sent to it and keeps string values and sets in memory.
+ */
+function createFakeRedisClient() {
+  const values = new Map();
+  const commands = [];
+
+  const run = {
+    get: (key) => values.get(key) ?? null,
+    set: (key, value) => {
+      values.set(key, value);
+      return 'OK';
+    },
+    sadd: (key, member) => {
+      if (!values.has(key)) values.set(key, new Set());
+      values.get(key).add(member);
+      return 1;
+    },
+    smembers: (key) => [...(values.get(key) || [])],
+    unlink: (...keys) => keys.filter((key) => values.delete(key)).length,
+    eval: () => null,
+  };
+
+  const client = { values, commands };
+  Object.entries(run).forEach(([name, command]) => {
+    client[name] = async (...args) => {
+      commands.push([name, ...args]);
+      return command(...args);
+    };
+  });
+
+  client.multi = () => {
+    const queued = [];
+    const transaction = {
+      exec: async () => queued.map(([name, ...args]) => [null, run[name](...args)]),
+    };
+    Object.keys(run).forEach((name) => {
+      transaction[name] = (...args) => {
+        commands.push([name, ...args]);
+        queued.push([name, ...args]);
+        return transaction;
+      };
+    });
+    return transaction;
+  };
+  client.pipeline = client.multi;
+
+  return client;
+}
+
+async function runResponseCacheTests() {
+  console.log('🧪 Running Response Cache Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  const authenticate = createHandler({
+    method: 'middleware',
+    async handler(rc) {
+      const userId = rc.headers['x-user'];
+      return userId ? { augments: { meta: { user: { id: userId } } } } : {};
+    },
+  });
+
+  /**
+   * Create a server with a cached product handler that counts how often it runs.
+   * @param {import('../response-cache').CacheConfig} cache
+   * @param {function(Object, number): Object} [handler]
+   */
+  function createProductServer(cache, handler) {
+    let calls = 0;
+    const testServer = createTestServer({}, [
+      createHandler({
+        path: '/products/:id',
+        method: 'get',
+        middlewares: [authenticate],
+        cache: { store: createMemoryStore(), ...cache },
+        async handler(rc) {
+          calls++;
+          if (handler) return handler(rc, calls);
+          return { status: 200, data: { id: rc.params.id, user: rc.meta.user?.id, calls } };
+        },
+      }),
+    ]);
+    return { ...testServer, getCalls: () => calls };
+  }
+
+  await test('should send cached responses with an ETag', async () => {
+    const { request, getCalls } = createProductServer({ ttl: '1m' });
+
+    const miss = await request('GET', '/products/1');
+    const hit = await request('GET', '/products/1');
+    const etag = miss.responseObject.getHeader('ETag');
+
+    assert.strictEqual(miss.responseObject.getHeader('X-Cache'), 'MISS');
+    assert.strictEqual(hit.responseObject.getHeader('X-Cache'), 'HIT');
+    assert.deepStrictEqual(hit.data, miss.data);
+    assert.strictEqual(hit.responseObject.getHeader('ETag'), etag);
+    assert.strictEqual(getCalls(), 1);
+
+    const notModified = await request('GET', '/products/1', {
+      headers: { 'if-none-match': `W/${etag}` },
+    });
+    assert.strictEqual(notModified.statusCode, 304);
+
+    await request('GET', '/products/2');
+    await request('GET', '/products/1', { query: { fields: 'name' } });
+    assert.strictEqual(getCalls(), 3);
+  });
+
+  await test('should not share responses between users by default', async () => {
+    const { request, getCalls } = createProductServer({});
+
+    const first = await request('GET', '/products/1', { headers: { 'x-user': 'a' } });
+    const second = await request('GET', '/products/1', { headers: { 'x-user': 'b' } });
+    await request('GET', '/products/1', { headers: { 'x-user': 'a' } });
+
+    assert.strictEqual(first.data.data.user, 'a');
+    assert.strictEqual(second.data.data.user, 'b');
+    assert.strictEqual(getCalls(), 2);
+
+    // Callers only told apart by their credentials don't share responses either
+    const withKey = await request('GET', '/products/1', { headers: { authorization: 'Key 1' } });
+    const withOtherKey = await request('GET', '/products/1', {
+      headers: { authorization: 'Key 2' },
+    });
+    assert.strictEqual(withKey.responseObject.getHeader('X-Cache'), 'MISS');
+    assert.strictEqual(withOtherKey.responseObject.getHeader('X-Cache'), 'MISS');
+    assert.strictEqual(getCalls(), 4);
+  });
+
+  await test('should share responses for the same custom key', async () => {
+    const shared = createProductServer({ key: (rc) => rc.params.id });
+    await shared.request('GET', '/products/1', { headers: { 'x-user': 'a' } });
+    const other = await shared.request('GET', '/products/1', { headers: { 'x-user': 'b' } });
+
+    assert.strictEqual(other.data.data.user, 'a');
+    assert.strictEqual(shared.getCalls(), 1);
+
+    const perUser = createProductServer({
+      key: (rc) => rc.params.id,
+      varyBy: ['user', 'Accept-Language'],
+    });
+    await perUser.request('GET', '/products/1', { headers: { 'x-user': 'a' } });
+    await perUser.request('GET', '/products/1', { headers: { 'x-user': 'b' } });
+    await perUser.request('GET', '/products/1', {
+      headers: { 'x-user': 'b', 'accept-language': 'fr' },
+    });
+    assert.strictEqual(perUser.getCalls(), 3);
+  });
+
+  await test('should only cache successful responses without cookies', async () => {
+    const { request, getCalls } = createProductServer({}, (rc, calls) => {
+      if (rc.params.id === 'missing') return { status: 404, data: {} };
+      return { status: 200, data: { calls }, cookies: { seen: { value: '1' } } };
+    });
+
+    await request('GET', '/products/missing');
+    await request('GET', '/products/missing');
+    await request('GET', '/products/1');
+    const second = await request('GET', '/products/1');
+
+    assert.strictEqual(getCalls(), 4);
+    assert.strictEqual(second.responseObject.getHeader('X-Cache'), undefined);
+  });
+
+  await test('should expire entries after the ttl', async () => {
+    const { request, getCalls } = createProductServer({ ttl: 20 });
+
+    await request('GET', '/products/1');
+    await request('GET', '/products/1');
+    await sleep(30);
+    await request('GET', '/products/1');
+
+    assert.strictEqual(getCalls(), 2);
+  });
+
+  await test('should drop the least recently used entries once full', async () => {
+    const store = createMemoryStore({ maxEntries: 2 });
+    await store.set('a', { body: 'a' }, 60000, ['letters']);
+    await store.set('b', { body: 'b' }, 60000);
+    await store.get('a');
+    await store.set('c', { body: 'c' }, 60000, ['letters']);
+
+    assert.deepStrictEqual(await store.get('a'), { body: 'a' });
+    assert.strictEqual(await store.get('b'), null);
+
+    await store.invalidateTags(['letters']);
+    assert.strictEqual(await store.get('a'), null);
+    assert.strictEqual(await store.get('c'), null);
+  });
+
+  await test('should invalidate tagged responses', async () => {
+    const { request, getCalls } = createProductServer({
+      tags: (rc, data) => ['products', `product:${data.id}`],
+    });
+
+    await request('GET', '/products/1');
+    await request('GET', '/products/2');
+    await invalidateCache('product:1');
+    await request('GET', '/products/1');
+    await request('GET', '/products/2');
+    assert.strictEqual(getCalls(), 3);
+
+    await invalidateCache(['products']);
+    await request('GET', '/products/2');
+    assert.strictEqual(getCalls(), 4);
+  });
+
+  await test('should invalidate the given stores', async () => {
+    const store = createMemoryStore();
+    const otherStore = createMemoryStore();
+    await store.set('a', { body: 'a' }, 60000, ['letters']);
+    await otherStore.set('a', { body: 'a' }, 60000, ['letters']);
+
+    await invalidateCache('letters', { stores: [store] });
+
+    assert.strictEqual(await store.get('a'), null);
+    assert.deepStrictEqual(await otherStore.get('a'), { body: 'a' });
+  });
+
+  await test('should extend tag ttls in redis without PEXPIRE flags', async () => {
+    const client = createFakeRedisClient();
+    const store = createRedisStore({ client, prefix: 'test:' });
+
+    await store.set('a', { body: 'a' }, 5000, ['letters']);
+    assert.deepStrictEqual(await store.get('a'), { body: 'a' });
+
+    const [set, sadd, extendTtl] = client.commands;
+    assert.deepStrictEqual(set, ['set', 'test:a', '{"body":"a"}', 'PX', 5000]);
+    assert.deepStrictEqual(sadd, ['sadd', 'test:tag:letters', 'test:a']);
+    const [command, script, ...scriptArgs] = extendTtl;
+    assert.strictEqual(command, 'eval');
+    assert.deepStrictEqual(scriptArgs, [1, 'test:tag:letters', 5000]);
+    assert.match(script, /PTTL/);
+    assert.ok(!client.commands.some(([name]) => name === 'pexpire'));
+
+    await store.invalidateTags(['letters']);
+    assert.strictEqual(await store.get('a'), null);
+    assert.strictEqual(client.values.size, 0);
+  });
+
+  await test('should unlink the keys of invalidated tags in batches', async () => {
+    const client = createFakeRedisClient();
+    const store = createRedisStore({ client, prefix: 'test:' });
+    await Promise.all(
+      Array.from({ length: 1200 }, (_, index) =>
+        store.set(String(index), { body: index }, 5000, ['numbers'])
+      )
+    );
+
+    client.commands.length = 0;
+    await store.invalidateTags(['numbers']);
+
+    const unlinkedBatches = client.commands
+      .filter(([name]) => name === 'unlink')
+      .map(([, ...keys]) => keys.length);
+    assert.deepStrictEqual(unlinkedBatches, [500, 500, 201]);
+    assert.strictEqual(client.values.size, 0);
+  });
+
+  console.log(`✅ Response Cache Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runResponseCacheTests;
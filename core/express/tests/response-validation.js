@@ -0,0 +1,164 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const createHandler = require('../create-handler');
+const { parseResponseSpecs } = require('../response-validation');
+const { createTestServer } = require('./helpers');
+
+const LOGIN_ENDPOINT_SPEC = fs.readFileSync(
+  path.join(__dirname, '../../../specs/examples/endpoint/login.endpoint.go'),
+  'utf8'
+);
+
+async function runResponseValidationTests() {
+  console.log('🧪 Running Response Validation Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  const userResponseSpec = {
+    200: `root {
+      id string
+      email string
+    }`,
+    default: `root {
+      reason string
+    }`,
+  };
+
+  function createUserHandler(result) {
+    return createHandler({
+      path: '/users/:id',
+      method: 'get',
+      responseSpec: userResponseSpec,
+      async handler() {
+        return result;
+      },
+    });
+  }
+
+  async function getUser(result, serverConfig = {}) {
+    const { request } = createTestServer(serverConfig, [createUserHandler(result)]);
+    return request('GET', '/users/1');
+  }
+
+  await test('should strip fields missing from the spec', async () => {
+    const response = await getUser({
+      data: { id: '1', email: 'ada@example.com', password_hash: 'secret' },
+    });
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(response.data.data, { id: '1', email: 'ada@example.com' });
+  });
+
+  await test('should use the default spec for other status codes', async () => {
+    const response = await getUser({ status: 202, data: { reason: 'queued', internal: 1 } });
+    assert.deepStrictEqual(response.data.data, { reason: 'queued' });
+  });
+
+  await test('should fail responses that do not match in error mode', async () => {
+    const response = await getUser({ data: { id: '1' } }, { responseValidation: 'error' });
+
+    assert.strictEqual(response.statusCode, 500);
+    assert.strictEqual(response.data.message, 'Some error occurred.');
+    assert.strictEqual(response.data.data, undefined);
+    assert.doesNotMatch(JSON.stringify(response.data), /responseSpec|email/);
+  });
+
+  await test('should send the stripped data in warn mode', async () => {
+    const response = await getUser(
+      { data: { id: 1, password_hash: 'secret' } },
+      { responseValidation: 'warn' }
+    );
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(response.data.data, { id: 1 });
+  });
+
+  await test('should not check errors, redirects and raw results', async () => {
+    const failing = createHandler({
+      path: '/users/:id',
+      method: 'get',
+      responseSpec: { 200: userResponseSpec[200] },
+      async handler(rc) {
+        if (rc.params.id === 'missing') throwAppError('User not found', ERROR_CODE.NOTFOUND);
+        return { raw: true, data: 'not json' };
+      },
+    });
+    const { request } = createTestServer({ responseValidation: 'error' }, [failing]);
+
+    assert.strictEqual((await request('GET', '/users/missing')).statusCode, 404);
+    assert.strictEqual((await request('GET', '/users/1')).data, 'not json');
+    assert.strictEqual(
+      (await getUser({ redirect: '/users/2' }, { responseValidation: 'error' })).statusCode,
+      302
+    );
+  });
+
+  await test('should read response blocks from an endpoint spec', async () => {
+    const parsedSpecs = parseResponseSpecs({
+      method: 'post',
+      path: '/login',
+      responseSpec: LOGIN_ENDPOINT_SPEC,
+    });
+    // The 401 block has an empty data block, so there is nothing to check
+    assert.deepStrictEqual(Object.keys(parsedSpecs), ['200']);
+    assert.strictEqual(parsedSpecs[200].description, 'Login successful');
+
+    const { request } = createTestServer({ responseValidation: 'error' }, [
+      createHandler({
+        path: '/login',
+        method: 'post',
+        responseSpec: LOGIN_ENDPOINT_SPEC,
+        async handler() {
+          return {
+            data: {
+              user: {
+                id: '01HZY3D6R8XK4V2N7QJ5T9M1WB',
+                email: 'ada@example.com',
+                first_name: 'Ada',
+                last_name: 'Lovelace',
+                status: 'active',
+                password_hash: 'secret',
+              },
+              token: { access_token: 'token', token_type: 'Bearer', expires_in: 3600 },
+            },
+          };
+        },
+      }),
+    ]);
+
+    const response = await request('POST', '/login');
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.data.data.user.password_hash, undefined);
+    assert.strictEqual(response.data.data.token.expires_in, 3600);
+  });
+
+  await test('should reject invalid response specs', async () => {
+    assert.throws(
+      () => parseResponseSpecs({ method: 'get', path: '/x', responseSpec: 'Orders { id string }' }),
+      /no endpoint with response blocks was found/
+    );
+    assert.throws(
+      () => parseResponseSpecs({ method: 'get', path: '/x', responseSpec: { 200: {} } }),
+      /a root node is required/
+    );
+  });
+
+  console.log(`✅ Response Validation Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runResponseValidationTests;
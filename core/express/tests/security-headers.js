@@ -0,0 +1,131 @@
+const assert = require('assert');
+const createHandler = require('../create-handler');
+const createServer = require('../server');
+const { getSecurityHeaders } = require('../security-headers');
+const { listen, send } = require('./helpers');
+
+async function runSecurityHeadersTests() {
+  console.log('🧪 Running Security Header Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Serve a server with a handler that may set its own headers, and the API docs page.
+   * @param {import('../server').ExpressServerConfig} serverConfig
+   */
+  async function startServer(serverConfig) {
+    const server = createServer({ docs: true, ...serverConfig });
+    server.addHandler(
+      createHandler({
+        path: '/orders',
+        method: 'get',
+        async handler(rc) {
+          const headers = rc.query.frame ? { 'X-Frame-Options': 'SAMEORIGIN' } : undefined;
+          return { status: 200, data: [], headers };
+        },
+      })
+    );
+    return listen(server);
+  }
+
+  await test('should send the default security headers with every response', async () => {
+    const { port, close } = await startServer({ securityHeaders: true });
+    try {
+      const responses = await Promise.all([
+        send(port, 'GET', '/orders'),
+        send(port, 'GET', '/healthz'),
+      ]);
+
+      responses.forEach(({ headers }) => {
+        assert.strictEqual(
+          headers['strict-transport-security'],
+          'max-age=15552000; includeSubDomains'
+        );
+        assert.strictEqual(
+          headers['content-security-policy'],
+          "default-src 'none'; frame-ancestors 'none'"
+        );
+        assert.strictEqual(headers['x-frame-options'], 'DENY');
+        assert.strictEqual(headers['x-content-type-options'], 'nosniff');
+        assert.strictEqual(headers['referrer-policy'], 'no-referrer');
+        assert.strictEqual(headers['x-powered-by'], undefined);
+      });
+
+      // Unmatched routes are answered by express, which sends its own Content-Security-Policy
+      const notFound = await send(port, 'GET', '/missing');
+      assert.strictEqual(notFound.statusCode, 404);
+      assert.strictEqual(notFound.headers['x-frame-options'], 'DENY');
+      assert.strictEqual(notFound.headers['referrer-policy'], 'no-referrer');
+    } finally {
+      await close();
+    }
+  });
+
+  await test('should let handlers and the docs page replace them', async () => {
+    const { port, close } = await startServer({ securityHeaders: true });
+    try {
+      const orders = await send(port, 'GET', '/orders?frame=1');
+      assert.strictEqual(orders.headers['x-frame-options'], 'SAMEORIGIN');
+
+      const docsPage = await send(port, 'GET', '/_docs');
+      assert.strictEqual(docsPage.statusCode, 200);
+      assert.notStrictEqual(
+        docsPage.headers['content-security-policy'],
+        "default-src 'none'; frame-ancestors 'none'"
+      );
+      assert.strictEqual(docsPage.headers['x-content-type-options'], 'nosniff');
+    } finally {
+      await close();
+    }
+  });
+
+  await test('should not send security headers unless enabled', async () => {
+    const { port, close } = await startServer({});
+    try {
+      const { headers } = await send(port, 'GET', '/orders');
+      assert.strictEqual(headers['strict-transport-security'], undefined);
+      assert.strictEqual(headers['content-security-policy'], undefined);
+      assert.strictEqual(headers['x-powered-by'], 'Express');
+    } finally {
+      await close();
+    }
+  });
+
+  await test('should change or leave out single headers', async () => {
+    assert.deepStrictEqual(
+      getSecurityHeaders({
+        hsts: { maxAge: 31536000, includeSubDomains: false, preload: true },
+        contentSecurityPolicy: "default-src 'self'",
+        frameOptions: 'SAMEORIGIN',
+        noSniff: false,
+        referrerPolicy: false,
+      }),
+      {
+        'Strict-Transport-Security': 'max-age=31536000; preload',
+        'Content-Security-Policy': "default-src 'self'",
+        'X-Frame-Options': 'SAMEORIGIN',
+      }
+    );
+    assert.deepStrictEqual(
+      Object.keys(getSecurityHeaders({ hsts: false, contentSecurityPolicy: false })),
+      ['X-Frame-Options', 'X-Content-Type-Options', 'Referrer-Policy']
+    );
+  });
+
+  console.log(`✅ Security Header Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runSecurityHeadersTests;
@@ -0,0 +1,264 @@
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const createHandler = require('../create-handler');
+const createSocketHandler = require('../create-socket-handler');
+const createServer = require('../server');
+const { formatErrorEnvelope } = require('../error-formatters');
+const { broadcast } = require('../socket-rooms');
+const { createRedisAdapter } = require('../socket-adapters');
+const { getFreePort, sleep } = require('./helpers');
+
+/**
+ * Open a WebSocket connection and collect the messages it receives.
+ * @param {string} url
+ * @returns {Promise<{ws: WebSocket, messages: Object[], closed: Promise<number>}>}
+ */
+function connect(url) {
+  const ws = new WebSocket(url);
+  const messages = [];
+  ws.on('message', (data) => messages.push(JSON.parse(data.toString())));
+  const closed = new Promise((resolve) => {
+    ws.on('close', (code) => resolve(code));
+  });
+
+  return new Promise((resolve, reject) => {
+    ws.once('open', () => resolve({ ws, messages, closed }));
+    ws.once('error', reject);
+  });
+}
+
+/**
+ * Open a WebSocket connection that is expected to be refused, and read the response.
+ * @param {string} url
+ * @returns {Promise<{statusCode: number, body: Object}>}
+ */
+function connectRejected(url) {
+  const ws = new WebSocket(url);
+
+  return new Promise((resolve, reject) => {
+    ws.once('open', () => reject(new Error('The connection was accepted')));
+    ws.once('error', () => {});
+    ws.once('unexpected-response', (req, res) => {
+      let body = '';
+      res.on('data', (chunk) => {
+        body += chunk;
+      });
+      res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(body) }));
+    });
+  });
+}
+
+/**
+ * Wait until a condition is met, checking every few milliseconds.
+ * @param {function(): boolean} condition
+ */
+async function waitFor(condition) {
+  for (let attempt = 0; attempt < 100 && !condition(); attempt++) {
+    // eslint-disable-next-line no-await-in-loop
+    await sleep(5);
+  }
+  assert.ok(condition(), 'The condition was not met in time');
+}
+
+async function runSocketsTests() {
+  console.log('🧪 Running WebSocket Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  const formattedRequestURLs = [];
+  const handledMessages = [];
+  const closedSockets = [];
+
+  const authenticate = createHandler({
+    method: 'middleware',
+    async handler(rc) {
+      if (rc.headers.authorization !== 'Bearer secret-token') {
+        throwAppError('Invalid token', ERROR_CODE.NOAUTHERR);
+      }
+      return { augments: { meta: { user: { id: 'user-1' } } } };
+    },
+  });
+
+  const port = await getFreePort();
+  const sigtermListeners = process.listeners('SIGTERM');
+  const server = createServer({
+    port,
+    errorFormatter: (errorDescription) => {
+      formattedRequestURLs.push([
+        errorDescription.request.url,
+        errorDescription.request.originalUrl,
+      ]);
+      return formatErrorEnvelope(errorDescription);
+    },
+  });
+
+  server.addHandler(
+    createSocketHandler({
+      path: '/updates',
+      middlewares: [authenticate],
+      messageSpec: `root {
+        action string(ping|subscribe)
+        room? string
+      }`,
+      async onConnect(socket) {
+        if (socket.rc.query.fail) {
+          await sleep(30);
+          throwAppError('Unknown instruction', ERROR_CODE.NOTFOUND);
+        }
+      },
+      async onMessage(socket, message) {
+        handledMessages.push(message);
+        if (message.action === 'subscribe') {
+          socket.join(message.room);
+          return { event: 'subscribed', room: message.room };
+        }
+        return { event: 'pong', user: socket.rc.meta.user.id, query: socket.rc.query };
+      },
+      async onClose(socket, { code }) {
+        closedSockets.push({ id: socket.id, code, rooms: [...socket.rooms] });
+      },
+    })
+  );
+  server.startServer();
+  await sleep(20);
+
+  const baseURL = `ws://127.0.0.1:${port}`;
+
+  try {
+    await test('should authenticate with the access_token query parameter', async () => {
+      const { ws, messages } = await connect(
+        `${baseURL}/updates?access_token=secret-token&instruction=1`
+      );
+      ws.send(JSON.stringify({ action: 'ping' }));
+      await waitFor(() => messages.length === 1);
+      ws.close();
+
+      assert.deepStrictEqual(messages[0], {
+        event: 'pong',
+        user: 'user-1',
+        query: { instruction: '1' },
+      });
+    });
+
+    await test('should answer invalid messages with an error event', async () => {
+      const { ws, messages } = await connect(`${baseURL}/updates?access_token=secret-token`);
+      ws.send('not json');
+      ws.send(JSON.stringify({ action: 'dance' }));
+      ws.send(JSON.stringify({ action: 'ping' }));
+      await waitFor(() => messages.length === 3);
+      ws.close();
+
+      assert.strictEqual(messages[0].event, 'error');
+      assert.strictEqual(messages[0].message, 'Messages must be valid JSON.');
+      assert.strictEqual(messages[1].errorCode, ERROR_CODE.VALIDATIONERR);
+      assert.strictEqual(messages[2].event, 'pong');
+    });
+
+    await test('should reject the upgrade without passing the token on', async () => {
+      formattedRequestURLs.length = 0;
+
+      const rejected = await connectRejected(`${baseURL}/updates?access_token=wrong-token&a=1`);
+      assert.strictEqual(rejected.statusCode, 401);
+      assert.strictEqual(rejected.body.message, 'Invalid token');
+
+      const notFound = await connectRejected(`${baseURL}/missing?access_token=wrong-token`);
+      assert.strictEqual(notFound.statusCode, 404);
+
+      assert.deepStrictEqual(formattedRequestURLs, [
+        ['/updates?a=1', '/updates?a=1'],
+        ['/missing', '/missing'],
+      ]);
+    });
+
+    await test('should not handle messages once onConnect fails', async () => {
+      handledMessages.length = 0;
+      const { ws, messages, closed } = await connect(
+        `${baseURL}/updates?access_token=secret-token&fail=1`
+      );
+      ws.send(JSON.stringify({ action: 'ping' }));
+      ws.send(JSON.stringify({ action: 'subscribe', room: 'instruction:1' }));
+
+      assert.strictEqual(await closed, 1008);
+      await sleep(10);
+      assert.deepStrictEqual(handledMessages, []);
+      assert.deepStrictEqual(messages, [
+        { event: 'error', message: 'Unknown instruction', errorCode: ERROR_CODE.NOTFOUND },
+      ]);
+    });
+
+    await test('should broadcast to the other sockets in a room', async () => {
+      closedSockets.length = 0;
+      const first = await connect(`${baseURL}/updates?access_token=secret-token`);
+      const second = await connect(`${baseURL}/updates?access_token=secret-token`);
+      [first, second].forEach(({ ws }) =>
+        ws.send(JSON.stringify({ action: 'subscribe', room: 'instruction:1' }))
+      );
+      await waitFor(() => first.messages.length === 1 && second.messages.length === 1);
+
+      await broadcast('instruction:1', { event: 'status', status: 'paid' });
+      await waitFor(() => first.messages.length === 2 && second.messages.length === 2);
+      assert.deepStrictEqual(first.messages[1], { event: 'status', status: 'paid' });
+
+      first.ws.close(4000);
+      await first.closed;
+      await waitFor(() => closedSockets.length === 1);
+      assert.deepStrictEqual(closedSockets[0].rooms, ['instruction:1']);
+      assert.strictEqual(closedSockets[0].code, 4000);
+
+      await broadcast('instruction:1', { event: 'status', status: 'refunded' });
+      await waitFor(() => second.messages.length === 3);
+      second.ws.close();
+    });
+  } finally {
+    await server.stopServer();
+    process
+      .listeners('SIGTERM')
+      .filter((listener) => !sigtermListeners.includes(listener))
+      .forEach((listener) => process.removeListener('SIGTERM', listener));
+  }
+
+  await test('should skip malformed redis broadcasts and leave a given client open', async () => {
+    const quitClients = [];
+    const subscriber = Object.assign(new EventEmitter(), {
+      subscribe: async () => {},
+      quit: async () => quitClients.push('subscriber'),
+    });
+    const client = {
+      duplicate: () => subscriber,
+      quit: async () => quitClients.push('client'),
+    };
+    const received = [];
+    const adapter = createRedisAdapter({ client });
+    await adapter.subscribe((broadcastMessage) => received.push(broadcastMessage));
+
+    subscriber.emit('message', 'ws:broadcast', 'not json');
+    subscriber.emit(
+      'message',
+      'ws:broadcast',
+      JSON.stringify({ instanceId: 'other', room: 'instruction:1', data: { event: 'status' } })
+    );
+    await adapter.close();
+
+    assert.deepStrictEqual(received, [{ room: 'instruction:1', data: { event: 'status' } }]);
+    assert.deepStrictEqual(quitClients, ['subscriber']);
+  });
+
+  console.log(`✅ WebSocket Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runSocketsTests;
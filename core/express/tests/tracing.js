@@ -0,0 +1,131 @@
+const assert = require('assert');
+const tracing = require('@app-core/tracing');
+const repositoryFactory = require('@app-core/repository-factory');
+const createMemoryModel = require('@app-core/repository-factory/tests/memory-model');
+const createHandler = require('../create-handler');
+const { createTestServer, sleep } = require('./helpers');
+
+async function runTracingTests() {
+  console.log('🧪 Running Server Tracing Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  const exporter = tracing.configureTracing({ exporter: 'memory' });
+  const orderRepository = repositoryFactory(createMemoryModel('orders'));
+
+  function findSpan(name) {
+    return exporter.getFinishedSpans().find((span) => span.name === name);
+  }
+
+  const loadUser = createHandler({
+    method: 'middleware',
+    async handler() {
+      return { augments: { meta: { user: { id: 'user-1' } } } };
+    },
+  });
+
+  const { request } = createTestServer({}, [
+    createHandler({
+      path: '/orders/:id',
+      method: 'get',
+      middlewares: [loadUser],
+      async handler(rc) {
+        const order = await orderRepository.findOne({ query: { _id: rc.params.id } });
+        return { data: { order } };
+      },
+    }),
+    createHandler({
+      path: '/failing',
+      method: 'get',
+      async handler() {
+        throw new Error('handler crashed');
+      },
+    }),
+  ]);
+
+  // The response is sent before the server span ends, so give it a moment to finish
+  async function traceRequest(...args) {
+    exporter.reset();
+    const response = await request(...args);
+    await sleep(5);
+    return response;
+  }
+
+  try {
+    await test('should run each request in a server span', async () => {
+      const response = await traceRequest('GET', '/orders/1', {
+        headers: { 'x-request-id': 'req-1' },
+      });
+
+      const serverSpan = findSpan('GET /orders/:id');
+      assert.strictEqual(response.statusCode, 200);
+      assert.strictEqual(serverSpan.kind, tracing.SPAN_KIND.SERVER);
+      assert.strictEqual(serverSpan.parentSpanId, undefined);
+      assert.deepStrictEqual(serverSpan.attributes, {
+        'http.method': 'GET',
+        'http.route': '/orders/:id',
+        'http.target': '/orders/1',
+        'http.request_id': 'req-1',
+        'http.status_code': 200,
+      });
+    });
+
+    await test('should nest middleware and repository spans under the server span', async () => {
+      await traceRequest('GET', '/orders/1');
+
+      const serverSpan = findSpan('GET /orders/:id');
+      const middlewareSpan = findSpan('middleware[0]');
+      const repositorySpan = findSpan('orders.findOne');
+
+      [middlewareSpan, repositorySpan].forEach((span) => {
+        assert.strictEqual(span.traceId, serverSpan.traceId);
+        assert.strictEqual(span.parentSpanId, serverSpan.spanId);
+      });
+      assert.strictEqual(repositorySpan.kind, tracing.SPAN_KIND.CLIENT);
+      assert.strictEqual(repositorySpan.attributes['db.operation.name'], 'findOne');
+      assert.strictEqual(repositorySpan.attributes['db.collection.name'], 'orders');
+    });
+
+    await test('should continue the trace of the caller', async () => {
+      const traceId = 'c'.repeat(32);
+      const spanId = 'd'.repeat(16);
+      await traceRequest('GET', '/orders/1', {
+        headers: { traceparent: `00-${traceId}-${spanId}-01` },
+      });
+
+      const serverSpan = findSpan('GET /orders/:id');
+      assert.deepStrictEqual([serverSpan.traceId, serverSpan.parentSpanId], [traceId, spanId]);
+    });
+
+    await test('should record server errors on the span', async () => {
+      const response = await traceRequest('GET', '/failing');
+
+      const serverSpan = findSpan('GET /failing');
+      assert.strictEqual(response.statusCode, 500);
+      assert.strictEqual(serverSpan.attributes['http.status_code'], 500);
+      assert.deepStrictEqual(serverSpan.status, {
+        code: tracing.SPAN_STATUS.ERROR,
+        message: 'handler crashed',
+      });
+    });
+  } finally {
+    tracing.configureTracing({ exporter: null });
+  }
+
+  console.log(`✅ Server Tracing Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runTracingTests;
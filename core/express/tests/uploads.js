@@ -0,0 +1,271 @@
+const assert = require('assert');
+const http = require('http');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { requestContext } = require('@app-core/logger');
+const createHandler = require('../create-handler');
+const createServer = require('../server');
+const { parseSize } = require('../uploads');
+const { createMemoryStorage } = require('../upload-storage');
+const { createMemoryStore } = require('../rate-limit-stores');
+const { listen, sleep } = require('./helpers');
+
+const BOUNDARY = 'test-boundary';
+
+/**
+ * Build a multipart/form-data body.
+ * @param {Object<string, string>} fields
+ * @param {{field: string, filename: string, type: string, content: string}[]} files
+ */
+function createMultipartBody(fields = {}, files = []) {
+  const parts = Object.entries(fields).map(
+    ([name, value]) =>
+      `--${BOUNDARY}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`
+  );
+  files.forEach(({ field, filename, type, content }) => {
+    parts.push(
+      `--${BOUNDARY}\r\nContent-Disposition: form-data; name="${field}"; filename="${filename}"\r\nContent-Type: ${type}\r\n\r\n${content}\r\n`
+    );
+  });
+  return `${parts.join('')}--${BOUNDARY}--\r\n`;
+}
+
+function postMultipart(port, path, { fields, files, headers = {} }) {
+  const body = createMultipartBody(fields, files);
+
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        host: '127.0.0.1',
+        port,
+        path,
+        method: 'POST',
+        agent: false,
+        headers: {
+          'content-type': `multipart/form-data; boundary=${BOUNDARY}`,
+          'content-length': Buffer.byteLength(body),
+          ...headers,
+        },
+      },
+      (res) => {
+        let responseBody = '';
+        res.on('data', (chunk) => {
+          responseBody += chunk;
+        });
+        res.on('end', () =>
+          resolve({ statusCode: res.statusCode, data: JSON.parse(responseBody) })
+        );
+      }
+    );
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * A memory storage that counts the files saved to it.
+ */
+function createCountingStorage() {
+  const storage = createMemoryStorage();
+  let savedCount = 0;
+  return {
+    ...storage,
+    async save(file) {
+      savedCount++;
+      return storage.save(file);
+    },
+    getSavedCount: () => savedCount,
+  };
+}
+
+async function runUploadsTests() {
+  console.log('🧪 Running Upload Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  const avatar = { field: 'avatar', filename: 'me.png', type: 'image/png', content: 'png-bytes' };
+
+  /**
+   * Serve an upload handler on a free port with the given handler options.
+   */
+  async function startUploadServer(handlerOptions = {}, serverConfig = {}) {
+    const storage = createCountingStorage();
+    const server = createServer(serverConfig);
+    server.addHandler(
+      createHandler({
+        path: '/avatars',
+        method: 'post',
+        uploads: {
+          fields: ['avatar'],
+          maxFileSize: '1kb',
+          allowedTypes: ['image/*'],
+          storage,
+        },
+        async handler(rc) {
+          return { status: 201, data: { body: rc.body, files: rc.files.map((f) => f.key) } };
+        },
+        ...handlerOptions,
+      })
+    );
+    const { port, close } = await listen(server);
+    return { storage, close, post: (options) => postMultipart(port, '/avatars', options) };
+  }
+
+  await test('should parse sizes in bytes and units', async () => {
+    assert.strictEqual(parseSize(512), 512);
+    assert.strictEqual(parseSize('1kb'), 1024);
+    assert.strictEqual(parseSize('1.5 MB'), 1572864);
+    assert.throws(() => parseSize('big'), /Invalid size: big/);
+  });
+
+  await test('should store files and validate the text fields', async () => {
+    const { storage, close, post } = await startUploadServer({
+      bodySpec: `root {
+        age number
+      }`,
+    });
+    try {
+      const response = await post({ fields: { age: '30', ignored: 'x' }, files: [avatar] });
+
+      assert.strictEqual(response.statusCode, 201);
+      assert.deepStrictEqual(response.data.data.body, { age: 30 });
+      assert.strictEqual(response.data.data.files.length, 1);
+      assert.strictEqual(storage.get(response.data.data.files[0]).toString(), 'png-bytes');
+    } finally {
+      await close();
+    }
+  });
+
+  await test('should reject files that break the limits', async () => {
+    const { storage, close, post } = await startUploadServer();
+    try {
+      const responses = await Promise.all([
+        post({ files: [{ ...avatar, type: 'application/pdf', filename: 'cv.pdf' }] }),
+        post({ files: [{ ...avatar, content: 'x'.repeat(2048) }] }),
+        post({ files: [avatar, { ...avatar, field: 'banner' }] }),
+        post({ files: [avatar, avatar] }),
+      ]);
+
+      assert.deepStrictEqual(
+        responses.map((response) => response.statusCode),
+        [400, 400, 400, 400]
+      );
+      assert.match(responses[0].data.message, /must be one of image\/\*/);
+      assert.match(responses[1].data.message, /larger than 1kb/);
+      assert.match(responses[2].data.message, /banner does not accept files/);
+      assert.match(responses[3].data.message, /at most 1 file/);
+      assert.strictEqual(storage.files.size, 0);
+    } finally {
+      await close();
+    }
+  });
+
+  await test('should not store files when the middlewares reject the request', async () => {
+    const authenticate = createHandler({
+      method: 'middleware',
+      async handler() {
+        throwAppError('Authentication required', ERROR_CODE.NOAUTHERR);
+      },
+    });
+    const { storage, close, post } = await startUploadServer({ middlewares: [authenticate] });
+    try {
+      const response = await post({ files: [avatar] });
+
+      assert.strictEqual(response.statusCode, 401);
+      assert.strictEqual(storage.getSavedCount(), 0);
+    } finally {
+      await close();
+    }
+  });
+
+  await test('should not store files when the handler rate limit is exceeded', async () => {
+    const { storage, close, post } = await startUploadServer({
+      rateLimit: { max: 1, store: createMemoryStore() },
+    });
+    try {
+      assert.strictEqual((await post({ files: [avatar] })).statusCode, 201);
+      assert.strictEqual((await post({ files: [avatar] })).statusCode, 429);
+      assert.strictEqual(storage.getSavedCount(), 1);
+    } finally {
+      await close();
+    }
+  });
+
+  await test('should remove the files when the body is invalid or the handler fails', async () => {
+    const { storage, close, post } = await startUploadServer({
+      bodySpec: `root {
+        age number
+      }`,
+      async handler(rc) {
+        if (rc.body.age > 100) throw new Error('profile service unavailable');
+        return { data: {} };
+      },
+    });
+    try {
+      assert.strictEqual((await post({ fields: { age: 'old' }, files: [avatar] })).statusCode, 400);
+      assert.strictEqual((await post({ fields: { age: '120' }, files: [avatar] })).statusCode, 500);
+
+      assert.strictEqual(storage.getSavedCount(), 2);
+      assert.strictEqual(storage.files.size, 0);
+    } finally {
+      await close();
+    }
+  });
+
+  await test('should remove the files of an idempotent replay', async () => {
+    const { storage, close, post } = await startUploadServer({ idempotent: true });
+    try {
+      const headers = { 'idempotency-key': `avatar-${Date.now()}` };
+      const first = await post({ files: [avatar], headers });
+      const replay = await post({ files: [avatar], headers });
+
+      assert.deepStrictEqual(replay.data, first.data);
+      assert.strictEqual(storage.getSavedCount(), 2);
+      assert.deepStrictEqual([...storage.files.keys()], first.data.data.files);
+    } finally {
+      await close();
+    }
+  });
+
+  await test('should remove the files of a timed out request', async () => {
+    const { storage, close, post } = await startUploadServer({
+      timeoutMs: 20,
+      async handler() {
+        await sleep(60);
+        return { data: {} };
+      },
+    });
+    // Like a remote storage whose calls are cancelled with the request
+    const { remove } = storage;
+    storage.remove = async (key) => {
+      const { signal } = requestContext.getContext();
+      if (signal?.aborted) throw signal.reason;
+      return remove(key);
+    };
+    try {
+      assert.strictEqual((await post({ files: [avatar] })).statusCode, 504);
+      await sleep(10);
+
+      assert.strictEqual(storage.getSavedCount(), 1);
+      assert.strictEqual(storage.files.size, 0);
+    } finally {
+      await close();
+    }
+  });
+
+  console.log(`✅ Upload Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runUploadsTests;
@@ -0,0 +1,132 @@
+const assert = require('assert');
+const createHandler = require('../create-handler');
+const { normalizeVersion, getDeprecationHeaders } = require('../versioning');
+const { createTestServer } = require('./helpers');
+
+async function runVersioningTests() {
+  console.log('🧪 Running API Versioning Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  function createUserHandler(version, extra = {}) {
+    return createHandler({
+      path: '/users/:id',
+      method: 'get',
+      version,
+      async handler(rc) {
+        return { data: { version: rc.properties.version, id: rc.params.id } };
+      },
+      ...extra,
+    });
+  }
+
+  const { request } = createTestServer({}, [
+    createUserHandler(1, {
+      deprecated: {
+        date: '2026-01-01T00:00:00Z',
+        sunset: '2026-12-31T00:00:00Z',
+        link: 'https://docs.example.com/migrate-to-v2',
+      },
+    }),
+    createUserHandler('v2'),
+  ]);
+
+  await test('should normalise versions', async () => {
+    assert.strictEqual(normalizeVersion(2), 'v2');
+    assert.strictEqual(normalizeVersion(' V03 '), 'v3');
+    assert.throws(() => normalizeVersion('beta'), /Invalid API version: beta/);
+  });
+
+  await test('should route version prefixed paths to their version', async () => {
+    const v1 = await request('GET', '/v1/users/7');
+    const v2 = await request('GET', '/v2/users/7');
+
+    assert.deepStrictEqual(v1.data.data, { version: 'v1', id: '7' });
+    assert.deepStrictEqual(v2.data.data, { version: 'v2', id: '7' });
+    assert.strictEqual(v2.responseObject.getHeader('API-Version'), 'v2');
+  });
+
+  await test('should pick the version asked for in the headers, or the latest', async () => {
+    const latest = await request('GET', '/users/7');
+    const fromAcceptVersion = await request('GET', '/users/7', {
+      headers: { 'accept-version': '1' },
+    });
+    const fromMediaType = await request('GET', '/users/7', {
+      headers: { accept: 'application/json; version=1' },
+    });
+
+    assert.strictEqual(latest.data.data.version, 'v2');
+    assert.strictEqual(fromAcceptVersion.data.data.version, 'v1');
+    assert.strictEqual(fromMediaType.data.data.version, 'v1');
+    assert.match(latest.responseObject.getHeader('Vary'), /Accept-Version/);
+  });
+
+  await test('should fall back to the latest version when the one asked for is not available', async () => {
+    const unknown = await request('GET', '/users/7', { headers: { 'accept-version': 'v9' } });
+    const invalid = await request('GET', '/users/7', { headers: { 'accept-version': 'beta' } });
+    const fromMediaType = await request('GET', '/users/7', {
+      headers: { accept: 'application/json; version=0' },
+    });
+
+    [unknown, invalid, fromMediaType].forEach((response) => {
+      assert.strictEqual(response.statusCode, 200);
+      assert.strictEqual(response.data.data.version, 'v2');
+      assert.strictEqual(response.responseObject.getHeader('API-Version'), 'v2');
+    });
+  });
+
+  await test('should send deprecation headers for deprecated versions', async () => {
+    const deprecated = await request('GET', '/v1/users/7');
+    assert.strictEqual(deprecated.responseObject.getHeader('Deprecation'), '@1767225600');
+    assert.strictEqual(
+      deprecated.responseObject.getHeader('Sunset'),
+      'Thu, 31 Dec 2026 00:00:00 GMT'
+    );
+    assert.strictEqual(
+      deprecated.responseObject.getHeader('Link'),
+      '<https://docs.example.com/migrate-to-v2>; rel="deprecation"'
+    );
+
+    const current = await request('GET', '/v2/users/7');
+    assert.strictEqual(current.responseObject.getHeader('Deprecation'), undefined);
+
+    assert.deepStrictEqual(getDeprecationHeaders(true), { Deprecation: 'true' });
+    assert.throws(() => getDeprecationHeaders({ sunset: 'someday' }), /Invalid deprecation date/);
+  });
+
+  await test('should not mix versioned and unversioned handlers on a route', async () => {
+    const { server } = createTestServer({}, [createUserHandler(1)]);
+
+    assert.throws(
+      () => server.addHandler(createUserHandler(1)),
+      /already registered for version v1/
+    );
+    assert.throws(
+      () => server.addHandler(createUserHandler(undefined)),
+      /already registered with a version/
+    );
+
+    const { server: unversionedServer } = createTestServer({}, [createUserHandler(undefined)]);
+    assert.throws(
+      () => unversionedServer.addHandler(createUserHandler(2)),
+      /already registered without a version/
+    );
+  });
+
+  console.log(`✅ API Versioning Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runVersioningTests;
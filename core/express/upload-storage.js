@@ -0,0 +1,167 @@
+/* eslint-disable global-require */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { ulid } = require('@app-core/randomness');
+
+/**
+ * A file being uploaded, as passed to a storage adapter.
+ * @typedef {Object} IncomingFile
+ * @property {import('stream').Readable} stream - The file content. It must be read to the end.
+ * @property {string} fieldName - The form field the file was sent in.
+ * @property {string} originalName - The file name sent by the client.
+ * @property {string} mimeType - The MIME type sent by the client.
+ */
+
+/**
+ * Where a stored file can be found.
+ * @typedef {Object} StoredFile
+ * @property {string} key - Identifies the file in the storage e.g. the disk file name or the S3 object key.
+ * @property {number} size - The file size in bytes.
+ * @property {string} [path] - The absolute path of the file, for disk storage.
+ * @property {string} [location] - The object URL, for S3 storage.
+ * @property {Buffer} [buffer] - The file content, for memory storage.
+ */
+
+/**
+ * A storage adapter saves uploaded files as they are streamed in.
+ * @typedef {Object} UploadStorage
+ * @property {function(IncomingFile): Promise<StoredFile>} save
+ * @property {function(string): Promise<void>} remove - Remove a stored file by key. Used when a request's uploads are rejected.
+ */
+
+function createFileKey(originalName) {
+  const extension = path.extname(originalName || '').toLowerCase();
+  return `${ulid()}${/^\.[a-z0-9]{1,10}$/.test(extension) ? extension : ''}`;
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Create a storage that keeps files in process memory. Meant for tests.
+ * @returns {UploadStorage & {get: function(string): Buffer|undefined, files: Map<string, Buffer>}}
+ */
+function createMemoryStorage() {
+  const files = new Map();
+
+  return {
+    files,
+    get(key) {
+      return files.get(key);
+    },
+    async save({ stream, originalName }) {
+      const key = createFileKey(originalName);
+      const buffer = await readStream(stream);
+      files.set(key, buffer);
+      return { key, size: buffer.length, buffer };
+    },
+    async remove(key) {
+      files.delete(key);
+    },
+  };
+}
+
+/**
+ * @typedef {Object} DiskStorageConfig
+ * @property {string} [directory] - Where files are written. Defaults to the UPLOADS_DIR environment variable, or an uploads folder in the OS temp directory.
+ */
+
+/**
+ * Create a storage that writes files to a local directory under generated names.
+ * @param {DiskStorageConfig} [storageConfig]
+ * @returns {UploadStorage}
+ */
+function createDiskStorage(storageConfig = {}) {
+  const { directory = process.env.UPLOADS_DIR || path.join(os.tmpdir(), 'uploads') } =
+    storageConfig;
+
+  return {
+    async save({ stream, originalName }) {
+      await fs.promises.mkdir(directory, { recursive: true });
+
+      const key = createFileKey(originalName);
+      const filePath = path.resolve(directory, key);
+      let size = 0;
+      stream.on('data', (chunk) => {
+        size += chunk.length;
+      });
+
+      await pipeline(stream, fs.createWriteStream(filePath));
+      return { key, size, path: filePath };
+    },
+    async remove(key) {
+      await fs.promises.rm(path.resolve(directory, path.basename(key)), { force: true });
+    },
+  };
+}
+
+/**
+ * @typedef {Object} S3StorageConfig
+ * @property {string} [bucket] - Defaults to the S3_BUCKET environment variable.
+ * @property {string} [prefix=""] - Prefix added to every object key e.g. uploads/.
+ * @property {string} [endpoint] - The endpoint of an S3 compatible service such as MinIO. Defaults to the S3_ENDPOINT environment variable, or AWS when unset.
+ * @property {string} [region] - Defaults to the S3_REGION environment variable or us-east-1.
+ * @property {import('@aws-sdk/client-s3').S3Client} [client] - An existing client to reuse.
+ */
+
+/**
+ * Create a storage that puts files in an S3 bucket. Credentials are read from the usual AWS environment variables.
+ * Path style URLs are used with a custom endpoint, which is what MinIO and most S3 compatible services expect.
+ * @param {S3StorageConfig} [storageConfig]
+ * @returns {UploadStorage}
+ */
+function createS3Storage(storageConfig = {}) {
+  const {
+    bucket = process.env.S3_BUCKET,
+    prefix = '',
+    endpoint = process.env.S3_ENDPOINT,
+    region = process.env.S3_REGION || 'us-east-1',
+  } = storageConfig;
+  let { client } = storageConfig;
+
+  if (!bucket) throw new Error('A bucket is required to use the s3 upload storage');
+
+  function getClient() {
+    if (!client) {
+      const { S3Client } = require('@aws-sdk/client-s3');
+      client = new S3Client({ region, endpoint, forcePathStyle: !!endpoint });
+    }
+    return client;
+  }
+
+  return {
+    async save({ stream, originalName, mimeType }) {
+      const { PutObjectCommand } = require('@aws-sdk/client-s3');
+      const key = `${prefix}${createFileKey(originalName)}`;
+
+      // PutObject needs the content length up front, and files are already capped by maxFileSize
+      const body = await readStream(stream);
+      await getClient().send(
+        new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: mimeType })
+      );
+
+      const baseURL = endpoint
+        ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+        : `https://${bucket}.s3.${region}.amazonaws.com`;
+      return { key, size: body.length, location: `${baseURL}/${key}` };
+    },
+    async remove(key) {
+      const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+      await getClient().send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+}
+
+module.exports = {
+  createMemoryStorage,
+  createDiskStorage,
+  createS3Storage,
+};
@@ -0,0 +1,245 @@
+/* eslint-disable global-require */
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { appLogger, requestContext } = require('@app-core/logger');
+const { createMemoryStorage, createDiskStorage, createS3Storage } = require('./upload-storage');
+
+/**
+ * A form field that accepts files.
+ * @typedef {Object} UploadField
+ * @property {string} name - The form field name.
+ * @property {number} [maxCount=1] - The number of files the field accepts.
+ */
+
+/**
+ * Upload configuration.
+ * @typedef {Object} UploadsConfig
+ * @property {Array<string|UploadField>} fields - The form fields that accept files. Files sent in other fields are rejected.
+ * @property {number|string} [maxFileSize="10mb"] - The largest file accepted, in bytes or as a size such as 500kb or 5mb.
+ * @property {string[]} [allowedTypes] - The MIME types accepted e.g. ["image/png", "image/*", "application/pdf"]. Any type is accepted when unset.
+ * @property {number} [maxFiles=10] - The number of files accepted across all fields.
+ * @property {"memory"|"disk"|"s3"|import('./upload-storage').UploadStorage} [storage="disk"] - Where files are saved. Disk and s3 storage are configured through environment variables.
+ */
+
+/**
+ * A file received with the request.
+ * @typedef {import('./upload-storage').StoredFile & {fieldName: string, originalName: string, mimeType: string}} UploadedFile
+ */
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+const STORAGE_FACTORIES = {
+  memory: createMemoryStorage,
+  disk: createDiskStorage,
+  s3: createS3Storage,
+};
+
+const sharedStorages = {};
+
+/**
+ * Convert a size to bytes.
+ * @param {number|string} size
+ * @returns {number}
+ */
+function parseSize(size) {
+  if (typeof size === 'number') return size;
+
+  const match = String(size)
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+  if (!match) throw new Error(`Invalid size: ${size}`);
+
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[match[2] || 'b']);
+}
+
+function resolveStorage(storage = 'disk') {
+  if (typeof storage === 'object') return storage;
+
+  if (!STORAGE_FACTORIES[storage]) throw new Error(`Unknown upload storage: ${storage}`);
+  if (!sharedStorages[storage]) sharedStorages[storage] = STORAGE_FACTORIES[storage]();
+
+  return sharedStorages[storage];
+}
+
+function isAllowedType(mimeType, allowedTypes) {
+  return allowedTypes.some((allowedType) =>
+    allowedType.endsWith('/*')
+      ? mimeType.startsWith(allowedType.slice(0, -1))
+      : mimeType === allowedType
+  );
+}
+
+/**
+ * Check if a request has a multipart/form-data body.
+ * @param {import('express').Request} expressRequest
+ * @returns {boolean}
+ */
+function isMultipartRequest(expressRequest) {
+  return /^multipart\/form-data/i.test(expressRequest.headers['content-type'] || '');
+}
+
+/**
+ * Create the upload handling of a handler.
+ * parse reads a multipart request, streaming each file to the storage. Text fields become the request body.
+ * If any file breaks a limit, or the request was aborted while it was read, the files saved for it are removed.
+ * removeFiles removes stored files, for requests that fail before the handler uses them.
+ * @param {UploadsConfig} uploadsConfig
+ * @param {Object} [serverDefaults] - Defaults from the server uploads option e.g. { storage: 's3' }.
+ */
+function createUploads(uploadsConfig, serverDefaults = {}) {
+  const {
+    fields = [],
+    maxFileSize = '10mb',
+    allowedTypes,
+    maxFiles = 10,
+    storage,
+  } = { ...serverDefaults, ...uploadsConfig };
+
+  const maxFileSizeInBytes = parseSize(maxFileSize);
+  const uploadStorage = resolveStorage(storage);
+  const fieldLimits = {};
+  fields.forEach((field) => {
+    const { name, maxCount = 1 } = typeof field === 'string' ? { name: field } : field;
+    fieldLimits[name] = maxCount;
+  });
+
+  function readMultipartBody(expressRequest) {
+    const Busboy = require('busboy');
+
+    return new Promise((resolve) => {
+      const body = {};
+      const savedFiles = [];
+      const pendingSaves = [];
+      const fieldCounts = {};
+      const errors = [];
+
+      const addError = (field, constraint, message) => {
+        errors.push({ field, constraint, message, location: 'files' });
+      };
+
+      let busboy;
+      try {
+        busboy = Busboy({
+          headers: expressRequest.headers,
+          limits: { fileSize: maxFileSizeInBytes, files: maxFiles },
+        });
+      } catch (e) {
+        addError('', 'multipart', e.message);
+        resolve({ body, files: savedFiles, errors });
+        return;
+      }
+
+      busboy.on('field', (name, value) => {
+        if (name in body) {
+          body[name] = [].concat(body[name], value);
+        } else {
+          body[name] = value;
+        }
+      });
+
+      busboy.on('file', (fieldName, fileStream, info) => {
+        const { filename: originalName, mimeType } = info;
+        fieldCounts[fieldName] = (fieldCounts[fieldName] || 0) + 1;
+
+        let error;
+        if (!(fieldName in fieldLimits)) {
+          error = ['fields', `${fieldName} does not accept files`];
+        } else if (fieldCounts[fieldName] > fieldLimits[fieldName]) {
+          error = ['maxCount', `${fieldName} accepts at most ${fieldLimits[fieldName]} file(s)`];
+        } else if (allowedTypes && !isAllowedType(mimeType, allowedTypes)) {
+          error = ['allowedTypes', `${originalName} must be one of ${allowedTypes.join(', ')}`];
+        }
+
+        if (error) {
+          addError(fieldName, ...error);
+          fileStream.resume();
+          return;
+        }
+
+        fileStream.on('limit', () => {
+          addError(fieldName, 'maxFileSize', `${originalName} is larger than ${maxFileSize}`);
+        });
+
+        pendingSaves.push(
+          uploadStorage
+            .save({ stream: fileStream, fieldName, originalName, mimeType })
+            .then((storedFile) => {
+              savedFiles.push({ ...storedFile, fieldName, originalName, mimeType });
+            })
+            .catch((e) => {
+              fileStream.resume();
+              addError(fieldName, 'storage', `${originalName} could not be saved`);
+              appLogger.error({ errorMessage: e.message, errorStack: e.stack }, 'upload-error');
+            })
+        );
+      });
+
+      busboy.on('filesLimit', () => {
+        addError('', 'maxFiles', `At most ${maxFiles} file(s) can be uploaded`);
+      });
+
+      // Busboy can emit close after an error, and the body is only handed over once
+      let finished = false;
+      const finish = async () => {
+        if (finished) return;
+        finished = true;
+        await Promise.all(pendingSaves);
+        resolve({ body, files: savedFiles, errors });
+      };
+
+      busboy.on('close', finish);
+      busboy.on('error', (e) => {
+        addError('', 'multipart', e.message);
+        expressRequest.unpipe(busboy);
+        expressRequest.resume();
+        finish();
+      });
+
+      expressRequest.pipe(busboy);
+    });
+  }
+
+  /**
+   * Remove stored files, also after the request was aborted. Failures are logged so they don't replace the error the request failed with.
+   * @param {UploadedFile[]} files
+   * @returns {Promise<void>}
+   */
+  async function removeFiles(files) {
+    await requestContext.runWithoutCancellation(() =>
+      Promise.all(
+        files.map((file) =>
+          uploadStorage.remove(file.key).catch((e) => {
+            appLogger.error({ errorMessage: e.message, key: file.key }, 'upload-remove-error');
+          })
+        )
+      )
+    );
+  }
+
+  /**
+   * @param {import('express').Request} expressRequest
+   * @param {AbortSignal} [signal] - The signal of the request. Files saved after it is aborted are removed.
+   * @returns {Promise<{body: Object, files: UploadedFile[]}>}
+   */
+  async function parse(expressRequest, signal) {
+    const { body, files, errors } = await readMultipartBody(expressRequest);
+
+    if (errors.length || signal?.aborted) {
+      await removeFiles(files);
+    }
+
+    if (signal?.aborted) throw signal.reason;
+    if (errors.length) {
+      throwAppError(errors[0].message, ERROR_CODE.VALIDATIONERR, { details: errors });
+    }
+
+    return { body, files };
+  }
+
+  return { parse, removeFiles };
+}
+
+module.exports = {
+  parseSize,
+  isMultipartRequest,
+  createUploads,
+};
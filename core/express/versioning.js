@@ -0,0 +1,108 @@
+const ACCEPT_VERSION_HEADER = 'accept-version';
+const VERSION_REGEX = /^v?(\d+)$/i;
+const MEDIA_TYPE_VERSION_REGEX = /;\s*version\s*=\s*"?v?(\d+)"?/i;
+
+/**
+ * Deprecation settings of a handler version.
+ * @typedef {Object} DeprecationConfig
+ * @property {string|Date} [date] - When the version was deprecated. Sent in the Deprecation header, which is `true` without it.
+ * @property {string|Date} [sunset] - When the version stops being served. Sent in the Sunset header.
+ * @property {string} [link] - A URL describing the deprecation or the migration, sent in a Link header with rel="deprecation".
+ */
+
+/**
+ * Normalise a handler or request version to its label e.g. 2, "2" and "v2" become "v2".
+ * @param {string|number} version
+ * @returns {string}
+ */
+function normalizeVersion(version) {
+  const match = String(version).trim().match(VERSION_REGEX);
+  if (!match) throw new Error(`Invalid API version: ${version}. Use a number such as 2 or v2.`);
+  return `v${parseInt(match[1], 10)}`;
+}
+
+function getVersionNumber(versionLabel) {
+  return parseInt(versionLabel.slice(1), 10);
+}
+
+/**
+ * Read the version a client asked for, from the Accept-Version header or a version parameter on the Accept media type e.g. application/json; version=2.
+ * @param {import('express').Request} expressRequest
+ * @returns {string|null} The version label, or null when the request does not ask for one.
+ */
+function getRequestedVersion(expressRequest) {
+  const acceptVersion = expressRequest.headers[ACCEPT_VERSION_HEADER];
+  // Values that are not a version number are ignored, so the request gets the latest version
+  if (acceptVersion && VERSION_REGEX.test(String(acceptVersion).trim())) {
+    return normalizeVersion(acceptVersion);
+  }
+
+  const mediaTypeMatch = String(expressRequest.headers.accept || '').match(
+    MEDIA_TYPE_VERSION_REGEX
+  );
+  return mediaTypeMatch ? normalizeVersion(mediaTypeMatch[1]) : null;
+}
+
+function toDate(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid deprecation date: ${value}`);
+  return date;
+}
+
+/**
+ * Build the response headers sent by a deprecated handler.
+ * @param {boolean|DeprecationConfig} deprecated
+ * @returns {Object<string, string>}
+ */
+function getDeprecationHeaders(deprecated) {
+  if (!deprecated) return {};
+
+  const deprecationConfig = deprecated === true ? {} : deprecated;
+  const headers = {
+    Deprecation: deprecationConfig.date
+      ? `@${Math.floor(toDate(deprecationConfig.date).getTime() / 1000)}`
+      : 'true',
+  };
+
+  if (deprecationConfig.sunset) {
+    headers.Sunset = toDate(deprecationConfig.sunset).toUTCString();
+  }
+
+  if (deprecationConfig.link) {
+    headers.Link = `<${deprecationConfig.link}>; rel="deprecation"`;
+  }
+
+  return headers;
+}
+
+/**
+ * Keep the versions registered for a method and path and pick the one a request should be routed to.
+ * Requests for a version that is not registered get the latest one.
+ * @returns {{ add: function(string, Function): void, versions: function(): string[], select: function(string|null): Function }}
+ */
+function createVersionedRoute() {
+  const routeCallbacks = {};
+  let latestVersion;
+
+  return {
+    add(versionLabel, routeCallback) {
+      routeCallbacks[versionLabel] = routeCallback;
+      if (!latestVersion || getVersionNumber(versionLabel) > getVersionNumber(latestVersion)) {
+        latestVersion = versionLabel;
+      }
+    },
+    versions() {
+      return Object.keys(routeCallbacks).sort((a, b) => getVersionNumber(a) - getVersionNumber(b));
+    },
+    select(requestedVersion) {
+      return routeCallbacks[requestedVersion] || routeCallbacks[latestVersion];
+    },
+  };
+}
+
+module.exports = {
+  normalizeVersion,
+  getRequestedVersion,
+  getDeprecationHeaders,
+  createVersionedRoute,
+};
@@ -59,7 +59,8 @@ function makeRequest(method, path, { data, routeConfiguration, baseOptions } = {
 /**
  * @typedef {Object} RouteConfiguration
  * @property {object} headers - The request headers to be sent.
- * @property {number} timeout - The number of milliseconds before the request times out.
+ * @property {number} timeout - The number of milliseconds before the request times out. Capped by the timeout of the request being handled.
+ * @property {AbortSignal} [signal] - Cancels the request when aborted. Defaults to the signal of the request being handled.
  * @property {string} responseType - The type of data that the server will respond.
  * @property {number} maxContentLength - The max size of the http response content in bytes.
  * @property {string} logLabel - An identifier for logging errors.
@@ -1,7 +1,9 @@
 const appValidator = require('@app-core/validator');
 const { throwAppError, ERROR_CODE } = require('@app-core/errors');
-const { TimeLogger, appLogger } = require('@app-core/logger');
+const { TimeLogger, appLogger, requestContext } = require('@app-core/logger');
 const { LOG_TYPE } = require('@app-core/logger/constants');
+const tracing = require('@app-core/tracing');
+const { createCounter, createHistogram } = require('@app-core/metrics');
 const { makeAxiosRequest } = require('./request-client');
 
 const spec = `root {
@@ -16,6 +18,18 @@ const spec = `root {
 
 const parsedSpec = appValidator.parse(spec);
 
+const requestsCounter = createCounter({
+  name: 'http_client_requests_total',
+  help: 'Outbound HTTP requests made through the request proxy.',
+  labelNames: ['log_label', 'outcome', 'status_code'],
+});
+
+const requestDuration = createHistogram({
+  name: 'http_client_request_duration_seconds',
+  help: 'Duration of outbound HTTP requests in seconds.',
+  labelNames: ['log_label', 'outcome'],
+});
+
 /**
  * @typedef {Object} RequestProxyResponse
  * @property {number} statusCode - The HTTP status code from the server response.
@@ -37,6 +51,7 @@ const parsedSpec = appValidator.parse(spec);
  * @property {import('@app-core/logger/log').LogOptions} logOptions - Log configurations.
  * @property {boolean} enableVerboseLogging - Specifies if extra information should be added to the logs.
  * @property {Object} responseShapeSpec - A parsed specification to validate the response data.
+ * @property {AbortSignal} [signal] - Cancels the request when aborted. Defaults to the signal of the request being handled.
  */
 
 /**
@@ -48,11 +63,17 @@ const parsedSpec = appValidator.parse(spec);
  * @throws
  */
 
-async function requestProxy(requestConfiguration = {}) {
-  const params = appValidator.validate(requestConfiguration, parsedSpec);
-
+/**
+ * Make the request and log its outcome.
+ * @param {ProxyRequestConfiguration} requestConfiguration
+ * @param {Object} params - The validated request parameters.
+ * @param {import('@app-core/tracing/tracer').Span} [span] - The client span of the request, when tracing is on.
+ * @returns {Promise<RequestProxyResponse>}
+ */
+async function sendRequest(requestConfiguration, params, span) {
   const logLabel = requestConfiguration.logLabel || 'REQ-PROXY';
   const timeLogger = TimeLogger(`${logLabel}-DURATION`);
+  const endTimer = requestDuration.startTimer({ log_label: logLabel });
 
   const logData = {};
 
@@ -68,6 +89,8 @@ async function requestProxy(requestConfiguration = {}) {
   try {
     const clientResponse = await makeAxiosRequest(params);
 
+    span?.setAttribute('http.status_code', clientResponse.status);
+
     const response = {
       statusCode: clientResponse.status,
       headers: clientResponse.headers || {},
@@ -103,6 +126,10 @@ async function requestProxy(requestConfiguration = {}) {
     }
 
     logData.error = errorLog;
+    span?.setAttribute('http.status_code', error.response?.status);
+
+    // Keep the reason, e.g. REQUEST_TIMEOUT, when the call was cancelled
+    if (params.signal?.aborted) throw params.signal.reason;
 
     throwAppError(error.message, ERROR_CODE.HTTPREQERR, { context: errorLog });
   } finally {
@@ -110,7 +137,56 @@ async function requestProxy(requestConfiguration = {}) {
     appLogger[logType](logData, logLabel, requestConfiguration.logOptions);
 
     timeLogger.log();
+
+    const outcome = logData.error ? 'error' : 'success';
+    const statusCode = logData.error
+      ? logData.error.response?.statusCode
+      : logData.response?.statusCode;
+    endTimer({ outcome });
+    requestsCounter.inc({ log_label: logLabel, outcome, status_code: statusCode || '' });
   }
 }
 
+/** @type {RequestProxy} */
+async function requestProxy(requestConfiguration = {}) {
+  const params = appValidator.validate(requestConfiguration, parsedSpec);
+  const method = params.method.toUpperCase();
+
+  // Calls made while handling a request are cancelled with it and never outlive its timeout
+  const { signal, deadline } = requestContext.getContext();
+  params.signal = requestConfiguration.signal || signal;
+  if (deadline) {
+    const remainingTime = Math.max(deadline - Date.now(), 1);
+    params.timeout = params.timeout ? Math.min(params.timeout, remainingTime) : remainingTime;
+  }
+
+  // Forward the request id and trace so calls can be traced across services
+  const { requestId, traceparent } = requestContext.getContext();
+  function addTraceHeaders(outgoingTraceparent) {
+    params.headers = {
+      ...(outgoingTraceparent && { traceparent: outgoingTraceparent }),
+      ...(requestId && { 'x-request-id': requestId }),
+      ...params.headers,
+    };
+  }
+
+  // Spans go nowhere without an exporter, so the trace is passed on as the caller sent it, with its own sampled flag
+  if (!tracing.isTracingEnabled()) {
+    addTraceHeaders(traceparent);
+    return sendRequest(requestConfiguration, params);
+  }
+
+  return tracing.withSpan(
+    `HTTP ${method}`,
+    {
+      kind: tracing.SPAN_KIND.CLIENT,
+      attributes: { 'http.method': method, 'http.url': params.url.split('?')[0] },
+    },
+    (span) => {
+      addTraceHeaders(span.traceparent);
+      return sendRequest(requestConfiguration, params, span);
+    }
+  );
+}
+
 module.exports = requestProxy;
@@ -1,7 +1,14 @@
 const sign = require('./sign');
 const verify = require('./verify');
+const { issueTokens, refreshTokens, revokeToken, verifyAccessToken } = require('./tokens');
+const { getJWKS } = require('./key-ring');
 
 module.exports = {
   sign,
   verify,
+  issueTokens,
+  refreshTokens,
+  revokeToken,
+  verifyAccessToken,
+  getJWKS,
 };
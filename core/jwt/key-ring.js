@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const { createPrivateKey, createPublicKey } = require('crypto');
+
+/**
+ * A key used to sign or verify asymmetric tokens
+ * @typedef {Object} SigningKey
+ * @property {string} kid - The key id written to the token header.
+ * @property {"RS256"|"ES256"|"EdDSA"} alg - The signing algorithm.
+ * @property {import('crypto').KeyObject} [privateKey] - Only needed by the services that sign tokens.
+ * @property {import('crypto').KeyObject} publicKey
+ */
+
+/**
+ * A key as configured in the JWT_KEYS environment variable
+ * @typedef {Object} KeyConfig
+ * @property {string} kid
+ * @property {string} [alg] - Inferred from the key type when not set.
+ * @property {string} [privateKey] - PEM encoded private key.
+ * @property {string} [publicKey] - PEM encoded public key. Derived from the private key when not set.
+ */
+
+const ALGORITHMS_BY_KEY_TYPE = {
+  rsa: 'RS256',
+  ec: 'ES256',
+  ed25519: 'EdDSA',
+};
+
+let keyRing;
+
+function createSigningKey({ kid, alg, privateKey, publicKey }) {
+  if (!kid) throw new Error('Every JWT key needs a kid');
+  if (!privateKey && !publicKey) throw new Error(`JWT key ${kid} has no key material`);
+
+  const privateKeyObject = privateKey ? createPrivateKey(privateKey) : undefined;
+  const publicKeyObject = publicKey
+    ? createPublicKey(publicKey)
+    : createPublicKey(privateKeyObject);
+  const keyAlgorithm = alg || ALGORITHMS_BY_KEY_TYPE[publicKeyObject.asymmetricKeyType];
+
+  if (!keyAlgorithm) {
+    throw new Error(`Unsupported key type ${publicKeyObject.asymmetricKeyType} for JWT key ${kid}`);
+  }
+
+  return { kid, alg: keyAlgorithm, privateKey: privateKeyObject, publicKey: publicKeyObject };
+}
+
+/**
+ * Read keys from a directory of PEM files named <kid>.private.pem and <kid>.public.pem
+ * @param {string} keysDir
+ * @returns {KeyConfig[]}
+ */
+function readKeyFiles(keysDir) {
+  const keyConfigs = {};
+
+  fs.readdirSync(keysDir)
+    .sort()
+    .forEach((file) => {
+      const match = file.match(/^(.+)\.(private|public)\.pem$/);
+      if (!match) return;
+
+      const [, kid, keyType] = match;
+      keyConfigs[kid] = keyConfigs[kid] || { kid };
+      keyConfigs[kid][`${keyType}Key`] = fs.readFileSync(path.join(keysDir, file), 'utf8');
+    });
+
+  return Object.values(keyConfigs);
+}
+
+/**
+ * Load the key ring from the JWT_KEYS (JSON array of KeyConfig) and JWT_KEYS_DIR environment variables.
+ * Keys are loaded once and cached.
+ * @returns {SigningKey[]}
+ */
+function getKeyRing() {
+  if (!keyRing) {
+    const keyConfigs = [];
+
+    if (process.env.JWT_KEYS) {
+      keyConfigs.push(...JSON.parse(process.env.JWT_KEYS));
+    }
+
+    if (process.env.JWT_KEYS_DIR) {
+      keyConfigs.push(...readKeyFiles(process.env.JWT_KEYS_DIR));
+    }
+
+    keyRing = keyConfigs.map(createSigningKey);
+  }
+  return keyRing;
+}
+
+function hasKeyRing() {
+  return getKeyRing().length > 0;
+}
+
+/**
+ * Get the key used to sign new tokens.
+ * Defaults to JWT_SIGNING_KID, or the last key with a private key, so rotating means adding a new key after the old ones.
+ * @param {string} [kid]
+ * @returns {SigningKey}
+ */
+function getSigningKey(kid = process.env.JWT_SIGNING_KID) {
+  const signingKeys = getKeyRing().filter((key) => key.privateKey);
+  const signingKey = kid
+    ? signingKeys.find((key) => key.kid === kid)
+    : signingKeys[signingKeys.length - 1];
+
+  if (!signingKey) throw new Error(`No JWT signing key found${kid ? ` for kid ${kid}` : ''}`);
+  return signingKey;
+}
+
+/**
+ * Get the key used to verify tokens signed with the given kid.
+ * @param {string} kid
+ * @returns {SigningKey|undefined}
+ */
+function getVerificationKey(kid) {
+  return getKeyRing().find((key) => key.kid === kid);
+}
+
+/**
+ * Get the public keys in the key ring as a JSON Web Key Set.
+ * @returns {{keys: Object[]}}
+ */
+function getJWKS() {
+  return {
+    keys: getKeyRing().map((key) => ({
+      ...key.publicKey.export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.alg,
+      use: 'sig',
+    })),
+  };
+}
+
+module.exports = {
+  hasKeyRing,
+  getSigningKey,
+  getVerificationKey,
+  getJWKS,
+};
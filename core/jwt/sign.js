@@ -1,12 +1,15 @@
 // @ts-check
 const jwt = require('jsonwebtoken');
+const { hasKeyRing, getSigningKey } = require('./key-ring');
+const { signEdDSA } = require('./eddsa');
 
 /**
  * JWTSignPayload
  * @typedef {Object} JWTSignPayload
  * @property {Object} data - The data to encode
  * @property {string} [expiration] - When the JWT Token should expire
- * @property {string} [secret] - The JWT Secret to use when signing the data. Defaults to the JWT_SECRET environment variable if availble or 'ABJWT12SECR04ET'
+ * @property {string} [secret] - The JWT Secret to use when signing the data. Defaults to the JWT_SECRET environment variable if availble or 'ABJWT12SECR04ET'. Ignored when a key ring is configured unless passed explicitly.
+ * @property {string} [kid] - The id of the key ring key to sign with. Defaults to the JWT_SIGNING_KID environment variable or the newest key.
  */
 
 /**
@@ -19,9 +22,25 @@ function signPayload(jwtPayloadToSign) {
   const {
     data,
     expiration = process.env.JWT_DEFAULT_EXPIRY || '1H',
-    secret = process.env.JWT_SECRET || 'ABJWT12SECR04ET',
+    secret,
+    kid,
   } = jwtPayloadToSign;
-  return jwt.sign(data, secret, { expiresIn: expiration });
+
+  if (!secret && hasKeyRing()) {
+    const signingKey = getSigningKey(kid);
+
+    if (signingKey.alg === 'EdDSA') return signEdDSA(data, signingKey, expiration);
+
+    return jwt.sign(data, signingKey.privateKey, {
+      algorithm: /** @type {jwt.Algorithm} */ (signingKey.alg),
+      keyid: signingKey.kid,
+      expiresIn: expiration,
+    });
+  }
+
+  return jwt.sign(data, secret || process.env.JWT_SECRET || 'ABJWT12SECR04ET', {
+    expiresIn: expiration,
+  });
 }
 
 module.exports = signPayload;
@@ -0,0 +1,148 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateKeyPairSync } = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ERROR_CODE } = require('@app-core/errors');
+const { sign, verify, getJWKS } = require('..');
+
+function exportKeyPair(type, options) {
+  const { privateKey, publicKey } = generateKeyPairSync(type, options);
+  return {
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+  };
+}
+
+async function runKeyRingTests() {
+  console.log('🧪 Running JWT Key Ring Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // The key ring is loaded once, so it has to be configured before the first token is signed or verified
+  const rsaKeys = exportKeyPair('rsa', { modulusLength: 2048 });
+  const ecKeys = exportKeyPair('ec', { namedCurve: 'P-256' });
+  const edKeys = exportKeyPair('ed25519');
+
+  const keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+  fs.writeFileSync(path.join(keysDir, 'b-ec.private.pem'), ecKeys.privateKey);
+  fs.writeFileSync(path.join(keysDir, 'c-ed.private.pem'), edKeys.privateKey);
+  fs.writeFileSync(path.join(keysDir, 'notes.txt'), 'not a key');
+
+  process.env.JWT_KEYS = JSON.stringify([{ kid: 'a-rsa', privateKey: rsaKeys.privateKey }]);
+  process.env.JWT_KEYS_DIR = keysDir;
+  process.env.JWT_SECRET = 'key-ring-test-secret';
+  delete process.env.JWT_SIGNING_KID;
+
+  function decodeHeader(token) {
+    return jwt.decode(token, { complete: true }).header;
+  }
+
+  try {
+    await test('should sign with the last key that has a private key', async () => {
+      const token = sign({ data: { sub: 'user-1' } });
+      assert.deepStrictEqual(decodeHeader(token), { alg: 'EdDSA', typ: 'JWT', kid: 'c-ed' });
+      assert.strictEqual(verify({ token }).sub, 'user-1');
+    });
+
+    await test('should sign and verify with every supported algorithm', async () => {
+      [
+        ['a-rsa', 'RS256'],
+        ['b-ec', 'ES256'],
+        ['c-ed', 'EdDSA'],
+      ].forEach(([kid, alg]) => {
+        const token = sign({ data: { sub: kid }, kid });
+        assert.strictEqual(decodeHeader(token).alg, alg);
+        assert.strictEqual(verify({ token }).sub, kid);
+      });
+    });
+
+    await test('should use JWT_SIGNING_KID as the signing key', async () => {
+      process.env.JWT_SIGNING_KID = 'a-rsa';
+      try {
+        assert.strictEqual(decodeHeader(sign({ data: {} })).kid, 'a-rsa');
+      } finally {
+        delete process.env.JWT_SIGNING_KID;
+      }
+      assert.throws(() => sign({ data: {}, kid: 'missing' }), /No JWT signing key found for kid/);
+    });
+
+    await test('should reject tampered, expired and unknown key tokens', async () => {
+      const [header, payload, signature] = sign({ data: { sub: 'user-1' }, kid: 'c-ed' }).split(
+        '.'
+      );
+      const tamperedPayload = Buffer.from(JSON.stringify({ sub: 'admin' })).toString('base64url');
+      assert.throws(() => verify({ token: `${header}.${tamperedPayload}.${signature}` }), {
+        errorCode: ERROR_CODE.INVLDAUTHTOKEN,
+      });
+      assert.strictEqual(verify({ token: `${header}.${payload}.${signature}` }).sub, 'user-1');
+
+      ['a-rsa', 'c-ed'].forEach((kid) => {
+        assert.throws(() => verify({ token: sign({ data: {}, kid, expiration: '-1s' }) }), {
+          errorCode: ERROR_CODE.EXPIREDTOKEN,
+        });
+      });
+
+      const unknownKidToken = jwt.sign({}, rsaKeys.privateKey, {
+        algorithm: 'RS256',
+        keyid: 'z-old',
+      });
+      assert.throws(() => verify({ token: unknownKidToken }), {
+        errorCode: ERROR_CODE.INVLDAUTHTOKEN,
+      });
+    });
+
+    await test('should only accept the algorithm of the key', async () => {
+      // An HS256 token signed with the public key of an RSA key must not pass as that key
+      const forgedToken = jwt.sign({ sub: 'admin' }, rsaKeys.publicKey, {
+        algorithm: 'HS256',
+        keyid: 'a-rsa',
+      });
+      assert.throws(() => verify({ token: forgedToken }), {
+        errorCode: ERROR_CODE.INVLDAUTHTOKEN,
+      });
+    });
+
+    await test('should still accept HS256 tokens signed with JWT_SECRET', async () => {
+      const token = jwt.sign({ sub: 'user-1' }, process.env.JWT_SECRET);
+      assert.strictEqual(verify({ token }).sub, 'user-1');
+      assert.strictEqual(
+        verify({ token: sign({ data: { sub: 'user-2' }, secret: 's' }), secret: 's' }).sub,
+        'user-2'
+      );
+    });
+
+    await test('should list only public keys in the JWKS', async () => {
+      const { keys } = getJWKS();
+      assert.deepStrictEqual(
+        keys.map(({ kid, alg, use, kty }) => ({ kid, alg, use, kty })),
+        [
+          { kid: 'a-rsa', alg: 'RS256', use: 'sig', kty: 'RSA' },
+          { kid: 'b-ec', alg: 'ES256', use: 'sig', kty: 'EC' },
+          { kid: 'c-ed', alg: 'EdDSA', use: 'sig', kty: 'OKP' },
+        ]
+      );
+      keys.forEach((key) => assert.strictEqual(key.d, undefined));
+    });
+  } finally {
+    fs.rmSync(keysDir, { recursive: true, force: true });
+  }
+
+  console.log(`✅ JWT Key Ring Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runKeyRingTests;
@@ -0,0 +1,119 @@
+const assert = require('assert');
+const models = require('@app/models');
+const createMemoryModel = require('@app-core/repository-factory/tests/memory-model');
+const { ERROR_CODE } = require('@app-core/errors');
+const { sign, verify, issueTokens, refreshTokens, revokeToken, verifyAccessToken } = require('..');
+
+async function runTokensTests() {
+  console.log('🧪 Running Token Pair Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // The token store creates its repositories on first use, so they pick up these memory models
+  process.env.JWT_SECRET = 'tokens-test-secret';
+  Object.assign(models, {
+    RefreshToken: createMemoryModel('refresh_tokens', {
+      uniqueFields: ['token_hash'],
+      defaults: { used_at: 0, revoked_at: 0 },
+    }),
+    RevokedToken: createMemoryModel('revoked_tokens', { uniqueFields: ['token_id'] }),
+  });
+
+  await test('should verify tokens synchronously', async () => {
+    const token = sign({ data: { sub: 'user-1' } });
+    const claims = verify({ token });
+    assert.strictEqual(claims.sub, 'user-1');
+
+    assert.throws(() => verify({ token: `${token}x` }), { errorCode: ERROR_CODE.INVLDAUTHTOKEN });
+    assert.throws(() => verify({ token: sign({ data: {}, expiration: '-1s' }) }), {
+      errorCode: ERROR_CODE.EXPIREDTOKEN,
+    });
+  });
+
+  await test('should issue an access and refresh token pair', async () => {
+    const pair = await issueTokens({ data: { sub: 'user-1' } });
+    const claims = await verifyAccessToken({ token: pair.accessToken });
+
+    assert.strictEqual(claims.sub, 'user-1');
+    assert.ok(claims.jti && claims.fid);
+    assert.ok(pair.refreshTokenExpiresAt > pair.accessTokenExpiresAt);
+    assert.strictEqual(models.RefreshToken.records.length, 1);
+    assert.notStrictEqual(models.RefreshToken.records[0].token_hash, pair.refreshToken);
+  });
+
+  await test('should not accept refresh tokens as access tokens', async () => {
+    const pair = await issueTokens({ data: { sub: 'user-1' } });
+    assert.throws(() => verify({ token: pair.refreshToken }), {
+      errorCode: ERROR_CODE.INVLDAUTHTOKEN,
+    });
+  });
+
+  await test('should rotate refresh tokens and revoke the family on reuse', async () => {
+    const firstPair = await issueTokens({ data: { sub: 'user-1' } });
+    const secondPair = await refreshTokens({ refreshToken: firstPair.refreshToken });
+
+    assert.strictEqual((await verifyAccessToken({ token: secondPair.accessToken })).sub, 'user-1');
+
+    await assert.rejects(refreshTokens({ refreshToken: firstPair.refreshToken }), {
+      errorCode: ERROR_CODE.INVLDAUTHTOKEN,
+      message: 'This refresh token has already been used.',
+    });
+    await assert.rejects(verifyAccessToken({ token: secondPair.accessToken }), {
+      message: 'Your authentication token has been revoked.',
+    });
+    await assert.rejects(refreshTokens({ refreshToken: secondPair.refreshToken }), {
+      errorCode: ERROR_CODE.INVLDAUTHTOKEN,
+    });
+
+    // verify only checks the signature and expiry
+    assert.strictEqual(verify({ token: secondPair.accessToken }).sub, 'user-1');
+  });
+
+  await test('should revoke a single access token', async () => {
+    const pair = await issueTokens({ data: { sub: 'user-1' } });
+    const otherPair = await issueTokens({ data: { sub: 'user-1' } });
+
+    await revokeToken({ token: pair.accessToken });
+    await revokeToken({ token: pair.accessToken });
+
+    await assert.rejects(verifyAccessToken({ token: pair.accessToken }), /revoked/);
+    assert.strictEqual((await verifyAccessToken({ token: otherPair.accessToken })).sub, 'user-1');
+
+    // The refresh token of the pair still works
+    await assert.doesNotReject(refreshTokens({ refreshToken: pair.refreshToken }));
+  });
+
+  await test('should end a session by revoking its refresh token', async () => {
+    const pair = await issueTokens({ data: { sub: 'user-1' } });
+
+    await revokeToken({ token: pair.refreshToken });
+
+    await assert.rejects(verifyAccessToken({ token: pair.accessToken }), /revoked/);
+    await assert.rejects(refreshTokens({ refreshToken: pair.refreshToken }), {
+      errorCode: ERROR_CODE.INVLDAUTHTOKEN,
+    });
+  });
+
+  await test('should only revoke tokens created by issueTokens', async () => {
+    await assert.rejects(revokeToken({ token: sign({ data: { sub: 'user-1' } }) }), {
+      message: 'Only tokens created by issueTokens can be revoked.',
+    });
+  });
+
+  console.log(`✅ Token Pair Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runTokensTests;
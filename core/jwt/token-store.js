@@ -0,0 +1,93 @@
+const { ERROR_CODE } = require('@app-core/errors');
+const repositoryFactory = require('@app-core/repository-factory');
+
+// Repositories are created on first use so signing and verifying plain tokens doesn't need the models.
+const repositories = {};
+
+function getRepository(modelName) {
+  if (!repositories[modelName]) {
+    repositories[modelName] = repositoryFactory(modelName);
+  }
+  return repositories[modelName];
+}
+
+/**
+ * Add a token id (jti) or token family id to the denylist.
+ * @param {string} tokenId
+ * @param {number} expiresAt - Timestamp (ms) after which the entry can be removed.
+ */
+async function addToDenylist(tokenId, expiresAt) {
+  try {
+    await getRepository('RevokedToken').create({
+      token_id: tokenId,
+      expires_at: new Date(expiresAt),
+    });
+  } catch (e) {
+    // Already revoked
+    if (e.errorCode !== ERROR_CODE.DUPLRCRD) throw e;
+  }
+}
+
+/**
+ * Check whether any of the token ids is on the denylist.
+ * @param {string[]} tokenIds
+ * @returns {Promise<boolean>}
+ */
+async function isDenylisted(tokenIds) {
+  const revokedToken = await getRepository('RevokedToken').findOne({
+    query: { token_id: { $in: tokenIds } },
+  });
+  return !!revokedToken;
+}
+
+function saveRefreshToken(refreshToken) {
+  return getRepository('RefreshToken').create(refreshToken);
+}
+
+function findRefreshToken(tokenHash) {
+  return getRepository('RefreshToken').findOne({ query: { token_hash: tokenHash } });
+}
+
+/**
+ * Mark a refresh token as used. Resolves to false if it had already been used.
+ * @param {string} refreshTokenId
+ * @returns {Promise<boolean>}
+ */
+async function markRefreshTokenUsed(refreshTokenId) {
+  const { modifiedCount } = await getRepository('RefreshToken').updateOne({
+    query: { _id: refreshTokenId, used_at: 0 },
+    updateValues: { used_at: Date.now() },
+  });
+  return modifiedCount > 0;
+}
+
+/**
+ * Revoke every refresh token in a family and deny the access tokens issued with them.
+ * The denylist entry lasts until the newest refresh token in the family expires.
+ * @param {string} familyId
+ */
+async function revokeTokenFamily(familyId) {
+  const familyTokens = await getRepository('RefreshToken').findMany({
+    query: { family_id: familyId },
+    projections: { expires_at: 1 },
+  });
+  const expiresAt = Math.max(
+    Date.now(),
+    ...familyTokens.map((familyToken) => new Date(familyToken.expires_at).getTime())
+  );
+
+  await getRepository('RefreshToken').updateMany({
+    query: { family_id: familyId, revoked_at: 0 },
+    updateValues: { revoked_at: Date.now() },
+  });
+  await addToDenylist(familyId, expiresAt);
+}
+
+module.exports = {
+  addToDenylist,
+  isDenylisted,
+  saveRefreshToken,
+  findRefreshToken,
+  markRefreshTokenUsed,
+  revokeTokenFamily,
+};
@@ -0,0 +1,152 @@
+const jwt = require('jsonwebtoken');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { hash } = require('@app-core/security');
+const { ulid } = require('@app-core/randomness');
+const sign = require('./sign');
+const verifyToken = require('./verify');
+const tokenStore = require('./token-store');
+
+/**
+ * A pair of tokens returned by issueTokens and refreshTokens
+ * @typedef {Object} TokenPair
+ * @property {string} accessToken - Short-lived JWT carrying the data along with jti and fid claims. Signed with the key ring when one is configured.
+ * @property {string} refreshToken - Long-lived token that can be used once to get a new pair.
+ * @property {number} accessTokenExpiresAt - Timestamp (ms) at which the access token expires.
+ * @property {number} refreshTokenExpiresAt - Timestamp (ms) at which the refresh token expires.
+ */
+
+/**
+ * IssueTokensPayload
+ * @typedef {Object} IssueTokensPayload
+ * @property {Object} data - The data to encode in the access token
+ * @property {string} [accessTokenExpiration] - Defaults to the JWT_ACCESS_TOKEN_EXPIRY environment variable or 15m
+ * @property {string} [refreshTokenExpiration] - Defaults to the JWT_REFRESH_TOKEN_EXPIRY environment variable or 30d
+ */
+
+// Refresh tokens are signed with a separate secret so they can't be used as access tokens.
+function getRefreshTokenSecret() {
+  return (
+    process.env.JWT_REFRESH_SECRET ||
+    hash.create('refresh-token', {
+      algo: 'sha256',
+      secret: process.env.JWT_SECRET || 'ABJWT12SECR04ET',
+    })
+  );
+}
+
+function hashRefreshToken(refreshToken) {
+  return hash.create(refreshToken, { algo: 'sha256' });
+}
+
+async function createTokenPair(data, familyId, options = {}) {
+  const {
+    accessTokenExpiration = process.env.JWT_ACCESS_TOKEN_EXPIRY || '15m',
+    refreshTokenExpiration = process.env.JWT_REFRESH_TOKEN_EXPIRY || '30d',
+  } = options;
+
+  const accessToken = sign({
+    data: { ...data, jti: ulid(), fid: familyId },
+    expiration: accessTokenExpiration,
+  });
+  const refreshToken = sign({
+    data: { jti: ulid(), fid: familyId },
+    expiration: refreshTokenExpiration,
+    secret: getRefreshTokenSecret(),
+  });
+  const accessTokenExpiresAt = jwt.decode(accessToken).exp * 1000;
+  const refreshTokenExpiresAt = jwt.decode(refreshToken).exp * 1000;
+
+  await tokenStore.saveRefreshToken({
+    token_hash: hashRefreshToken(refreshToken),
+    family_id: familyId,
+    data,
+    expires_at: new Date(refreshTokenExpiresAt),
+  });
+
+  return { accessToken, refreshToken, accessTokenExpiresAt, refreshTokenExpiresAt };
+}
+
+/**
+ * Issue a new access and refresh token pair. Each pair starts a new token family.
+ * @param {IssueTokensPayload} issueTokensPayload
+ * @returns {Promise<TokenPair>}
+ */
+function issueTokens(issueTokensPayload) {
+  const { data, ...options } = issueTokensPayload;
+  return createTokenPair(data, ulid(), options);
+}
+
+/**
+ * Exchange a refresh token for a new pair in the same family. The refresh token can only be used once.
+ * Using it again revokes every token in the family, as it means the token has leaked.
+ * @param {{refreshToken: string, accessTokenExpiration?: string, refreshTokenExpiration?: string}} refreshTokensPayload
+ * @returns {Promise<TokenPair>}
+ */
+async function refreshTokens(refreshTokensPayload) {
+  const { refreshToken, ...options } = refreshTokensPayload;
+
+  verifyToken({ token: refreshToken, secret: getRefreshTokenSecret() });
+
+  const storedToken = await tokenStore.findRefreshToken(hashRefreshToken(refreshToken));
+
+  if (!storedToken || storedToken.revoked_at) {
+    throwAppError('Invalid token.', ERROR_CODE.INVLDAUTHTOKEN);
+  }
+
+  const isFirstUse =
+    !storedToken.used_at && (await tokenStore.markRefreshTokenUsed(storedToken._id));
+
+  if (!isFirstUse) {
+    await tokenStore.revokeTokenFamily(storedToken.family_id);
+    throwAppError('This refresh token has already been used.', ERROR_CODE.INVLDAUTHTOKEN);
+  }
+
+  return createTokenPair(storedToken.data, storedToken.family_id, options);
+}
+
+/**
+ * Revoke a token. Revoking a refresh token revokes its whole family, which is how a session is ended.
+ * Revoking an access token only revokes that token.
+ * @param {{token: string}} revokeTokenPayload
+ */
+async function revokeToken(revokeTokenPayload) {
+  const { token } = revokeTokenPayload;
+
+  const storedToken = await tokenStore.findRefreshToken(hashRefreshToken(token));
+
+  if (storedToken) {
+    await tokenStore.revokeTokenFamily(storedToken.family_id);
+    return;
+  }
+
+  const claims = verifyToken({ token, ignoreExpiration: true });
+
+  if (!claims.jti) {
+    throwAppError('Only tokens created by issueTokens can be revoked.', ERROR_CODE.INVLDAUTHTOKEN);
+  }
+
+  await tokenStore.addToDenylist(claims.jti, claims.exp * 1000);
+}
+
+/**
+ * Verify an access token like verify does, and reject it if it or its family has been revoked.
+ * Only tokens created by issueTokens (with a jti or fid claim) are looked up in the denylist.
+ * @param {{token: string, secret?: string}} verifyAccessTokenPayload
+ * @returns {Promise<Object>} The token claims.
+ */
+async function verifyAccessToken(verifyAccessTokenPayload) {
+  const claims = verifyToken(verifyAccessTokenPayload);
+
+  const tokenIds = [claims.jti, claims.fid].filter(Boolean);
+  if (tokenIds.length && (await tokenStore.isDenylisted(tokenIds))) {
+    throwAppError('Your authentication token has been revoked.', ERROR_CODE.INVLDAUTHTOKEN);
+  }
+  return claims;
+}
+
+module.exports = {
+  issueTokens,
+  refreshTokens,
+  revokeToken,
+  verifyAccessToken,
+};
@@ -1,29 +1,65 @@
 // @ts-check
 const { throwAppError, ERROR_CODE } = require('@app-core/errors');
 const jwt = require('jsonwebtoken');
+const { hasKeyRing, getVerificationKey } = require('./key-ring');
+const { verifyEdDSA } = require('./eddsa');
+
+const HMAC_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
 
 /**
  * JWTVerifyPayload
  * @typedef {Object} JWTVerifyPayload
  * @property {string} token - The token to verify
- * @property {string} [secret] - The JWT Secret to use when verifying the data. Defaults to the JWT_SECRET environment variable if availble or 'ABJWT12SECR04ET'
+ * @property {string} [secret] - The JWT Secret to use when verifying the data. Defaults to the JWT_SECRET environment variable if availble or 'ABJWT12SECR04ET'. The hard-coded fallback is not used when a key ring is configured.
+ * @property {boolean} [ignoreExpiration=false] - Whether or not to accept expired tokens.
+ */
+
+/**
+ * Verify the token signature with the key ring key matching its kid, or with the HMAC secret.
+ * Each key only accepts its own algorithm.
+ * @returns {Object}
  */
+function verifySignature(token, secret, options) {
+  const { header } = jwt.decode(token, { complete: true }) || {};
+  if (!header) throw new Error('jwt malformed');
+
+  if (!secret && header.kid && hasKeyRing()) {
+    const verificationKey = getVerificationKey(header.kid);
+    if (!verificationKey) throw new Error('unknown kid');
+
+    if (verificationKey.alg === 'EdDSA') return verifyEdDSA(token, verificationKey, options);
+
+    return jwt.verify(token, verificationKey.publicKey, {
+      ...options,
+      algorithms: [/** @type {jwt.Algorithm} */ (verificationKey.alg)],
+    });
+  }
+
+  const hmacSecret =
+    secret || process.env.JWT_SECRET || (hasKeyRing() ? undefined : 'ABJWT12SECR04ET');
+  if (!hmacSecret) throw new Error('no secret configured');
+
+  return jwt.verify(token, hmacSecret, {
+    ...options,
+    algorithms: /** @type {jwt.Algorithm[]} */ (HMAC_ALGORITHMS),
+  });
+}
 
 /**
- *
+ * Verify the signature and expiry of a token. Use verifyAccessToken to also reject revoked tokens.
  * @param {JWTVerifyPayload} jwtPayloadToVerify
- * @returns
+ * @returns {Object}
  */
 
 function verifyToken(jwtPayloadToVerify) {
-  const { token, secret = process.env.JWT_SECRET || 'ABJWT12SECR04ET' } = jwtPayloadToVerify;
+  const { token, secret, ignoreExpiration = false } = jwtPayloadToVerify;
   let verifiedData;
   const errorInfo = {
     code: ERROR_CODE.INVLDAUTHTOKEN,
     message: 'Invalid token.',
   };
   try {
-    verifiedData = jwt.verify(token, secret);
+    verifiedData = verifySignature(token, secret, { ignoreExpiration });
   } catch (e) {
     if (e.message === 'jwt expired') {
       errorInfo.message = 'Your authentication token has expired.';
@@ -1,7 +1,9 @@
 const appLogger = require('./log');
 const TimeLogger = require('./time-logger');
+const requestContext = require('./request-context');
 
 module.exports = {
   appLogger,
   TimeLogger,
+  requestContext,
 };
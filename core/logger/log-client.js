@@ -1,4 +1,5 @@
 const pino = require('pino');
+const { getContext } = require('./request-context');
 
 const customLevels = {
   debug: 10,
@@ -17,6 +18,11 @@ const pinoConfig = {
   },
   messageKey: 'label',
   nestedKey: 'data',
+  // Tag every log written while handling a request or job with its id
+  mixin() {
+    const { requestId } = getContext();
+    return requestId ? { requestId } : {};
+  },
 };
 
 if (process.env.ENABLE_BASELIME) {
@@ -0,0 +1,49 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Data about the request or job being handled, available to everything it calls.
+ * @typedef {Object} RequestContext
+ * @property {string} [requestId] - The id of the request that started the current operation.
+ * @property {AbortSignal} [signal] - Aborted when the request times out or the client disconnects.
+ * @property {number} [deadline] - Timestamp (ms) by which the request must be done, for handlers with a timeout.
+ * @property {string} [traceparent] - The traceparent header the request came with. HTTP calls forward it as is when tracing is off.
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function within a request context. Everything called from it, including async continuations, sees the context.
+ * @template T
+ * @param {RequestContext} context
+ * @param {function(): T} callback
+ * @returns {T}
+ */
+function runWithContext(context, callback) {
+  return storage.run(context, callback);
+}
+
+/**
+ * Get the context of the request or job being handled.
+ * @returns {RequestContext}
+ */
+function getContext() {
+  return storage.getStore() || {};
+}
+
+/**
+ * Run a function within the current context, without its abort signal and deadline.
+ * Use it for cleanup that has to finish after the request timed out or the client disconnected, such as releasing locks or removing files.
+ * @template T
+ * @param {function(): T} callback
+ * @returns {T}
+ */
+function runWithoutCancellation(callback) {
+  const { signal, deadline, ...context } = getContext();
+  return storage.run(context, callback);
+}
+
+module.exports = {
+  runWithContext,
+  getContext,
+  runWithoutCancellation,
+};
@@ -0,0 +1,12 @@
+const { CONTENT_TYPE, renderMetrics, clearMetrics } = require('./registry');
+const { DEFAULT_BUCKETS, createCounter, createGauge, createHistogram } = require('./metric-types');
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  createCounter,
+  createGauge,
+  createHistogram,
+  renderMetrics,
+  clearMetrics,
+};
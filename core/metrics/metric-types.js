@@ -0,0 +1,153 @@
+const { appLogger } = require('@app-core/logger');
+const { formatLabels, getLabelKey, registerMetric } = require('./registry');
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function pickLabels(labelNames, labels = {}) {
+  const picked = {};
+  labelNames.forEach((labelName) => {
+    picked[labelName] = labels[labelName] ?? '';
+  });
+  return picked;
+}
+
+/**
+ * Create a counter, a value that only goes up e.g. the number of requests handled.
+ * @param {import('./registry').MetricConfig} metricConfig
+ */
+function createCounter({ name, help, labelNames = [] }) {
+  const values = new Map();
+
+  return registerMetric({
+    name,
+    help,
+    type: 'counter',
+    /**
+     * @param {import('./registry').Labels} [labels]
+     * @param {number} [value=1]
+     */
+    inc(labels, value = 1) {
+      const key = getLabelKey(labelNames, labels);
+      const entry = values.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+      entry.value += value;
+      values.set(key, entry);
+    },
+    async render() {
+      return [...values.values()].map(
+        (entry) => `${name}${formatLabels(entry.labels)} ${entry.value}`
+      );
+    },
+  });
+}
+
+/**
+ * @typedef {Object} GaugeConfig
+ * @property {function(function(import('./registry').Labels, number): void): (void|Promise<void>)} [collect] - Called before the gauge is rendered to set its current values.
+ */
+
+/**
+ * Create a gauge, a value that can go up and down e.g. the number of jobs waiting in a queue.
+ * Values set by collect replace the previous values, so label sets that are no longer reported disappear.
+ * @param {import('./registry').MetricConfig & GaugeConfig} metricConfig
+ */
+function createGauge({ name, help, labelNames = [], collect }) {
+  let values = new Map();
+
+  function set(labels, value) {
+    values.set(getLabelKey(labelNames, labels), { labels: pickLabels(labelNames, labels), value });
+  }
+
+  return registerMetric({
+    name,
+    help,
+    type: 'gauge',
+    set,
+    async render() {
+      if (collect) {
+        values = new Map();
+        try {
+          await collect(set);
+        } catch (e) {
+          appLogger.error({ errorMessage: e.message, metric: name }, 'metrics-collect-error');
+        }
+      }
+
+      return [...values.values()].map(
+        (entry) => `${name}${formatLabels(entry.labels)} ${entry.value}`
+      );
+    },
+  });
+}
+
+/**
+ * Create a histogram, which counts observations such as request durations in buckets.
+ * @param {import('./registry').MetricConfig & {buckets?: number[]}} metricConfig
+ */
+function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+  const sortedBuckets = [...buckets].sort((a, b) => a - b);
+  const values = new Map();
+
+  /**
+   * @param {import('./registry').Labels} labels
+   * @param {number} value
+   */
+  function observe(labels, value) {
+    const key = getLabelKey(labelNames, labels);
+    let entry = values.get(key);
+    if (!entry) {
+      entry = {
+        labels: pickLabels(labelNames, labels),
+        bucketCounts: sortedBuckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      };
+      values.set(key, entry);
+    }
+
+    sortedBuckets.forEach((bucket, index) => {
+      if (value <= bucket) entry.bucketCounts[index] += 1;
+    });
+    entry.sum += value;
+    entry.count += 1;
+  }
+
+  return registerMetric({
+    name,
+    help,
+    type: 'histogram',
+    observe,
+    /**
+     * Start a timer. Calling the returned function observes the seconds elapsed.
+     * @param {import('./registry').Labels} [startLabels]
+     * @returns {function(import('./registry').Labels=): number}
+     */
+    startTimer(startLabels = {}) {
+      const start = process.hrtime.bigint();
+      return (endLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        observe({ ...startLabels, ...endLabels }, seconds);
+        return seconds;
+      };
+    },
+    async render() {
+      const lines = [];
+      values.forEach((entry) => {
+        sortedBuckets.forEach((bucket, index) => {
+          const labels = formatLabels({ ...entry.labels, le: bucket });
+          lines.push(`${name}_bucket${labels} ${entry.bucketCounts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+      });
+      return lines;
+    },
+  });
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  createCounter,
+  createGauge,
+  createHistogram,
+};
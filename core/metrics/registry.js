@@ -0,0 +1,109 @@
+/**
+ * Label values keyed by label name.
+ * @typedef {Object<string, string|number|boolean>} Labels
+ */
+
+/**
+ * A metric that can be rendered in the Prometheus text format.
+ * @typedef {Object} Metric
+ * @property {string} name
+ * @property {string} help
+ * @property {"counter"|"gauge"|"histogram"} type
+ * @property {function(): Promise<string[]>} render - Get the sample lines of the metric.
+ */
+
+/**
+ * @typedef {Object} MetricConfig
+ * @property {string} name - The metric name e.g. http_requests_total.
+ * @property {string} help - A description of what is measured.
+ * @property {string[]} [labelNames] - The labels every sample is recorded with.
+ */
+
+/** @type {Map<string, Metric>} */
+const metrics = new Map();
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(help) {
+  return String(help).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format labels as they appear in a sample line e.g. {method="get",status_code="200"}.
+ * @param {Labels} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Get a key identifying a label set, with label values in the order of the label names.
+ * @param {string[]} labelNames
+ * @param {Labels} labels
+ * @returns {string}
+ */
+function getLabelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((labelName) => String(labels[labelName] ?? '')));
+}
+
+/**
+ * Add a metric to the registry, or get the metric already registered with the same name.
+ * Modules that are loaded more than once, such as the server in tests, keep recording to one metric.
+ * @template {Metric} T
+ * @param {T} metric
+ * @returns {T}
+ */
+function registerMetric(metric) {
+  const existingMetric = metrics.get(metric.name);
+  if (existingMetric) {
+    if (existingMetric.type !== metric.type) {
+      throw new Error(`Metric ${metric.name} is already registered as a ${existingMetric.type}`);
+    }
+    return existingMetric;
+  }
+
+  metrics.set(metric.name, metric);
+  return metric;
+}
+
+/**
+ * Render every registered metric in the Prometheus text exposition format.
+ * @returns {Promise<string>}
+ */
+async function renderMetrics() {
+  const sections = await Promise.all(
+    [...metrics.values()].map(async (metric) => {
+      const lines = await metric.render();
+      return [
+        `# HELP ${metric.name} ${escapeHelp(metric.help)}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...lines,
+      ].join('\n');
+    })
+  );
+
+  return `${sections.join('\n')}\n`;
+}
+
+/**
+ * Remove every registered metric. Meant for tests.
+ */
+function clearMetrics() {
+  metrics.clear();
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  formatLabels,
+  getLabelKey,
+  registerMetric,
+  renderMetrics,
+  clearMetrics,
+};
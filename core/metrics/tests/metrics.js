@@ -0,0 +1,143 @@
+const assert = require('assert');
+const { createCounter, createGauge, createHistogram, renderMetrics } = require('..');
+
+/**
+ * Get the sample lines of a metric from the rendered registry.
+ * @param {string} rendered
+ * @param {string} name
+ */
+function getSamples(rendered, name) {
+  return rendered.split('\n').filter((line) => line.startsWith(name) && !line.startsWith('#'));
+}
+
+async function runMetricsTests() {
+  console.log('🧪 Running Metrics Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  await test('should count per label set', async () => {
+    const counter = createCounter({
+      name: 'test_jobs_total',
+      help: 'Jobs run.',
+      labelNames: ['queue', 'outcome'],
+    });
+    counter.inc({ queue: 'emails', outcome: 'success' });
+    counter.inc({ outcome: 'success', queue: 'emails' }, 2);
+    counter.inc({ queue: 'emails', outcome: 'error', ignored: 'label' });
+
+    const rendered = await renderMetrics();
+    assert.ok(
+      rendered.includes('# HELP test_jobs_total Jobs run.\n# TYPE test_jobs_total counter')
+    );
+    assert.deepStrictEqual(getSamples(rendered, 'test_jobs_total'), [
+      'test_jobs_total{queue="emails",outcome="success"} 3',
+      'test_jobs_total{queue="emails",outcome="error"} 1',
+    ]);
+  });
+
+  await test('should escape label values', async () => {
+    const counter = createCounter({
+      name: 'test_escaped_total',
+      help: 'Escaping.',
+      labelNames: ['path'],
+    });
+    counter.inc({ path: 'a"b\\c\nd' });
+
+    assert.deepStrictEqual(getSamples(await renderMetrics(), 'test_escaped_total'), [
+      'test_escaped_total{path="a\\"b\\\\c\\nd"} 1',
+    ]);
+  });
+
+  await test('should replace gauge values on every collect', async () => {
+    let waitingJobs = { emails: 4, reports: 1 };
+    createGauge({
+      name: 'test_waiting_jobs',
+      help: 'Waiting jobs.',
+      labelNames: ['queue'],
+      async collect(set) {
+        Object.entries(waitingJobs).forEach(([queue, count]) => set({ queue }, count));
+      },
+    });
+
+    assert.deepStrictEqual(getSamples(await renderMetrics(), 'test_waiting_jobs'), [
+      'test_waiting_jobs{queue="emails"} 4',
+      'test_waiting_jobs{queue="reports"} 1',
+    ]);
+
+    waitingJobs = { emails: 0 };
+    assert.deepStrictEqual(getSamples(await renderMetrics(), 'test_waiting_jobs'), [
+      'test_waiting_jobs{queue="emails"} 0',
+    ]);
+  });
+
+  await test('should render the metrics whose collect fails', async () => {
+    createGauge({
+      name: 'test_failing_gauge',
+      help: 'Fails to collect.',
+      async collect() {
+        throw new Error('queue unavailable');
+      },
+    });
+
+    const rendered = await renderMetrics();
+    assert.ok(rendered.includes('# TYPE test_failing_gauge gauge'));
+    assert.deepStrictEqual(getSamples(rendered, 'test_failing_gauge'), []);
+    assert.ok(rendered.includes('test_jobs_total'));
+  });
+
+  await test('should count observations in cumulative buckets', async () => {
+    const histogram = createHistogram({
+      name: 'test_duration_seconds',
+      help: 'Durations.',
+      labelNames: ['route'],
+      buckets: [1, 0.1],
+    });
+    histogram.observe({ route: '/a' }, 0.05);
+    histogram.observe({ route: '/a' }, 0.5);
+    histogram.observe({ route: '/a' }, 5);
+
+    assert.deepStrictEqual(getSamples(await renderMetrics(), 'test_duration_seconds'), [
+      'test_duration_seconds_bucket{route="/a",le="0.1"} 1',
+      'test_duration_seconds_bucket{route="/a",le="1"} 2',
+      'test_duration_seconds_bucket{route="/a",le="+Inf"} 3',
+      'test_duration_seconds_sum{route="/a"} 5.55',
+      'test_duration_seconds_count{route="/a"} 3',
+    ]);
+
+    const endTimer = histogram.startTimer({ route: '/b' });
+    assert.ok(endTimer() >= 0);
+    assert.ok(
+      getSamples(await renderMetrics(), 'test_duration_seconds').includes(
+        'test_duration_seconds_count{route="/b"} 1'
+      )
+    );
+  });
+
+  await test('should share metrics registered twice under one name', async () => {
+    const first = createCounter({ name: 'test_shared_total', help: 'Shared.' });
+    const second = createCounter({ name: 'test_shared_total', help: 'Shared.' });
+    assert.strictEqual(first, second);
+
+    assert.throws(
+      () => createGauge({ name: 'test_shared_total', help: 'Shared.' }),
+      /already registered as a counter/
+    );
+  });
+
+  console.log(`✅ Metrics Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runMetricsTests;
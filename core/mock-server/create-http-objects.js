@@ -16,7 +16,11 @@ module.exports = (requestConfig, callback) => {
     const responseData = { responseObject: mockedResponse, statusCode: mockedResponse.statusCode };
 
     try {
-      responseData.data = mockedResponse._getJSONData();
+      const contentType = String(mockedResponse.getHeader('Content-Type') || '');
+      // Non JSON responses such as files, redirects and streams are returned as sent
+      responseData.data = contentType.includes('json')
+        ? mockedResponse._getJSONData()
+        : mockedResponse._getData();
 
       callback(null, responseData);
     } catch (error) {
@@ -26,5 +30,8 @@ module.exports = (requestConfig, callback) => {
 
   mockedResponse.on('error', (error) => callback(error));
 
+  // A response is destroyed when a stream fails after it started sending
+  mockedResponse.destroy = (error) => callback(error || new Error('The response was destroyed'));
+
   return { mockedRequest, mockedResponse };
 };
@@ -5,7 +5,7 @@ require('dotenv').config();
 require('./types');
 const fs = require('fs');
 const path = require('path');
-const { createServer } = require('@app-core/server');
+const { createServer, loadRoutes } = require('@app-core/server');
 const simulateRequest = require('./simulate-request');
 const getProjectRoot = require('./get-project-root');
 
@@ -25,13 +25,10 @@ function addHandlers(server, filePaths = [], options = {}) {
     const fileStats = fs.statSync(resolvedPath);
 
     if (fileStats.isDirectory()) {
-      const dirFilePaths = fs.readdirSync(resolvedPath);
-
-      addHandlers(
-        server,
-        dirFilePaths.map((file) => `${resolvedPath}/${file}`),
-        options
-      );
+      // Directories are loaded the way the app loads them, with folder prefixes and _config.js settings
+      loadRoutes(resolvedPath, { prefix: options.pathPrefix }).forEach(({ handler }) => {
+        server.addHandler(handler);
+      });
     } else if (fileStats.isFile()) {
       let handler = require(resolvedPath);
 
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const CONNECTION_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+/**
+ * Readiness check for the default mongoose connection. Throws unless it is connected.
+ * @returns {Promise<void>}
+ */
+async function checkConnection() {
+  const { readyState } = mongoose.connection;
+  if (readyState !== 1) {
+    throw new Error(`Mongoose connection is ${CONNECTION_STATES[readyState] || 'unavailable'}`);
+  }
+}
+
+/**
+ * Close every mongoose connection. Used on shutdown.
+ * @returns {Promise<void>}
+ */
+async function closeConnection() {
+  await mongoose.disconnect();
+}
+
+module.exports = {
+  checkConnection,
+  closeConnection,
+};
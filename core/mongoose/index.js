@@ -4,6 +4,7 @@ const DatabaseModel = require('./database-model');
 const { MongooseTypes } = require('./enums');
 const ModelSchema = require('./model-schema');
 const createSession = require('./create-session');
+const { checkConnection, closeConnection } = require('./connection-health');
 
 module.exports = {
   createConnection,
@@ -12,4 +13,6 @@ module.exports = {
   DatabaseModel,
   SchemaTypes: MongooseTypes,
   createSession,
+  checkConnection,
+  closeConnection,
 };
@@ -1,6 +1,10 @@
 const Bull = require('bull');
+const { createGauge } = require('@app-core/metrics');
 const config = require('./config');
 
+const REPORTED_JOB_STATES = ['waiting', 'active', 'delayed', 'failed'];
+const JOB_COUNTS_TIMEOUT = 2000;
+
 /**
  * Bull Connection Config
  * @typedef {Object} BullConnectionConfig
@@ -32,4 +36,37 @@ function createQueue(connectionConfig = config) {
   }
 }
 
+/**
+ * Get the queues created so far along with their names.
+ * @returns {[string, import('bull').Queue][]}
+ */
+function getCreatedQueues() {
+  return [...createdQueues.entries()];
+}
+
+// Queue depth is read from redis when metrics are scraped
+createGauge({
+  name: 'bull_queue_jobs',
+  help: 'Number of jobs in each queue created with createQueue, by state.',
+  labelNames: ['queue', 'state'],
+  async collect(set) {
+    await Promise.all(
+      getCreatedQueues().map(async ([queueName, queue]) => {
+        const jobCounts = await Promise.race([
+          queue.getJobCounts(),
+          new Promise((_, reject) => {
+            setTimeout(
+              () => reject(new Error(`Timed out getting job counts for ${queueName}`)),
+              JOB_COUNTS_TIMEOUT
+            ).unref();
+          }),
+        ]);
+        REPORTED_JOB_STATES.forEach((state) => set({ queue: queueName, state }, jobCounts[state]));
+      })
+    );
+  },
+});
+
+createQueue.getCreatedQueues = getCreatedQueues;
+
 module.exports = createQueue;
@@ -1,5 +1,6 @@
 const os = require('os');
-const { appLogger } = require('@app-core/logger');
+const { appLogger, requestContext } = require('@app-core/logger');
+const tracing = require('@app-core/tracing');
 const config = require('./config');
 const createQueue = require('./create-queue');
 
@@ -47,7 +48,7 @@ function createWorker(workerConfig) {
     appLogger.warn({ label: 'JOB STALLED', jobId: job.id }, 'JOB STALLED');
   });
 
-  queue.process(processorName, concurrency, async (job) => {
+  async function processJob(job) {
     appLogger.info({ label: 'JOB PROCESSING', jobId: job.id, processorName }, 'JOB PROCESSING');
     try {
       const result = await processor(job);
@@ -65,15 +66,44 @@ function createWorker(workerConfig) {
       );
       throw err;
     }
-  });
+  }
+
+  // Jobs run with the id of the request that scheduled them, and in a span continuing its trace, so they can be traced back to it
+  queue.process(processorName, concurrency, (job) =>
+    requestContext.runWithContext({ requestId: job.data?._meta?.requestId }, () =>
+      tracing.withSpan(
+        `${processorName} process`,
+        {
+          kind: tracing.SPAN_KIND.CONSUMER,
+          parent: job.data?._meta?.traceparent || null,
+          attributes: {
+            'messaging.system': 'bull',
+            'messaging.destination.name': processorName,
+            'messaging.message.id': String(job.id),
+          },
+        },
+        () => processJob(job)
+      )
+    )
+  );
 
   /**
-   * Schedules a job
+   * Schedules a job. When called while handling a request, the request id and trace are stored on the job data as _meta.requestId and _meta.traceparent
    * @param {Object} jobData
    * @param {import('bull').JobOptions} opts
    */
   function scheduleJob(jobData, opts = {}) {
-    return queue.add(processorName, jobData, {
+    const { requestId } = requestContext.getContext();
+    const traceparent = tracing.getTraceparent();
+    const data =
+      (requestId || traceparent) &&
+      jobData &&
+      typeof jobData === 'object' &&
+      !Array.isArray(jobData)
+        ? { ...jobData, _meta: { ...jobData._meta, requestId, traceparent } }
+        : jobData;
+
+    return queue.add(processorName, data, {
       ...(defaultSchedulerOpts || {}),
       ...opts,
     });
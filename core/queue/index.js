@@ -1,7 +1,10 @@
 const createQueue = require('./create-queue');
 const createWorker = require('./create-worker');
+const { pingQueues, closeQueues } = require('./queue-health');
 
 module.exports = {
   createQueue,
   createWorker,
+  pingQueues,
+  closeQueues,
 };
@@ -0,0 +1,22 @@
+const createQueue = require('./create-queue');
+
+/**
+ * Readiness check that pings the redis connection of every queue created with createQueue.
+ * @returns {Promise<void>}
+ */
+async function pingQueues() {
+  await Promise.all(createQueue.getCreatedQueues().map(([, queue]) => queue.client.ping()));
+}
+
+/**
+ * Close every queue created with createQueue. Bull waits for the jobs being processed to finish first.
+ * @returns {Promise<void>}
+ */
+async function closeQueues() {
+  await Promise.all(createQueue.getCreatedQueues().map(([, queue]) => queue.close()));
+}
+
+module.exports = {
+  pingQueues,
+  closeQueues,
+};
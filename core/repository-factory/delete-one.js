@@ -1,5 +1,6 @@
 /* eslint-disable no-param-reassign */
 const getModel = require('./get-model');
+const { withRequestDeadline } = require('./request-deadline');
 
 function getUpdateValues(uniqueFields) {
   let updateValues = { deleted: Date.now() };
@@ -51,9 +52,9 @@ function deleteOneFactory(modelOrName) {
     ) {
       const updateValues = getUpdateValues(Model.__appConfig.uniqueFields);
 
-      result = await Model.updateOne(query, updateValues);
+      result = await Model.updateOne(query, updateValues, withRequestDeadline());
     } else {
-      result = await Model.deleteOne(query);
+      result = await Model.deleteOne(query, withRequestDeadline());
     }
 
     return result;
@@ -1,5 +1,6 @@
 /* eslint-disable no-param-reassign */
 const getModel = require('./get-model');
+const { withRequestDeadline } = require('./request-deadline');
 
 /**
  * @typedef {Object} functionData
@@ -28,10 +29,11 @@ function findManyFactory(modelOrName) {
       data.query.deleted = 0;
     }
 
-    const foundData = await Model.find(data.query, data.projections, {
-      lean: true,
-      ...data.options,
-    });
+    const foundData = await Model.find(
+      data.query,
+      data.projections,
+      withRequestDeadline({ lean: true, ...data.options })
+    );
     return foundData;
   };
 }
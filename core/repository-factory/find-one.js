@@ -1,5 +1,6 @@
 /* eslint-disable no-param-reassign */
 const getModel = require('./get-model');
+const { withRequestDeadline } = require('./request-deadline');
 
 /**
  * @typedef {Object} functionData
@@ -29,10 +30,11 @@ function findOneFactory(modelOrName) {
       data.query.deleted = 0;
     }
 
-    const foundData = await Model.findOne(data.query, data.projections, {
-      lean: true,
-      ...data.options,
-    });
+    const foundData = await Model.findOne(
+      data.query,
+      data.projections,
+      withRequestDeadline({ lean: true, ...data.options })
+    );
     return foundData;
   }
   return findOneFunction;
@@ -6,6 +6,7 @@ const updateOneFactory = require('./update-one');
 const updateManyFactory = require('./update-many');
 const deleteOneFactory = require('./delete-one');
 const rawFactory = require('./raw');
+const instrumentOperations = require('./instrument-operations');
 
 /**
  * @typedef {Object} queryFunctionData
@@ -43,7 +44,7 @@ const rawFactory = require('./raw');
  * @returns {{create: function(createFunctionData): Promise<import('@app/models')[K]>, createMany: function(createManyFunctionData): Promise<import('@app/models')[K][]>, findOne: function(queryFunctionData): Promise<import('@app/models')[K]>, findMany:function(queryFunctionData): Promise<import('@app/models')[K][]>, updateOne: function(updateFunctionData): Promise<{acknowledged: Boolean, modifiedCount: Number}>, updateMany: function(updateFunctionData): Promise<{acknowledged: Boolean, modifiedCount: Number}>, deleteOne: function(deleteFunctionData): Promise<{deletedCount: number}>,raw: function(): import('./raw').NativeModel}}
  */
 function createRepositoryFactory(modelOrName) {
-  return {
+  return instrumentOperations(modelOrName, {
     create: createFactory(modelOrName),
     createMany: createManyFactory(modelOrName),
     findOne: findOneFactory(modelOrName),
@@ -52,7 +53,7 @@ function createRepositoryFactory(modelOrName) {
     updateMany: updateManyFactory(modelOrName),
     deleteOne: deleteOneFactory(modelOrName),
     raw: rawFactory(modelOrName),
-  };
+  });
 }
 
 module.exports = createRepositoryFactory;
@@ -0,0 +1,65 @@
+const { withSpan, SPAN_KIND } = require('@app-core/tracing');
+const { createHistogram } = require('@app-core/metrics');
+const getModel = require('./get-model');
+const { throwIfRequestAborted } = require('./request-deadline');
+
+const UNINSTRUMENTED_OPERATIONS = { raw: true };
+
+const operationDuration = createHistogram({
+  name: 'repository_operation_duration_seconds',
+  help: 'Duration of repository operations in seconds.',
+  labelNames: ['model', 'operation', 'outcome'],
+});
+
+/**
+ * Wrap repository operations so each call runs in a client span named `<model>.<operation>` and its duration is recorded.
+ * Calls made for a request that has already timed out or been aborted fail without reaching the database.
+ * @template T
+ * @param {string|Object} modelOrName - The name of the model or the model itself.
+ * @param {T} operations - The repository functions keyed by operation name.
+ * @returns {T}
+ */
+function instrumentOperations(modelOrName, operations) {
+  const Model = getModel(modelOrName);
+  const modelName = typeof modelOrName === 'string' ? modelOrName : Model.modelName;
+  const attributes = {
+    'db.system': 'mongodb',
+    'db.collection.name': Model.collection?.collectionName,
+  };
+
+  const instrumentedOperations = {};
+  Object.entries(operations).forEach(([operationName, operation]) => {
+    if (UNINSTRUMENTED_OPERATIONS[operationName]) {
+      instrumentedOperations[operationName] = operation;
+      return;
+    }
+
+    instrumentedOperations[operationName] = async (...args) => {
+      throwIfRequestAborted();
+
+      const endTimer = operationDuration.startTimer({ model: modelName, operation: operationName });
+
+      return withSpan(
+        `${modelName}.${operationName}`,
+        {
+          kind: SPAN_KIND.CLIENT,
+          attributes: { ...attributes, 'db.operation.name': operationName },
+        },
+        () => operation(...args)
+      ).then(
+        (result) => {
+          endTimer({ outcome: 'success' });
+          return result;
+        },
+        (error) => {
+          endTimer({ outcome: 'error' });
+          throw error;
+        }
+      );
+    };
+  });
+
+  return instrumentedOperations;
+}
+
+module.exports = instrumentOperations;
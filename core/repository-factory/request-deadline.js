@@ -0,0 +1,28 @@
+const { requestContext } = require('@app-core/logger');
+
+/**
+ * Throw the abort reason if the request that started the current operation was aborted, so no more queries are sent for it.
+ * @throws
+ */
+function throwIfRequestAborted() {
+  const { signal } = requestContext.getContext();
+  if (signal?.aborted) throw signal.reason;
+}
+
+/**
+ * Add a maxTimeMS to query options so MongoDB stops the query once the request that started it times out.
+ * A maxTimeMS set by the caller is kept.
+ * @param {Object} [options]
+ * @returns {Object}
+ */
+function withRequestDeadline(options = {}) {
+  const { deadline } = requestContext.getContext();
+  if (!deadline || options.maxTimeMS) return options;
+
+  return { ...options, maxTimeMS: Math.max(deadline - Date.now(), 1) };
+}
+
+module.exports = {
+  throwIfRequestAborted,
+  withRequestDeadline,
+};
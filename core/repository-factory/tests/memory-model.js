@@ -0,0 +1,77 @@
+/**
+ * Create a model that keeps records in memory, for tests that need repositories to store data without a database.
+ * It supports the model calls the repository functions make, equality and $in queries, unique fields and defaults.
+ * @param {string} modelName
+ * @param {{uniqueFields?: string[], defaults?: Object}} [options]
+ */
+function createMemoryModel(modelName, options = {}) {
+  const { uniqueFields = [], defaults = {} } = options;
+  const records = [];
+
+  function matches(record, query = {}) {
+    return Object.entries(query).every(([field, condition]) => {
+      if (condition && typeof condition === 'object' && Array.isArray(condition.$in)) {
+        return condition.$in.includes(record[field]);
+      }
+      return record[field] === condition;
+    });
+  }
+
+  function createDuplicateError(field) {
+    const error = new Error(`E11000 duplicate key error collection: ${modelName}`);
+    error.code = 11000;
+    error.keyPattern = { [field]: 1 };
+    return error;
+  }
+
+  function MemoryModel(data) {
+    this.data = data;
+  }
+
+  MemoryModel.prototype.save = async function () {
+    const duplicateField = uniqueFields.find((field) =>
+      records.some((record) => record[field] === this.data[field])
+    );
+    if (duplicateField) throw createDuplicateError(duplicateField);
+
+    const record = { _id: `${modelName}-${records.length + 1}`, ...defaults, ...this.data };
+    records.push(record);
+    return { ...record };
+  };
+
+  function update(record, updateValues) {
+    Object.assign(record, updateValues);
+  }
+
+  Object.assign(MemoryModel, {
+    modelName,
+    collection: { collectionName: modelName },
+    records,
+    async findOne(query) {
+      const record = records.find((r) => matches(r, query));
+      return record ? { ...record } : null;
+    },
+    async find(query) {
+      return records.filter((r) => matches(r, query)).map((r) => ({ ...r }));
+    },
+    async updateOne(query, updateValues) {
+      const record = records.find((r) => matches(r, query));
+      if (record) update(record, updateValues);
+      return { acknowledged: true, modifiedCount: record ? 1 : 0 };
+    },
+    async updateMany(query, updateValues) {
+      const matchingRecords = records.filter((r) => matches(r, query));
+      matchingRecords.forEach((record) => update(record, updateValues));
+      return { acknowledged: true, modifiedCount: matchingRecords.length };
+    },
+    async deleteOne(query) {
+      const index = records.findIndex((r) => matches(r, query));
+      if (index !== -1) records.splice(index, 1);
+      return { acknowledged: true, deletedCount: index === -1 ? 0 : 1 };
+    },
+  });
+
+  return MemoryModel;
+}
+
+module.exports = createMemoryModel;
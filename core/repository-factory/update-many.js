@@ -1,5 +1,6 @@
 const { throwAppError, ERROR_CODE } = require('@app-core/errors');
 const getModel = require('./get-model');
+const { withRequestDeadline } = require('./request-deadline');
 
 /**
  * @typedef {Object} functionData
@@ -35,7 +36,11 @@ function updateManyFactory(modelOrName) {
         data.query.deleted = 0;
       }
 
-      const updateResult = await Model.updateMany(data.query, data.updateValues);
+      const updateResult = await Model.updateMany(
+        data.query,
+        data.updateValues,
+        withRequestDeadline()
+      );
 
       return {
         acknowledged: !!updateResult.acknowledged,
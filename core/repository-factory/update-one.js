@@ -1,5 +1,6 @@
 const { throwAppError, ERROR_CODE } = require('@app-core/errors');
 const getModel = require('./get-model');
+const { withRequestDeadline } = require('./request-deadline');
 
 /**
  * @typedef {Object} functionData
@@ -36,7 +37,11 @@ function updateOneFactory(modelOrName) {
         data.query.deleted = 0;
       }
 
-      const updateResult = await Model.updateOne(data.query, data.updateValues, data.options);
+      const updateResult = await Model.updateOne(
+        data.query,
+        data.updateValues,
+        withRequestDeadline(data.options)
+      );
 
       return {
         acknowledged: !!updateResult.acknowledged,
@@ -0,0 +1,29 @@
+const { appLogger } = require('@app-core/logger');
+
+/**
+ * Create an exporter that writes each finished span to the app logger.
+ * @returns {import('./in-memory-exporter').SpanExporter}
+ */
+function createConsoleExporter() {
+  return {
+    export(spans) {
+      spans.forEach((span) => {
+        appLogger.info(
+          {
+            traceId: span.traceId,
+            spanId: span.spanId,
+            parentSpanId: span.parentSpanId,
+            kind: span.kind,
+            durationMs: Number(span.endTime - span.startTime) / 1e6,
+            attributes: span.attributes,
+            status: span.status,
+            events: span.events.map((event) => ({ ...event, time: String(event.time) })),
+          },
+          `span:${span.name}`
+        );
+      });
+    },
+  };
+}
+
+module.exports = createConsoleExporter;
@@ -0,0 +1,31 @@
+/**
+ * An exporter receives finished spans from the tracer.
+ * @typedef {Object} SpanExporter
+ * @property {function(import('./span').SpanData[]): (void|Promise<void>)} export - Send finished spans to the backend.
+ * @property {function(): Promise<void>} [shutdown] - Flush anything pending and release resources.
+ */
+
+/**
+ * Create an exporter that keeps finished spans in memory so tests can inspect them.
+ * @returns {SpanExporter & {getFinishedSpans: function(): import('./span').SpanData[], reset: function(): void}}
+ */
+function createInMemoryExporter() {
+  let finishedSpans = [];
+
+  return {
+    export(spans) {
+      finishedSpans.push(...spans);
+    },
+    getFinishedSpans() {
+      return [...finishedSpans];
+    },
+    reset() {
+      finishedSpans = [];
+    },
+    async shutdown() {
+      finishedSpans = [];
+    },
+  };
+}
+
+module.exports = createInMemoryExporter;
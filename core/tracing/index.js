@@ -0,0 +1,17 @@
+const tracer = require('./tracer');
+const { SPAN_KIND, SPAN_STATUS } = require('./span');
+const { formatTraceparent, parseTraceparent } = require('./propagation');
+const createConsoleExporter = require('./console-exporter');
+const createOTLPExporter = require('./otlp-exporter');
+const createInMemoryExporter = require('./in-memory-exporter');
+
+module.exports = {
+  ...tracer,
+  SPAN_KIND,
+  SPAN_STATUS,
+  formatTraceparent,
+  parseTraceparent,
+  createConsoleExporter,
+  createOTLPExporter,
+  createInMemoryExporter,
+};
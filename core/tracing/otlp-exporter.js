@@ -0,0 +1,109 @@
+const axios = require('axios');
+const { appLogger } = require('@app-core/logger');
+
+/**
+ * @typedef {Object} OTLPExporterConfig
+ * @property {string} [url] - The traces endpoint. Defaults to `${OTEL_EXPORTER_OTLP_ENDPOINT}/v1/traces`, or http://localhost:4318/v1/traces.
+ * @property {Object} [headers] - Extra headers sent with every export, e.g. an API key for a hosted collector.
+ * @property {string} [serviceName] - The service.name resource attribute.
+ * @property {number} [maxBatchSize=100] - Spans are sent as soon as this many are pending.
+ * @property {number} [flushIntervalMs=5000] - Pending spans are sent at least this often.
+ */
+
+function toAttributeValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: value } : { doubleValue: value };
+  }
+  return { stringValue: String(value) };
+}
+
+function toAttributes(attributes = {}) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: toAttributeValue(value) }));
+}
+
+function toOTLPSpan(span) {
+  return {
+    traceId: span.traceId,
+    spanId: span.spanId,
+    parentSpanId: span.parentSpanId,
+    name: span.name,
+    kind: span.kind,
+    startTimeUnixNano: String(span.startTime),
+    endTimeUnixNano: String(span.endTime),
+    attributes: toAttributes(span.attributes),
+    events: span.events.map((event) => ({
+      name: event.name,
+      timeUnixNano: String(event.time),
+      attributes: toAttributes(event.attributes),
+    })),
+    status: span.status,
+  };
+}
+
+/**
+ * Create an exporter that sends spans to an OpenTelemetry collector using OTLP/HTTP with JSON encoding.
+ * Spans are batched, and export failures are logged rather than thrown.
+ * @param {OTLPExporterConfig} [exporterConfig]
+ * @returns {import('./in-memory-exporter').SpanExporter}
+ */
+function createOTLPExporter(exporterConfig = {}) {
+  const endpoint = (process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://localhost:4318').replace(
+    /\/$/,
+    ''
+  );
+  const {
+    url = `${endpoint}/v1/traces`,
+    headers = {},
+    serviceName = process.env.OTEL_SERVICE_NAME || process.env.APP_NAME || 'app',
+    maxBatchSize = 100,
+    flushIntervalMs = 5000,
+  } = exporterConfig;
+
+  let pendingSpans = [];
+
+  // axios is called directly rather than through @app-core/http-request so exports are not traced themselves
+  async function flush() {
+    if (!pendingSpans.length) return;
+    const spans = pendingSpans;
+    pendingSpans = [];
+
+    try {
+      await axios.post(
+        url,
+        {
+          resourceSpans: [
+            {
+              resource: { attributes: toAttributes({ 'service.name': serviceName }) },
+              scopeSpans: [{ scope: { name: '@app-core/tracing' }, spans: spans.map(toOTLPSpan) }],
+            },
+          ],
+        },
+        { headers: { 'content-type': 'application/json', ...headers }, timeout: 10000 }
+      );
+    } catch (e) {
+      appLogger.error(
+        { errorMessage: e.message, droppedSpans: spans.length, url },
+        'tracing-export-error'
+      );
+    }
+  }
+
+  const flushInterval = setInterval(flush, flushIntervalMs);
+  flushInterval.unref();
+
+  return {
+    export(spans) {
+      pendingSpans.push(...spans);
+      if (pendingSpans.length >= maxBatchSize) flush();
+    },
+    async shutdown() {
+      clearInterval(flushInterval);
+      await flush();
+    },
+  };
+}
+
+module.exports = createOTLPExporter;
@@ -0,0 +1,39 @@
+const TRACEPARENT_REGEX = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+/**
+ * The trace a span belongs to and the span to use as its parent.
+ * @typedef {Object} SpanContext
+ * @property {string} traceId - 32 hex characters.
+ * @property {string} spanId - 16 hex characters.
+ */
+
+/**
+ * Format a span context as a W3C traceparent header value.
+ * @param {SpanContext} spanContext
+ * @returns {string}
+ */
+function formatTraceparent({ traceId, spanId }) {
+  return `00-${traceId}-${spanId}-01`;
+}
+
+/**
+ * Parse a W3C traceparent header value. Invalid values are ignored so a new trace is started.
+ * @param {string} [traceparent]
+ * @returns {SpanContext|null}
+ */
+function parseTraceparent(traceparent) {
+  const match = typeof traceparent === 'string' && traceparent.trim().match(TRACEPARENT_REGEX);
+  if (!match) return null;
+
+  const [, traceId, spanId] = match;
+  if (traceId === INVALID_TRACE_ID || spanId === INVALID_SPAN_ID) return null;
+
+  return { traceId, spanId };
+}
+
+module.exports = {
+  formatTraceparent,
+  parseTraceparent,
+};
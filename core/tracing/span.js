@@ -0,0 +1,116 @@
+const { randomBytes } = require('crypto');
+const { performance } = require('perf_hooks');
+const { formatTraceparent } = require('./propagation');
+
+/**
+ * @readonly
+ * @enum {number}
+ */
+const SPAN_KIND = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3,
+  PRODUCER: 4,
+  CONSUMER: 5,
+};
+
+/**
+ * @readonly
+ * @enum {number}
+ */
+const SPAN_STATUS = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2,
+};
+
+function nowInNanoseconds() {
+  return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1e6));
+}
+
+/**
+ * A finished or running span.
+ * @typedef {Object} SpanData
+ * @property {string} traceId
+ * @property {string} spanId
+ * @property {string} [parentSpanId]
+ * @property {string} name
+ * @property {SPAN_KIND} kind
+ * @property {bigint} startTime - Unix time in nanoseconds.
+ * @property {bigint} [endTime] - Unix time in nanoseconds.
+ * @property {Object<string, string|number|boolean>} attributes
+ * @property {{code: SPAN_STATUS, message?: string}} status
+ * @property {{name: string, time: bigint, attributes: Object}[]} events
+ */
+
+/**
+ * Create a span.
+ * @param {string} name
+ * @param {Object} options
+ * @param {SPAN_KIND} [options.kind]
+ * @param {Object} [options.attributes]
+ * @param {import('./propagation').SpanContext} [options.parent]
+ * @param {function(SpanData): void} options.onEnd - Called once when the span ends.
+ */
+function createSpan(name, { kind = SPAN_KIND.INTERNAL, attributes = {}, parent, onEnd }) {
+  /** @type {SpanData} */
+  const data = {
+    traceId: parent?.traceId || randomBytes(16).toString('hex'),
+    spanId: randomBytes(8).toString('hex'),
+    parentSpanId: parent?.spanId,
+    name,
+    kind,
+    startTime: nowInNanoseconds(),
+    attributes: { ...attributes },
+    status: { code: SPAN_STATUS.UNSET },
+    events: [],
+  };
+
+  const span = {
+    data,
+    get traceparent() {
+      return formatTraceparent(data);
+    },
+    setName(spanName) {
+      data.name = spanName;
+      return span;
+    },
+    setAttribute(key, value) {
+      if (value !== undefined) data.attributes[key] = value;
+      return span;
+    },
+    setAttributes(spanAttributes) {
+      Object.entries(spanAttributes).forEach(([key, value]) => span.setAttribute(key, value));
+      return span;
+    },
+    setStatus(code, message) {
+      data.status = { code, message };
+      return span;
+    },
+    recordException(error) {
+      data.events.push({
+        name: 'exception',
+        time: nowInNanoseconds(),
+        attributes: {
+          'exception.type': error?.name,
+          'exception.message': error?.message,
+          'exception.stacktrace': error?.stack,
+        },
+      });
+      return span.setStatus(SPAN_STATUS.ERROR, error?.message);
+    },
+    end() {
+      if (data.endTime) return;
+      data.endTime = nowInNanoseconds();
+      onEnd(data);
+    },
+  };
+
+  return span;
+}
+
+module.exports = {
+  SPAN_KIND,
+  SPAN_STATUS,
+  createSpan,
+};
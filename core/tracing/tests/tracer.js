@@ -0,0 +1,166 @@
+const assert = require('assert');
+const http = require('http');
+const tracing = require('..');
+
+async function runTracerTests() {
+  console.log('🧪 Running Tracer Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  const exporter = tracing.configureTracing({ exporter: 'memory' });
+  const traceId = 'a'.repeat(32);
+  const spanId = 'b'.repeat(16);
+
+  try {
+    await test('should parse and format traceparent headers', async () => {
+      const traceparent = `00-${traceId}-${spanId}-01`;
+      assert.deepStrictEqual(tracing.parseTraceparent(traceparent), { traceId, spanId });
+      assert.strictEqual(tracing.formatTraceparent({ traceId, spanId }), traceparent);
+
+      [
+        undefined,
+        'garbage',
+        `01-${traceId}-${spanId}-01`,
+        `00-${'0'.repeat(32)}-${spanId}-01`,
+        `00-${traceId}-${'0'.repeat(16)}-01`,
+      ].forEach((value) => assert.strictEqual(tracing.parseTraceparent(value), null));
+    });
+
+    await test('should nest spans started within an active span', async () => {
+      exporter.reset();
+
+      await tracing.withSpan('parent', {}, async (parent) => {
+        assert.strictEqual(tracing.getActiveSpan(), parent);
+        assert.strictEqual(tracing.getTraceparent(), parent.traceparent);
+        await tracing.withSpan('child', { attributes: { step: 1 } }, async () => {});
+      });
+
+      const [child, parent] = exporter.getFinishedSpans();
+      assert.strictEqual(child.name, 'child');
+      assert.strictEqual(child.traceId, parent.traceId);
+      assert.strictEqual(child.parentSpanId, parent.spanId);
+      assert.strictEqual(parent.parentSpanId, undefined);
+      assert.deepStrictEqual(child.attributes, { step: 1 });
+      assert.ok(parent.endTime >= parent.startTime);
+      assert.strictEqual(tracing.getActiveSpan(), undefined);
+    });
+
+    await test('should continue a trace from a traceparent and start new ones with null', async () => {
+      exporter.reset();
+
+      await tracing.withSpan('root', {}, async () => {
+        await tracing.withSpan(
+          'remote',
+          { kind: tracing.SPAN_KIND.SERVER, parent: `00-${traceId}-${spanId}-01` },
+          async () => {}
+        );
+        await tracing.withSpan('detached', { parent: null }, async () => {});
+      });
+
+      const [remote, detached, root] = exporter.getFinishedSpans();
+      assert.deepStrictEqual([remote.traceId, remote.parentSpanId], [traceId, spanId]);
+      assert.strictEqual(remote.kind, tracing.SPAN_KIND.SERVER);
+      assert.notStrictEqual(detached.traceId, root.traceId);
+      assert.strictEqual(detached.parentSpanId, undefined);
+    });
+
+    await test('should record errors and end the span', async () => {
+      exporter.reset();
+
+      await assert.rejects(
+        tracing.withSpan('failing', {}, async () => {
+          throw new Error('boom');
+        }),
+        /boom/
+      );
+
+      const [span] = exporter.getFinishedSpans();
+      assert.deepStrictEqual(span.status, { code: tracing.SPAN_STATUS.ERROR, message: 'boom' });
+      assert.strictEqual(span.events[0].name, 'exception');
+      assert.strictEqual(span.events[0].attributes['exception.message'], 'boom');
+    });
+
+    await test('should only export a span once', async () => {
+      exporter.reset();
+      const span = tracing.startSpan('manual');
+      span.end();
+      span.end();
+      assert.strictEqual(exporter.getFinishedSpans().length, 1);
+    });
+
+    await test('should not export spans when tracing is off', async () => {
+      tracing.configureTracing({ exporter: null });
+      try {
+        assert.strictEqual(tracing.isTracingEnabled(), false);
+        assert.strictEqual(await tracing.withSpan('untraced', {}, async () => 'result'), 'result');
+        assert.throws(() => tracing.configureTracing({ exporter: 'zipkin' }), /Unknown tracing/);
+      } finally {
+        tracing.configureTracing({ exporter });
+      }
+    });
+
+    await test('should send batches of spans to an OTLP collector', async () => {
+      const exportRequests = [];
+      const collector = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+          body += chunk;
+        });
+        req.on('end', () => {
+          exportRequests.push(JSON.parse(body));
+          res.end('{}');
+        });
+      });
+      await new Promise((resolve) => {
+        collector.listen(0, '127.0.0.1', resolve);
+      });
+
+      try {
+        const otlpExporter = tracing.createOTLPExporter({
+          url: `http://127.0.0.1:${collector.address().port}/v1/traces`,
+          serviceName: 'orders',
+          maxBatchSize: 10,
+        });
+        tracing.configureTracing({ exporter: otlpExporter });
+
+        await tracing.withSpan('order.create', { attributes: { items: 2, paid: true } }, () => {});
+        await tracing.shutdownTracing();
+
+        assert.strictEqual(exportRequests.length, 1);
+        const [resourceSpans] = exportRequests[0].resourceSpans;
+        assert.deepStrictEqual(resourceSpans.resource.attributes, [
+          { key: 'service.name', value: { stringValue: 'orders' } },
+        ]);
+
+        const [span] = resourceSpans.scopeSpans[0].spans;
+        assert.strictEqual(span.name, 'order.create');
+        assert.match(span.startTimeUnixNano, /^\d+$/);
+        assert.deepStrictEqual(span.attributes, [
+          { key: 'items', value: { intValue: 2 } },
+          { key: 'paid', value: { boolValue: true } },
+        ]);
+      } finally {
+        collector.close();
+      }
+    });
+  } finally {
+    tracing.configureTracing({ exporter: null });
+  }
+
+  console.log(`✅ Tracer Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runTracerTests;
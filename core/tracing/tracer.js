@@ -0,0 +1,154 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { appLogger } = require('@app-core/logger');
+const { createSpan } = require('./span');
+const { parseTraceparent } = require('./propagation');
+const createConsoleExporter = require('./console-exporter');
+const createOTLPExporter = require('./otlp-exporter');
+const createInMemoryExporter = require('./in-memory-exporter');
+
+/**
+ * @typedef {ReturnType<typeof createSpan>} Span
+ */
+
+/**
+ * @typedef {Object} SpanOptions
+ * @property {import('./span').SPAN_KIND} [kind=SPAN_KIND.INTERNAL]
+ * @property {Object<string, string|number|boolean>} [attributes]
+ * @property {Span|import('./propagation').SpanContext|string|null} [parent] - The parent span, span context or traceparent header value. Defaults to the active span; pass null to start a new trace.
+ */
+
+/**
+ * @typedef {Object} TracingConfig
+ * @property {"otlp"|"console"|"memory"|import('./in-memory-exporter').SpanExporter|null} [exporter] - Where finished spans are sent. Defaults to the TRACING_EXPORTER environment variable. Tracing is off without one.
+ */
+
+const EXPORTER_FACTORIES = {
+  otlp: createOTLPExporter,
+  console: createConsoleExporter,
+  memory: createInMemoryExporter,
+};
+
+const storage = new AsyncLocalStorage();
+
+let exporter;
+
+function resolveExporter(exporterOption) {
+  if (!exporterOption) return null;
+  if (typeof exporterOption === 'object') return exporterOption;
+
+  const factory = EXPORTER_FACTORIES[exporterOption];
+  if (!factory) throw new Error(`Unknown tracing exporter: ${exporterOption}`);
+  return factory();
+}
+
+function getExporter() {
+  if (exporter === undefined) exporter = resolveExporter(process.env.TRACING_EXPORTER);
+  return exporter;
+}
+
+/**
+ * Set where finished spans are sent. Replaces the exporter chosen by the TRACING_EXPORTER environment variable.
+ * @param {TracingConfig} tracingConfig
+ * @returns {import('./in-memory-exporter').SpanExporter|null} The exporter in use.
+ */
+function configureTracing(tracingConfig = {}) {
+  exporter = resolveExporter(tracingConfig.exporter);
+  return exporter;
+}
+
+/**
+ * Check if finished spans are being exported.
+ * @returns {boolean}
+ */
+function isTracingEnabled() {
+  return !!getExporter();
+}
+
+function exportSpan(spanData) {
+  const spanExporter = getExporter();
+  if (!spanExporter) return;
+
+  try {
+    const exported = spanExporter.export([spanData]);
+    if (exported?.catch) exported.catch((e) => appLogger.error(e, 'tracing-export-error'));
+  } catch (e) {
+    appLogger.error({ errorMessage: e.message, errorStack: e.stack }, 'tracing-export-error');
+  }
+}
+
+function resolveParent(parent) {
+  if (parent === undefined) return storage.getStore()?.data;
+  if (!parent) return undefined;
+  if (typeof parent === 'string') return parseTraceparent(parent) || undefined;
+  return parent.data || parent;
+}
+
+/**
+ * Get the span that is active in the current async context.
+ * @returns {Span|undefined}
+ */
+function getActiveSpan() {
+  return storage.getStore();
+}
+
+/**
+ * Get a traceparent header value for the active span, to propagate the trace to another service.
+ * @returns {string|undefined}
+ */
+function getTraceparent() {
+  return storage.getStore()?.traceparent;
+}
+
+/**
+ * Start a span. It is not made active, and must be ended by the caller.
+ * @param {string} name
+ * @param {SpanOptions} [spanOptions]
+ * @returns {Span}
+ */
+function startSpan(name, spanOptions = {}) {
+  const { kind, attributes, parent } = spanOptions;
+  return createSpan(name, { kind, attributes, parent: resolveParent(parent), onEnd: exportSpan });
+}
+
+/**
+ * Run a function in a new span that is active for everything it calls.
+ * The span ends when the function settles, and records the error if it throws.
+ * @template T
+ * @param {string} name
+ * @param {SpanOptions} spanOptions
+ * @param {function(Span): T|Promise<T>} callback
+ * @returns {Promise<T>}
+ */
+function withSpan(name, spanOptions, callback) {
+  const span = startSpan(name, spanOptions);
+
+  return storage.run(span, async () => {
+    try {
+      return await callback(span);
+    } catch (e) {
+      span.recordException(e);
+      throw e;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Flush pending spans and shut the exporter down.
+ * @returns {Promise<void>}
+ */
+async function shutdownTracing() {
+  const spanExporter = getExporter();
+  if (spanExporter?.shutdown) await spanExporter.shutdown();
+}
+
+module.exports = {
+  configureTracing,
+  isTracingEnabled,
+  getActiveSpan,
+  getTraceparent,
+  startSpan,
+  withSpan,
+  shutdownTracing,
+};
@@ -14,6 +14,7 @@ function generateASTFirstPhase(tree, nodeIndices, nodes, isChild) {
       http_path,
       commentText,
       arrayChildrenType,
+      literalValue,
     } = nodeAttributes;
     const isEndpoint = !!(http_method && http_path);
     if (name) {
@@ -29,6 +30,7 @@ function generateASTFirstPhase(tree, nodeIndices, nodes, isChild) {
         isEndpoint,
         commentText,
         arrayChildrenType,
+        literalValue,
         spreads: node.spreads,
         children: {},
       };
@@ -0,0 +1,35 @@
+const { h, buildRegexFromComplexString } = require('../utils/regex-builder');
+
+// Matches literal attribute lines found in endpoint blocks such as `path /products`,
+// `http.code 201` or `message "Products fetched successfully"`.
+const literalRegexString = h`
+^
+  (?<PROPERTY_NAME>[a-zA-Z$_]+[a-zA-Z$_0-9-]*(\.[a-zA-Z$_]+[a-zA-Z$_0-9-]*)*)
+  \s+
+  (?<LITERAL_VALUE>(\/[a-zA-Z0-9-\/:@$_{}.]*)|(-?[0-9]+(\.[0-9]+)?)|("[^"]*"))
+  (?:
+    \s*\/\/\s*(?<COMMENT_TEXT>.+)?
+  )?
+  \s*
+$
+`;
+const literalRegex = buildRegexFromComplexString(literalRegexString);
+
+function literalLineProcessor(line = '') {
+  const lineMatches = line.match(literalRegex);
+  const { PROPERTY_NAME, LITERAL_VALUE, COMMENT_TEXT } = lineMatches?.groups || {};
+  let literalValue = LITERAL_VALUE;
+  if (literalValue?.startsWith('"')) {
+    literalValue = literalValue.slice(1, -1);
+  } else if (literalValue && !literalValue.startsWith('/')) {
+    literalValue = Number(literalValue);
+  }
+  return {
+    lineMatched: !!PROPERTY_NAME,
+    name: PROPERTY_NAME,
+    literalValue,
+    isOpened: false,
+    commentText: COMMENT_TEXT,
+  };
+}
+module.exports = literalLineProcessor;
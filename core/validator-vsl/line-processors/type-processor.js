@@ -3,7 +3,7 @@ const { processQualifiers, processPossibleValues } = require('../utils/helpers')
 
 const typeRegexString = h`
 ^
-(?<PROPERTY_NAME>[a-zA-Z$_]+[a-zA-Z$_0-9]*)
+(?<PROPERTY_NAME>[a-zA-Z$_]+[a-zA-Z$_0-9-]*(\.[a-zA-Z$_]+[a-zA-Z$_0-9-]*)*)
 (?<ARRAY_MARKER>\[\])?
 (?<OPTIONAL_QUESTIONMARK>\?)?
  \s+
@@ -5,6 +5,7 @@ const endpointRouteLineProcessor = require('./line-processors/endpoint-processor
 const multiLineCommentProcessor = require('./line-processors/multi-line-processor');
 const commentBlockLineProcessor = require('./line-processors/comment-block-line-processor');
 const spreadProcessor = require('./line-processors/spread-processor');
+const literalLineProcessor = require('./line-processors/literal-processor');
 
 const processors = [
   schemaLineProcessor,
@@ -12,6 +13,7 @@ const processors = [
   typeLineProcessor,
   endpointRouteLineProcessor,
   spreadProcessor,
+  literalLineProcessor,
 ];
 
 const processorsLength = processors.length;
@@ -371,6 +371,22 @@ function runBasicTypeTests() {
     }, /users\[1\]\.age is required!/);
   });
 
+  // Hyphenated property names
+  test('should support hyphenated property names such as header names', () => {
+    const spec = `root {
+  x-client-id string
+  x-request-id? string
+}`;
+    const ast = validator.parse(spec);
+
+    const result = validator.validate({ 'x-client-id': 'client-1' }, ast);
+    assert.strictEqual(result['x-client-id'], 'client-1');
+
+    assert.throws(() => {
+      validator.validate({}, ast);
+    }, /x-client-id is required!/);
+  });
+
   console.log(`✅ Basic Type Validation Tests Completed: ${passedCount}/${testCount} passed`);
   return { passed: passedCount, total: testCount };
 }
@@ -625,6 +625,60 @@ function runErrorHandlingTests() {
     }, /length 3 should be 5/);
   });
 
+  // Collecting every failure
+  test('should report every failing field when collectAll is set', () => {
+    const spec = `root {
+  email string<isEmail>
+  age number<min:18>
+  role string(admin|user)
+  address {
+    city string
+  }
+  tags[] string
+}`;
+    const ast = validator.parse(spec);
+
+    // Default mode stops at the first failure
+    try {
+      validator.validate({ email: 'bad', age: 10 }, ast);
+      assert.fail('Expected validation to throw');
+    } catch (error) {
+      assert.strictEqual(error.details.length, 1);
+      assert.deepStrictEqual(error.details[0], {
+        field: 'email',
+        constraint: 'isEmail',
+        message: 'Passed email value bad is not a valid email',
+      });
+    }
+
+    try {
+      validator.validate({ email: 'bad', age: 'ten', role: 'guest', address: {}, tags: [] }, ast, {
+        collectAll: true,
+      });
+      assert.fail('Expected validation to throw');
+    } catch (error) {
+      assert.strictEqual(error.message, 'Passed email value bad is not a valid email');
+      assert.deepStrictEqual(
+        error.details.map(({ field, constraint }) => `${field}:${constraint}`),
+        [
+          'email:isEmail',
+          'age:type',
+          'role:possibleValues',
+          'address.city:required',
+          'tags:required',
+        ]
+      );
+    }
+
+    // Valid data is returned as usual
+    const result = validator.validate(
+      { email: 'a@b.co', age: 20, role: 'user', address: { city: 'Lagos' }, tags: ['x'] },
+      ast,
+      { collectAll: true }
+    );
+    assert.strictEqual(result.address.city, 'Lagos');
+  });
+
   console.log(
     `✅ Error Handling and Edge Cases Tests Completed: ${passedCount}/${testCount} passed`
   );
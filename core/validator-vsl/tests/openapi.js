@@ -0,0 +1,134 @@
+const assert = require('assert');
+const validator = require('@app-core/validator');
+const { generateNodeSchema } = require('../util-json-schema-generator');
+const { toOpenAPIPath, generateOpenAPIDocument } = require('../util-openapi-generator');
+
+function runOpenAPITests() {
+  console.log('🧪 Running OpenAPI Generation Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  function test(name, testFn) {
+    testCount++;
+    try {
+      testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  function getFieldSchema(spec, field) {
+    const ast = validator.parse(spec);
+    return generateNodeSchema(ast.root.children[field], ast);
+  }
+
+  // Paths
+  test('should convert express paths to OpenAPI paths', () => {
+    assert.strictEqual(
+      toOpenAPIPath('/profiles/:id/posts/:postId'),
+      '/profiles/{id}/posts/{postId}'
+    );
+    assert.strictEqual(toOpenAPIPath(), '/');
+  });
+
+  // Constraints
+  test('should map constraints to JSON Schema keywords', () => {
+    const spec = `root {
+  age number<min:18|max:60>
+  code string<length:6>
+  email string<isEmail>
+  role string(admin|user)
+}`;
+    assert.deepStrictEqual(getFieldSchema(spec, 'age'), {
+      type: 'number',
+      minimum: 18,
+      maximum: 60,
+    });
+    assert.deepStrictEqual(getFieldSchema(spec, 'code'), {
+      type: 'string',
+      minLength: 6,
+      maxLength: 6,
+    });
+    assert.deepStrictEqual(getFieldSchema(spec, 'email'), { type: 'string', format: 'email' });
+    assert.deepStrictEqual(getFieldSchema(spec, 'role'), {
+      type: 'string',
+      enum: ['admin', 'user'],
+    });
+  });
+
+  test('should keep both patterns of startsWith and endsWith', () => {
+    const spec = `root {
+  filename string<startsWith:img_|endsWith:.png>
+}`;
+    assert.deepStrictEqual(getFieldSchema(spec, 'filename'), {
+      type: 'string',
+      pattern: '^img_',
+      allOf: [{ pattern: '\\.png$' }],
+    });
+  });
+
+  test('should negate each negated constraint on its own', () => {
+    const spec = `root {
+  url string<!startsWith:abc|!endsWith:mm|minLength:2>
+}`;
+    assert.deepStrictEqual(getFieldSchema(spec, 'url'), {
+      type: 'string',
+      minLength: 2,
+      allOf: [{ not: { pattern: '^abc' } }, { not: { pattern: 'mm$' } }],
+    });
+  });
+
+  // Documents
+  test('should generate operations from endpoint blocks', () => {
+    const ast = validator.parse(`GetProfileRequest {
+  path /profiles/:id
+  method GET
+
+  params {
+    id string
+  }
+
+  query {
+    expand? string(posts|followers)
+  }
+
+  response.ok {
+    http.code 200
+    status successful
+    message "Profile fetched"
+    data {
+      name string
+    }
+  }
+}`);
+    const document = generateOpenAPIDocument(ast, { title: 'Profiles' });
+
+    assert.strictEqual(document.openapi, '3.1.0');
+    assert.strictEqual(document.info.title, 'Profiles');
+
+    const operation = document.paths['/profiles/{id}'].get;
+    assert.strictEqual(operation.operationId, 'GetProfileRequest');
+    assert.deepStrictEqual(
+      operation.parameters.map(({ name, in: location, required }) => [name, location, required]),
+      [
+        ['expand', 'query', false],
+        ['id', 'path', true],
+      ]
+    );
+
+    const response = operation.responses['200'];
+    assert.strictEqual(response.description, 'Profile fetched');
+    assert.deepStrictEqual(
+      response.content['application/json'].schema.properties.data.properties.name,
+      { type: 'string' }
+    );
+  });
+
+  console.log(`✅ OpenAPI Generation Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runOpenAPITests;
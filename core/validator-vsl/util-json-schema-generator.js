@@ -0,0 +1,176 @@
+/* eslint-disable no-param-reassign */
+const PRIMITIVE_TYPES = {
+  string: 'string',
+  number: 'number',
+  boolean: 'boolean',
+  object: 'object',
+  array: 'array',
+};
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toNumber(value) {
+  return value * 1;
+}
+
+/**
+ * Translate a single VSL constraint into JSON Schema keywords.
+ * Transforms such as trim or lowercase have no JSON Schema equivalent and are ignored.
+ * @param {string} constraintName
+ * @param {string} value
+ * @returns {Object}
+ */
+function constraintToKeywords(constraintName, value) {
+  const [arg1, arg2] = String(value).split(',');
+  switch (constraintName.toLowerCase()) {
+    case 'min':
+      return { minimum: toNumber(value) };
+    case 'max':
+      return { maximum: toNumber(value) };
+    case 'between':
+      return { minimum: toNumber(arg1), maximum: toNumber(arg2) };
+    case 'length':
+      return { minLength: toNumber(value), maxLength: toNumber(value) };
+    case 'minlength':
+      return { minLength: toNumber(value) };
+    case 'maxlength':
+      return { maxLength: toNumber(value) };
+    case 'lengthbetween':
+      return { minLength: toNumber(arg1), maxLength: toNumber(arg2) };
+    case 'startswith':
+      return { pattern: `^${escapeRegex(value)}` };
+    case 'endswith':
+      return { pattern: `${escapeRegex(value)}$` };
+    case 'isanyof':
+      return { enum: String(value).split(',') };
+    case 'isemail':
+      return { format: 'email' };
+    default:
+      return {};
+  }
+}
+
+function addSubschema(schema, subschema) {
+  schema.allOf = [...(schema.allOf || []), subschema];
+}
+
+/**
+ * Apply VSL constraints to a schema. Every negated constraint gets its own `not` and patterns after the first are
+ * added to allOf, so each constraint is checked on its own as the validator does.
+ * @param {Object} schema
+ * @param {Object} [constraints]
+ * @returns {Object}
+ */
+function applyConstraints(schema, constraints = {}) {
+  Object.keys(constraints).forEach((constraintName) => {
+    const { value, isNot } = constraints[constraintName];
+    if (constraintName.toLowerCase() === 'example') {
+      schema.examples = [value];
+      return;
+    }
+    const keywords = constraintToKeywords(constraintName, value);
+    if (!Object.keys(keywords).length) return;
+    if (isNot) {
+      addSubschema(schema, { not: keywords });
+      return;
+    }
+    const { pattern, ...otherKeywords } = keywords;
+    Object.assign(schema, otherKeywords);
+    if (pattern && schema.pattern) {
+      addSubschema(schema, { pattern });
+    } else if (pattern) {
+      schema.pattern = pattern;
+    }
+  });
+  return schema;
+}
+
+function applyPossibleValues(schema, possibleValues, dataType) {
+  if (possibleValues?.length) {
+    schema.enum = possibleValues.map((v) => (dataType === 'number' ? toNumber(v) : v));
+  }
+  return schema;
+}
+
+/**
+ * Resolve a reference type (#Model, #Model.field or $Model.field) to a JSON Schema.
+ * Whole model references point to components/schemas, field references are inlined.
+ */
+function referenceToSchema(type, AST, toSchema) {
+  const [parent, key] = type.replace(/[$#]/g, '').split('.');
+  if (key) {
+    const referencedNode = AST[parent]?.children?.[key];
+    return referencedNode ? toSchema(referencedNode, AST) : {};
+  }
+  return AST[parent] ? { $ref: `#/components/schemas/${parent}` } : {};
+}
+
+function typeToSchema(type, AST, toSchema) {
+  if (!type || type === 'any') return {};
+  if (type.includes('#') || type.includes('$')) {
+    return referenceToSchema(type, AST, toSchema);
+  }
+  return PRIMITIVE_TYPES[type] ? { type: PRIMITIVE_TYPES[type] } : {};
+}
+
+/**
+ * Generate a JSON Schema for the children of a VSL node.
+ * @param {Object} nodes - The children of a parsed VSL node.
+ * @param {Object} [AST] - The full AST, used to resolve references.
+ * @returns {Object}
+ */
+function generateObjectSchema(nodes = {}, AST = {}) {
+  const schema = { type: 'object', properties: {} };
+  const required = [];
+  Object.keys(nodes).forEach((key) => {
+    const node = nodes[key];
+    const propertyName = node.alias || key;
+    // eslint-disable-next-line no-use-before-define
+    schema.properties[propertyName] = generateNodeSchema(node, AST);
+    if (!node.isOptional) required.push(propertyName);
+  });
+  if (required.length) schema.required = required;
+  return schema;
+}
+
+/**
+ * Generate a JSON Schema for a single VSL node, including its constraints and possible values.
+ * @param {Object} node - A parsed VSL node.
+ * @param {Object} [AST] - The full AST, used to resolve references.
+ * @returns {Object}
+ */
+function generateNodeSchema(node, AST = {}) {
+  const { dataType, arrayChildrenType, constraints, possibleValues, commentText } = node;
+  const hasChildren = Object.keys(node.children || {}).length > 0;
+  let schema;
+
+  if (dataType === 'array') {
+    let itemSchema;
+    if (hasChildren) {
+      itemSchema = generateObjectSchema(node.children, AST);
+    } else {
+      itemSchema = typeToSchema(arrayChildrenType, AST, generateNodeSchema);
+      // Constraints on primitive arrays apply to every item.
+      applyConstraints(itemSchema, constraints);
+      applyPossibleValues(itemSchema, possibleValues, arrayChildrenType);
+    }
+    schema = { type: 'array', items: itemSchema };
+    if (!node.isOptional) schema.minItems = 1;
+  } else if (hasChildren) {
+    schema = generateObjectSchema(node.children, AST);
+  } else {
+    schema = typeToSchema(dataType, AST, generateNodeSchema);
+    applyConstraints(schema, constraints);
+    applyPossibleValues(schema, possibleValues, dataType);
+  }
+
+  if (commentText) schema.description = commentText;
+  return schema;
+}
+
+module.exports = {
+  generateNodeSchema,
+  generateObjectSchema,
+};
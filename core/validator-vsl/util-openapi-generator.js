@@ -0,0 +1,257 @@
+/* eslint-disable no-param-reassign */
+const { generateNodeSchema, generateObjectSchema } = require('./util-json-schema-generator');
+
+const PARAMETER_LOCATIONS = {
+  headers: 'header',
+  query: 'query',
+  params: 'path',
+};
+
+/**
+ * A response declared for an endpoint.
+ * @typedef {Object} OpenAPIResponseDefinition
+ * @property {number|string} statusCode - The HTTP status code.
+ * @property {string} [description] - Response description. Defaults to the status code.
+ * @property {string} [status] - Example value of the envelope status field.
+ * @property {Object} [data] - VSL node describing the envelope data field.
+ */
+
+/**
+ * An endpoint described in a form that can be turned into an OpenAPI operation.
+ * @typedef {Object} OpenAPIOperationDefinition
+ * @property {string} method - The HTTP method.
+ * @property {string} path - The express style path e.g. /profiles/:id
+ * @property {string} [operationId]
+ * @property {string} [summary]
+ * @property {string[]} [tags]
+ * @property {boolean} [deprecated]
+ * @property {{headers?: Object, query?: Object, params?: Object, body?: Object}} sections - VSL nodes whose children describe each request component.
+ * @property {OpenAPIResponseDefinition[]} [responses]
+ */
+
+/**
+ * @typedef {Object} OpenAPIDocumentOptions
+ * @property {string} [title] - Defaults to the APP_NAME environment variable or API.
+ * @property {string} [version] - Defaults to 1.0.0
+ * @property {string} [description]
+ * @property {{url: string, description?: string}[]} [servers] - Defaults to APP_BASE_URL when set.
+ */
+
+/**
+ * Convert an express style path to an OpenAPI path e.g. /profiles/:id to /profiles/{id}
+ * @param {string} path
+ * @returns {string}
+ */
+function toOpenAPIPath(path = '/') {
+  return path.replace(/:([a-zA-Z0-9_$]+)/g, '{$1}');
+}
+
+function generateParameters(sections, AST) {
+  const parameters = [];
+  Object.keys(PARAMETER_LOCATIONS).forEach((section) => {
+    const children = sections[section]?.children || {};
+    Object.keys(children).forEach((name) => {
+      const node = children[name];
+      const parameter = {
+        name,
+        in: PARAMETER_LOCATIONS[section],
+        required: section === 'params' || !node.isOptional,
+        schema: generateNodeSchema({ ...node, commentText: undefined }, AST),
+      };
+      if (node.commentText) parameter.description = node.commentText;
+      parameters.push(parameter);
+    });
+  });
+  return parameters;
+}
+
+function generateResponse(response, AST) {
+  const statusCode = Number(response.statusCode);
+  const envelope = {
+    type: 'object',
+    properties: {
+      status: { type: 'string' },
+      message: { type: 'string' },
+      data: response.data ? generateObjectSchema(response.data.children, AST) : { type: 'object' },
+    },
+    required: ['status'],
+  };
+  if (response.status) envelope.properties.status.examples = [response.status];
+  if (statusCode >= 400) {
+    envelope.properties.errors = { type: 'array', items: { type: 'object' } };
+  }
+  return {
+    description: response.description || String(response.statusCode),
+    content: { 'application/json': { schema: envelope } },
+  };
+}
+
+/**
+ * Generate an OpenAPI operation object.
+ * @param {OpenAPIOperationDefinition} definition
+ * @param {Object} [AST] - The full AST, used to resolve references.
+ * @returns {Object}
+ */
+function generateOpenAPIOperation(definition, AST = {}) {
+  const { operationId, summary, tags, deprecated, sections = {}, responses = [] } = definition;
+  const operation = {};
+  if (operationId) operation.operationId = operationId;
+  if (summary) operation.summary = summary;
+  if (tags?.length) operation.tags = tags;
+  if (deprecated) operation.deprecated = true;
+
+  const parameters = generateParameters(sections, AST);
+  if (parameters.length) operation.parameters = parameters;
+
+  if (Object.keys(sections.body?.children || {}).length) {
+    operation.requestBody = {
+      required: true,
+      content: {
+        'application/json': { schema: generateObjectSchema(sections.body.children, AST) },
+      },
+    };
+  }
+
+  operation.responses = {};
+  responses.forEach((response) => {
+    operation.responses[String(response.statusCode)] = generateResponse(response, AST);
+  });
+  if (!responses.length) {
+    operation.responses['200'] = { description: 'Successful response' };
+  }
+  return operation;
+}
+
+function getLiteral(node) {
+  return node?.literalValue ?? node?.dataType;
+}
+
+function getBlockResponses(children) {
+  return Object.keys(children)
+    .filter((key) => key.startsWith('response.'))
+    .map((key) => {
+      const responseNode = children[key].children;
+      const name = key.replace('response.', '');
+      return {
+        statusCode: getLiteral(responseNode['http.code']) || (name === 'ok' ? 200 : 'default'),
+        description: getLiteral(responseNode.message) || name,
+        status: getLiteral(responseNode.status),
+        data: responseNode.data,
+      };
+    });
+}
+
+/**
+ * Extract the endpoints declared in an AST.
+ * Supports `Name METHOD /path { ... }` nodes and `Name { path /path  method METHOD ... }` blocks.
+ * @param {Object} AST
+ * @returns {OpenAPIOperationDefinition[]}
+ */
+function getEndpointDefinitions(AST) {
+  const definitions = [];
+  Object.keys(AST).forEach((astKey) => {
+    const node = AST[astKey];
+    const children = node.children || {};
+    const sections = {
+      headers: children.headers,
+      query: children.query,
+      params: children.params,
+      body: children.body,
+    };
+    if (node.isEndpoint) {
+      definitions.push({
+        method: node.http_method,
+        path: node.http_path,
+        operationId: astKey,
+        summary: node.commentText,
+        tags: children.resource?.dataType ? [children.resource.dataType] : undefined,
+        sections,
+        responses: children.response
+          ? [{ statusCode: 200, description: 'Successful response', data: children.response }]
+          : [],
+      });
+    } else if (getLiteral(children.path) && getLiteral(children.method)) {
+      definitions.push({
+        method: getLiteral(children.method),
+        path: getLiteral(children.path),
+        operationId: astKey,
+        summary: node.commentText,
+        sections,
+        responses: getBlockResponses(children),
+      });
+    }
+  });
+  return definitions;
+}
+
+/**
+ * Add operations to the paths object of an OpenAPI document.
+ * @param {Object} paths
+ * @param {OpenAPIOperationDefinition[]} definitions
+ * @param {Object} [AST]
+ * @returns {Object} - The paths object
+ */
+function addOperations(paths, definitions, AST = {}) {
+  definitions.forEach((definition) => {
+    const openAPIPath = toOpenAPIPath(definition.path);
+    paths[openAPIPath] = paths[openAPIPath] || {};
+    paths[openAPIPath][String(definition.method).toLowerCase()] = generateOpenAPIOperation(
+      definition,
+      AST
+    );
+  });
+  return paths;
+}
+
+/**
+ * Create an empty OpenAPI 3.1 document.
+ * @param {OpenAPIDocumentOptions} [options]
+ * @returns {Object}
+ */
+function createOpenAPIDocument(options = {}) {
+  const {
+    title = process.env.APP_NAME || 'API',
+    version = '1.0.0',
+    description,
+    servers = process.env.APP_BASE_URL ? [{ url: process.env.APP_BASE_URL }] : undefined,
+  } = options;
+  const document = { openapi: '3.1.0', info: { title, version }, paths: {} };
+  if (description) document.info.description = description;
+  if (servers?.length) document.servers = servers;
+  return document;
+}
+
+/**
+ * Generate an OpenAPI 3.1 document from the endpoints declared in an AST.
+ * Non-endpoint root nodes are added to components/schemas so references can point to them.
+ * @param {Object} AST
+ * @param {OpenAPIDocumentOptions} [options]
+ * @returns {Object}
+ */
+function generateOpenAPIDocument(AST, options = {}) {
+  const document = createOpenAPIDocument(options);
+  const definitions = getEndpointDefinitions(AST);
+  const endpointKeys = new Set(definitions.map((d) => d.operationId));
+
+  addOperations(document.paths, definitions, AST);
+
+  const schemas = {};
+  Object.keys(AST).forEach((astKey) => {
+    const node = AST[astKey];
+    if (endpointKeys.has(astKey) || astKey === 'root') return;
+    if (!Object.keys(node.children || {}).length) return;
+    schemas[astKey] = generateObjectSchema(node.children, AST);
+  });
+  if (Object.keys(schemas).length) document.components = { schemas };
+
+  return document;
+}
+
+module.exports = {
+  toOpenAPIPath,
+  getEndpointDefinitions,
+  generateOpenAPIOperation,
+  addOperations,
+  createOpenAPIDocument,
+  generateOpenAPIDocument,
+};
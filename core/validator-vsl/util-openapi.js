@@ -0,0 +1,35 @@
+// Usage: node core/validator-vsl/util-openapi.js [specs directory or file] [output file]
+const fs = require('fs');
+const path = require('path');
+const parse = require('./parser');
+const { generateOpenAPIDocument } = require('./util-openapi-generator');
+const loadSPCLConfig = require('./util-load-config');
+
+const ENDPOINT_SPEC_REGEX = /\.endpoint\.(go|spc)$/;
+
+function collectEndpointSpecFiles(targetPath) {
+  if (fs.statSync(targetPath).isFile()) return [targetPath];
+  return fs
+    .readdirSync(targetPath)
+    .map((item) => path.join(targetPath, item))
+    .flatMap((itemPath) => {
+      if (fs.statSync(itemPath).isDirectory()) return collectEndpointSpecFiles(itemPath);
+      return ENDPOINT_SPEC_REGEX.test(itemPath) ? [itemPath] : [];
+    });
+}
+
+const [specPath = 'specs', outputFile = 'openapi.json'] = process.argv.slice(2);
+const lookupPath = path.join(process.cwd(), specPath);
+
+if (fs.existsSync(lookupPath)) {
+  const config = loadSPCLConfig(path.join(process.cwd(), 'spcl.json'));
+  const abstractSyntaxTree = {};
+  collectEndpointSpecFiles(lookupPath).forEach((specFile) => {
+    Object.assign(abstractSyntaxTree, parse(fs.readFileSync(specFile, { encoding: 'utf-8' })));
+  });
+  const openAPIDocument = generateOpenAPIDocument(abstractSyntaxTree, config?.openapi);
+  fs.writeFileSync(outputFile, JSON.stringify(openAPIDocument, null, 2), { encoding: 'utf-8' });
+  console.log(`${Object.keys(openAPIDocument.paths).length} paths written to ${outputFile}`);
+} else {
+  console.warn(`${lookupPath} not found`);
+}
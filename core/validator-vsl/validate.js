@@ -1,40 +1,44 @@
 const { throwAppError } = require('@app-core/errors');
 const objectValidator = require('./validator');
 
+/**
+ * @typedef {Object} ValidateOptions
+ * @property {boolean} [collectAll] - Validate the whole object and report every failure in a single error instead of throwing on the first one.
+ * @property {boolean} [dontThrowErrors] - Deprecated alias of collectAll.
+ */
+
+/**
+ * Validate data against a parsed spec.
+ * The thrown error's details is a list of `{ field, constraint, message }` entries, one per failure.
+ * @param {Object} data
+ * @param {Object} parsedSpec
+ * @param {ValidateOptions} [options]
+ * @returns {Object} - The validated and transformed data.
+ * @throws
+ */
 function validateParsedSpec(data, parsedSpec, options = {}) {
-  // console.log(parsedSpec, 'running');
   let result;
-  const { dontThrowErrors } = options;
-  const errors = {};
-  const dontThrowSingleErrors = dontThrowErrors || process?.env?.NO_SINGLE_ERRORS;
+  const { collectAll, dontThrowErrors } = options;
+
+  /** @type {import('./validator').ValidationErrorCollector} */
+  const errors = {
+    collectAll: !!(collectAll || dontThrowErrors || process?.env?.NO_SINGLE_ERRORS),
+    details: [],
+  };
 
-  if (dontThrowSingleErrors) {
-    // @todo: Refactor so the flag to not throw is not directly on the error tree.
-    errors.__$app_no_throw = true;
-    errors.__$app_first_message = false;
-  }
   try {
     result = objectValidator(data, {}, parsedSpec.root.children, '', errors);
-    // console.log(result);
   } catch (e) {
-    // console.log(errors);
-    throwAppError(e.message, 'SPCL_VALIDATION', { details: errors });
+    const details = [...errors.details, ...(e.details || [])];
+    if (!details.length) {
+      details.push({ field: '', constraint: 'unknown', message: e.message });
+    }
+    throwAppError(details[0].message, 'SPCL_VALIDATION', { details });
   }
 
-  // eslint-disable-next-line camelcase
-  const { __$app_no_throw, __$app_first_message, ...remainingErrors } = errors;
-  // console.log(remainingErrors);
-  if (Object.keys(remainingErrors).length > 0 && dontThrowSingleErrors) {
-    const errorsArray = [];
-    Object.keys(remainingErrors).forEach((key) => {
-      errorsArray.push({
-        field: key,
-        message: remainingErrors[key],
-      });
-    });
-    // eslint-disable-next-line camelcase
-    const errorMessageToThrow = process?.env?.TOP_LEVEL_ERROR_MESSAGE || __$app_first_message;
-    throwAppError(errorMessageToThrow, 'SPCL_VALIDATION', { details: errorsArray });
+  if (errors.details.length) {
+    const errorMessageToThrow = process?.env?.TOP_LEVEL_ERROR_MESSAGE || errors.details[0].message;
+    throwAppError(errorMessageToThrow, 'SPCL_VALIDATION', { details: errors.details });
   }
   return result;
 }
@@ -1,16 +1,34 @@
 const validatorConstraints = require('./validator-contraints');
 
-// @todo: Make this pure, such that we are not relying on a by-ref errorTree to report messages.
-// Should be composable end to end. Each call to validation error should return its own errorTree without dependence on an argument.
-function validationError(message, prop, errorTree_ = {}) {
-  const errorTree = errorTree_;
-  errorTree[prop] = message;
-  if (!errorTree.__$app_first_message) {
-    errorTree.__$app_first_message = message;
-  }
-  if (!errorTree.__$app_no_throw) {
-    throw new Error(message);
+/**
+ * A single validation failure.
+ * @typedef {Object} ValidationErrorDetail
+ * @property {string} field - Path of the failing property e.g. users[1].age
+ * @property {string} constraint - The check that failed: required, type, possibleValues or the constraint name used in the spec.
+ * @property {string} message - Human readable error message.
+ */
+
+/**
+ * Collects validation failures as the object is walked.
+ * @typedef {Object} ValidationErrorCollector
+ * @property {boolean} [collectAll] - When true, failures are recorded and validation continues. Otherwise the first failure throws.
+ * @property {ValidationErrorDetail[]} [details] - The recorded failures.
+ */
+
+/**
+ * @param {string} message
+ * @param {string} prop
+ * @param {ValidationErrorCollector} errors
+ * @param {string} constraint
+ */
+function validationError(message, prop, errors = {}, constraint = 'type') {
+  const detail = { field: prop, constraint, message };
+  if (!errors.collectAll) {
+    const error = new Error(message);
+    error.details = [detail];
+    throw error;
   }
+  errors.details.push(detail);
 }
 
 function evaluateValueWithType(value, type) {
@@ -65,7 +83,7 @@ function evaluatePossibleValues(value, possibleValues, prop, errors) {
     }
   }
   if (errorMessage) {
-    validationError(errorMessage, prop, errors);
+    validationError(errorMessage, prop, errors, 'possibleValues');
   }
   return {
     isValid,
@@ -91,10 +109,10 @@ function evaluateConstraints(value, constraints, prop, errors) {
         let resultingValue = res;
         if (res.errorMessage) {
           const { isSatisfied, errorMessage, evaluatedValue } = res;
-          if (!isSatisfied) validationError(errorMessage, prop, errors); // throw new Error(errorMessage);
+          if (!isSatisfied) validationError(errorMessage, prop, errors, ck); // throw new Error(errorMessage);
           resultingValue = evaluatedValue;
         } else if (!res) {
-          validationError(`${prop} (${value}) failed the ${ck} constraint.`, prop, errors);
+          validationError(`${prop} (${value}) failed the ${ck} constraint.`, prop, errors, ck);
         }
         transformedValue = resultingValue;
         constraintValue = resultingValue;
@@ -119,10 +137,15 @@ function enforceTypeCheck(value, dataType, propPath, config) {
       propPath,
       errors
     );
+    // Constraints are meaningless against a value of the wrong type.
+    return { isValidType: false, value };
   }
   const { transformedValue } = evaluateConstraints(value, constraints, prop, errors);
   evaluatePossibleValues(transformedValue, possibleValues, prop, errors);
-  return typeof transformedValue !== 'undefined' ? transformedValue : value;
+  return {
+    isValidType: true,
+    value: typeof transformedValue !== 'undefined' ? transformedValue : value,
+  };
 }
 
 function validateWithAST(object, tree_, AST, parentChain = '', errors = {}) {
@@ -143,36 +166,62 @@ function validateWithAST(object, tree_, AST, parentChain = '', errors = {}) {
     if (!isOptional && valueDoesNotExist) {
       // console.log('💣 Errored out here', isOptional, valueDoesNotExist, astKey);
       // throw new Error(`${parentChain}${astKey} is required!`);
-      validationError(`${parentChain}${astKey} is required!`, `${parentChain}${astKey}`, errors);
+      validationError(
+        `${parentChain}${astKey} is required!`,
+        `${parentChain}${astKey}`,
+        errors,
+        'required'
+      );
       return;
     }
     if (isOptional && typeof value === 'undefined') return;
     const treeKey = alias || astKey;
     const nodeHasChildren = Object.keys(node.children).length;
     if (dataType) {
-      valueToAssign = enforceTypeCheck(value, dataType, `${parentChain}${astKey}`, {
+      const typeCheckResult = enforceTypeCheck(value, dataType, `${parentChain}${astKey}`, {
         errors,
         constraints,
         possibleValues,
         prop: `${parentChain}${astKey}`,
       });
+      if (!typeCheckResult.isValidType) return;
+      valueToAssign = typeCheckResult.value;
+    } else if (nodeHasChildren && (!value || typeof value !== 'object')) {
+      validationError(
+        `Invalid Type Passed for ${parentChain}${astKey}: Expected object got ${
+          value === null ? 'null' : typeof value
+        }`,
+        `${parentChain}${astKey}`,
+        errors
+      );
+      return;
     }
 
     if (dataType === 'array') {
       tree[treeKey] = [];
       if (!isOptional && !value.length) {
         // throw new Error(`${parentChain}${astKey} is required!`);
-        validationError(`${parentChain}${astKey} is required!`, `${parentChain}${astKey}`, errors);
+        validationError(
+          `${parentChain}${astKey} is required!`,
+          `${parentChain}${astKey}`,
+          errors,
+          'required'
+        );
         return;
       }
       if (!nodeHasChildren) {
         value.forEach((v, i) => {
-          const tv = enforceTypeCheck(v, arrayChildrenType, `${parentChain}${astKey}[${i}]`, {
-            errors,
-            constraints,
-            possibleValues,
-            prop: `${parentChain}${astKey}[${i}]`,
-          });
+          const { value: tv } = enforceTypeCheck(
+            v,
+            arrayChildrenType,
+            `${parentChain}${astKey}[${i}]`,
+            {
+              errors,
+              constraints,
+              possibleValues,
+              prop: `${parentChain}${astKey}[${i}]`,
+            }
+          );
           tree[treeKey].push(tv);
         });
       } else {
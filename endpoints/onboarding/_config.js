@@ -0,0 +1,5 @@
+// Onboarding routes are public and keep their paths without an /onboarding prefix
+module.exports = {
+  prefix: '',
+  auth: false,
+};
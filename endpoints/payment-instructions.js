@@ -5,6 +5,7 @@ const paymentInstructionService = require('@app/services/payment-instruction');
 module.exports = createHandler({
   path: '/payment-instructions',
   method: 'post',
+  idempotent: true,
   middlewares: [],
   async onResponseEnd(rc, rs) {
     appLogger.info({ requestContext: rc, response: rs }, 'payment-instruction-request-completed');
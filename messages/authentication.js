@@ -1,3 +1,7 @@
 module.exports = {
   MISSING_AUTH_HEADER: 'An authorization header is required',
+  INVALID_AUTH_HEADER: 'The authorization header must be in the format: Bearer <token>',
+  MISSING_TOKEN_SUBJECT: 'The token does not identify a user',
+  USER_NOT_FOUND: 'The user for this token could not be found',
+  INACTIVE_ACCOUNT: 'This account is inactive',
 };
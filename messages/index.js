@@ -1,3 +1,4 @@
 const AuthenticationMessages = require('./authentication');
+const PermissionMessages = require('./permission');
 
-module.exports = { AuthenticationMessages };
+module.exports = { AuthenticationMessages, PermissionMessages };
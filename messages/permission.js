@@ -0,0 +1,4 @@
+module.exports = {
+  PERMISSION_DENIED: 'You do not have permission to perform this action',
+  NO_PERMISSION_CONFIGURED: 'No permission has been configured for this endpoint',
+};
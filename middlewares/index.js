@@ -1,5 +1,8 @@
-const userAuth = require('./user-auth');
+const createUserAuth = require('./user-auth');
+const requirePermissions = require('./require-permissions');
 
 module.exports = {
-  userAuth,
+  userAuth: createUserAuth(),
+  createUserAuth,
+  requirePermissions,
 };
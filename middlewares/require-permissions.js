@@ -0,0 +1,52 @@
+const { createHandler } = require('@app-core/server');
+const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const PermissionMessages = require('@app/messages/permission');
+
+function getGrantedPermissions(user = {}) {
+  const granted = new Set(user.permissions || []);
+
+  (user.roles || []).forEach((role) => {
+    if (typeof role === 'string') {
+      granted.add(role);
+    } else {
+      (role.permissions || []).forEach((permission) => granted.add(permission));
+    }
+  });
+
+  return granted;
+}
+
+/**
+ * Create a middleware that checks rc.meta.user holds every required permission.
+ * Permissions come from user.permissions and from the permissions of each entry in user.roles.
+ * Role names are granted as well, so a handler can require a role by name.
+ * Place it after the middleware that sets rc.meta.user.
+ * @param {string|string[]} [permissions] - Permission names to require. Defaults to the `permissions` of the handler being called.
+ * @returns {import('@app-core/server/create-handler').HandlerConfiguration}
+ */
+function requirePermissions(permissions) {
+  return createHandler({
+    path: '*',
+    method: '',
+    async handler(rc) {
+      const required = [].concat(permissions || rc.properties.permissions || []);
+
+      if (!required.length) {
+        throwAppError(PermissionMessages.NO_PERMISSION_CONFIGURED, ERROR_CODE.PERMERR);
+      }
+
+      const granted = getGrantedPermissions(rc.meta.user);
+      const missing = required.filter((permission) => !granted.has(permission));
+
+      if (missing.length) {
+        throwAppError(PermissionMessages.PERMISSION_DENIED, ERROR_CODE.PERMERR, {
+          context: { missing_permissions: missing },
+        });
+      }
+
+      return {};
+    },
+  });
+}
+
+module.exports = requirePermissions;
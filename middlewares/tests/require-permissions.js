@@ -0,0 +1,72 @@
+const assert = require('assert');
+const { ERROR_CODE } = require('@app-core/errors');
+const { requirePermissions } = require('@app/middlewares');
+
+async function runRequirePermissionsTests() {
+  console.log('🧪 Running Require Permissions Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  function check(middleware, user, handlerPermissions = []) {
+    return middleware.handler({
+      meta: { user },
+      properties: { permissions: handlerPermissions },
+    });
+  }
+
+  const user = {
+    permissions: ['can view payment'],
+    roles: ['support', { name: 'finance', permissions: ['can refund payment'] }],
+  };
+
+  await test('should allow users holding the handler permissions', async () => {
+    await assert.doesNotReject(
+      check(requirePermissions(), user, ['can view payment', 'can refund payment'])
+    );
+  });
+
+  await test('should grant role names as permissions', async () => {
+    await assert.doesNotReject(check(requirePermissions('support'), user));
+  });
+
+  await test('should list the missing permissions', async () => {
+    await assert.rejects(
+      check(requirePermissions(['can view payment', 'admin', 'can delete payment']), user),
+      (error) => {
+        assert.strictEqual(error.errorCode, ERROR_CODE.PERMERR);
+        assert.deepStrictEqual(error.context.missing_permissions, ['admin', 'can delete payment']);
+        return true;
+      }
+    );
+  });
+
+  await test('should reject users without permissions', async () => {
+    await assert.rejects(check(requirePermissions('support'), undefined), {
+      errorCode: ERROR_CODE.PERMERR,
+    });
+  });
+
+  await test('should fail handlers without any permission configured', async () => {
+    await assert.rejects(check(requirePermissions(), user, []), {
+      errorCode: ERROR_CODE.PERMERR,
+      message: /no permission/i,
+    });
+  });
+
+  console.log(`✅ Require Permissions Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runRequirePermissionsTests;
@@ -0,0 +1,135 @@
+const assert = require('assert');
+const { sign } = require('@app-core/jwt');
+const { ERROR_CODE } = require('@app-core/errors');
+const { userAuth, createUserAuth } = require('@app/middlewares');
+
+async function runUserAuthTests() {
+  console.log('🧪 Running User Auth Tests...');
+  let testCount = 0;
+  let passedCount = 0;
+
+  async function test(name, testFn) {
+    testCount++;
+    try {
+      await testFn();
+      passedCount++;
+      console.log(`  ✅ ${name}`);
+    } catch (error) {
+      console.log(`  ❌ ${name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  const secret = 'user-auth-test-secret';
+  process.env.JWT_SECRET = secret;
+
+  function authenticate(middleware, authorization) {
+    return middleware.handler({ headers: authorization ? { authorization } : {} });
+  }
+
+  function createUserModel(users) {
+    return {
+      modelName: 'TestUser',
+      async findOne(query) {
+        return users.find((user) => user._id === query._id) || null;
+      },
+    };
+  }
+
+  const token = sign({ data: { sub: 'user-1', email: 'ada@example.com' }, secret });
+
+  await test('should set the token claims as the user', async () => {
+    const { augments } = await authenticate(userAuth, `Bearer ${token}`);
+    assert.strictEqual(augments.meta.user.id, 'user-1');
+    assert.strictEqual(augments.meta.user.email, 'ada@example.com');
+  });
+
+  await test('should reject missing, malformed and invalid authorization headers', async () => {
+    await assert.rejects(authenticate(userAuth), { errorCode: ERROR_CODE.NOAUTHERR });
+    await assert.rejects(authenticate(userAuth, `Token ${token}`), {
+      errorCode: ERROR_CODE.INVLDAUTHTOKEN,
+    });
+    await assert.rejects(authenticate(userAuth, 'Bearer not-a-token'), {
+      errorCode: ERROR_CODE.INVLDAUTHTOKEN,
+    });
+  });
+
+  await test('should accept the bearer scheme in any case and extra spaces', async () => {
+    const lowerCase = await authenticate(userAuth, `bearer ${token}`);
+    const spaced = await authenticate(userAuth, `  BEARER   ${token} `);
+    assert.strictEqual(lowerCase.augments.meta.user.id, 'user-1');
+    assert.strictEqual(spaced.augments.meta.user.id, 'user-1');
+  });
+
+  await test('should reject tokens without a subject before looking the user up', async () => {
+    let lookups = 0;
+    const middleware = createUserAuth({
+      userModel: {
+        modelName: 'TestUser',
+        async findOne() {
+          lookups++;
+          return { _id: 'first-user', status: 'active' };
+        },
+      },
+    });
+    const subjectlessToken = sign({ data: { email: 'ada@example.com' }, secret });
+
+    await assert.rejects(authenticate(middleware, `Bearer ${subjectlessToken}`), {
+      errorCode: ERROR_CODE.INVLDAUTHTOKEN,
+      message: 'The token does not identify a user',
+    });
+    await assert.rejects(authenticate(userAuth, `Bearer ${subjectlessToken}`), {
+      errorCode: ERROR_CODE.INVLDAUTHTOKEN,
+    });
+    assert.strictEqual(lookups, 0);
+  });
+
+  await test('should reject expired tokens', async () => {
+    const expiredToken = sign({ data: { sub: 'user-1' }, secret, expiration: '-1s' });
+    await assert.rejects(authenticate(userAuth, `Bearer ${expiredToken}`), {
+      errorCode: ERROR_CODE.EXPIREDTOKEN,
+    });
+  });
+
+  await test('should load the user from the configured model', async () => {
+    const middleware = createUserAuth({
+      userModel: createUserModel([{ _id: 'user-1', name: 'Ada', status: 'active' }]),
+    });
+    const { augments } = await authenticate(middleware, `Bearer ${token}`);
+    assert.deepStrictEqual(augments.meta.user, { _id: 'user-1', name: 'Ada', status: 'active' });
+
+    const unknownUserToken = sign({ data: { sub: 'user-2' }, secret });
+    await assert.rejects(authenticate(middleware, `Bearer ${unknownUserToken}`), {
+      errorCode: ERROR_CODE.INVLDAUTHTOKEN,
+    });
+  });
+
+  await test('should read AUTH_USER_MODEL when a request comes in', async () => {
+    const middleware = createUserAuth();
+    process.env.AUTH_USER_MODEL = 'MissingModel';
+    try {
+      await assert.rejects(authenticate(middleware, `Bearer ${token}`), /MissingModel/);
+    } finally {
+      delete process.env.AUTH_USER_MODEL;
+    }
+
+    const { augments } = await authenticate(middleware, `Bearer ${token}`);
+    assert.strictEqual(augments.meta.user.id, 'user-1');
+  });
+
+  await test('should reject inactive users', async () => {
+    const userModel = createUserModel([{ _id: 'user-1', status: 'active', locked: true }]);
+
+    await assert.doesNotReject(authenticate(createUserAuth({ userModel }), `Bearer ${token}`));
+
+    const middleware = createUserAuth({ userModel, isUserActive: (user) => !user.locked });
+    await assert.rejects(authenticate(middleware, `Bearer ${token}`), {
+      errorCode: ERROR_CODE.INACTIVEACCT,
+    });
+  });
+
+  console.log(`✅ User Auth Tests Completed: ${passedCount}/${testCount} passed`);
+  return { passed: passedCount, total: testCount };
+}
+
+module.exports = runUserAuthTests;
@@ -1,19 +1,86 @@
 const { createHandler } = require('@app-core/server');
 const { throwAppError, ERROR_CODE } = require('@app-core/errors');
+const { verifyAccessToken } = require('@app-core/jwt');
+const repositoryFactory = require('@app-core/repository-factory');
 const AuthenticationMessages = require('@app/messages/authentication');
 
-module.exports = createHandler({
-  path: '*',
-  method: '',
-  async handler(rc) {
-    const authHeader = rc.headers.authorization;
+/**
+ * @typedef {Object} UserAuthOptions
+ * @property {string|Object} [userModel] - The model, or name of a model in @app/models, the user is loaded from by _id on every request. Defaults to the AUTH_USER_MODEL environment variable, read when a request comes in. Without either, rc.meta.user holds the token claims.
+ * @property {function(Object): boolean} [isUserActive] - Whether a loaded user may make requests. Defaults to users without a status or with status "active".
+ */
 
-    if (!authHeader) {
-      throwAppError(AuthenticationMessages.MISSING_AUTH_HEADER, ERROR_CODE.NOAUTHERR);
+function hasActiveStatus(user) {
+  return !user.status || user.status === 'active';
+}
+
+/**
+ * Create a middleware that verifies the bearer token of the request and sets rc.meta.user.
+ * @param {UserAuthOptions} [options]
+ * @returns {import('@app-core/server/create-handler').HandlerConfiguration}
+ */
+function createUserAuth(options = {}) {
+  const { isUserActive = hasActiveStatus } = options;
+  const userRepositories = new Map();
+
+  function getUserRepository(userModel) {
+    if (!userRepositories.has(userModel)) {
+      userRepositories.set(userModel, repositoryFactory(userModel));
+    }
+    return userRepositories.get(userModel);
+  }
+
+  async function findUser(userModel, userId) {
+    const user = await getUserRepository(userModel).findOne({ query: { _id: userId } });
+
+    if (!user) {
+      throwAppError(AuthenticationMessages.USER_NOT_FOUND, ERROR_CODE.INVLDAUTHTOKEN);
     }
 
-    return {
-      augments: { meta: { user: {} } },
-    };
-  },
-});
+    if (!isUserActive(user)) {
+      throwAppError(AuthenticationMessages.INACTIVE_ACCOUNT, ERROR_CODE.INACTIVEACCT);
+    }
+
+    return user;
+  }
+
+  return createHandler({
+    path: '*',
+    method: '',
+    async handler(rc) {
+      const authHeader = rc.headers.authorization;
+
+      if (!authHeader) {
+        throwAppError(AuthenticationMessages.MISSING_AUTH_HEADER, ERROR_CODE.NOAUTHERR);
+      }
+
+      // Auth schemes are case-insensitive (RFC 7235)
+      const [scheme, token] = authHeader.trim().split(/\s+/);
+
+      if (scheme.toLowerCase() !== 'bearer' || !token) {
+        throwAppError(AuthenticationMessages.INVALID_AUTH_HEADER, ERROR_CODE.INVLDAUTHTOKEN);
+      }
+
+      const claims = await verifyAccessToken({ token });
+      const userId = claims.id || claims.sub;
+
+      // A token without a subject would look the user up by an undefined _id, which matches any user
+      if (!userId) {
+        throwAppError(AuthenticationMessages.MISSING_TOKEN_SUBJECT, ERROR_CODE.INVLDAUTHTOKEN);
+      }
+
+      let user = { ...claims, id: userId };
+
+      const userModel = options.userModel || process.env.AUTH_USER_MODEL;
+      if (userModel) {
+        user = await findUser(userModel, user.id);
+      }
+
+      return {
+        augments: { meta: { user } },
+      };
+    },
+  });
+}
+
+module.exports = createUserAuth;
@@ -0,0 +1,32 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'idempotency_keys';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} key
+ * @property {String} body_hash
+ * @property {String} status
+ * @property {Object} response
+ * @property {Date} expires_at
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  key: { type: SchemaTypes.String, required: true, unique: true },
+  body_hash: { type: SchemaTypes.String, required: true },
+  status: { type: SchemaTypes.String, required: true },
+  response: { type: SchemaTypes.Mixed },
+  // Records are removed by a TTL index once they expire
+  expires_at: { type: SchemaTypes.Date, required: true, expires: 0 },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
@@ -1,5 +1,13 @@
+const IdempotencyKey = require('./idempotency-key');
 const Notification = require('./notification');
+const Permission = require('./permission');
+const RefreshToken = require('./refresh-token');
+const RevokedToken = require('./revoked-token');
 
 module.exports = {
+  IdempotencyKey,
   Notification,
+  Permission,
+  RefreshToken,
+  RevokedToken,
 };
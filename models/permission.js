@@ -0,0 +1,29 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'permissions';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} name
+ * @property {String} display_name
+ * @property {String} method
+ * @property {String} endpoint
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  name: { type: SchemaTypes.String, required: true, unique: true },
+  display_name: { type: SchemaTypes.String, required: true },
+  method: { type: SchemaTypes.String },
+  endpoint: { type: SchemaTypes.String },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
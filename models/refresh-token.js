@@ -0,0 +1,34 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'refresh_tokens';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} token_hash
+ * @property {String} family_id
+ * @property {Object} data
+ * @property {Date} expires_at
+ * @property {Number} used_at
+ * @property {Number} revoked_at
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  token_hash: { type: SchemaTypes.String, required: true, unique: true },
+  family_id: { type: SchemaTypes.String, required: true, index: true },
+  data: { type: SchemaTypes.Mixed, required: true },
+  // Records are removed by a TTL index once they expire
+  expires_at: { type: SchemaTypes.Date, required: true, expires: 0 },
+  used_at: { type: SchemaTypes.Number, default: 0 },
+  revoked_at: { type: SchemaTypes.Number, default: 0 },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
@@ -0,0 +1,27 @@
+const { ModelSchema, SchemaTypes, DatabaseModel } = require('@app-core/mongoose');
+
+const modelName = 'revoked_tokens';
+
+/**
+ * @typedef {Object} ModelSchema
+ * @property {String} _id
+ * @property {String} token_id
+ * @property {Date} expires_at
+ * @property {Number} created
+ * @property {Number} updated
+ */
+
+const schemaConfig = {
+  _id: { type: SchemaTypes.ULID, required: true },
+  // The jti of a revoked access token or the id of a revoked token family
+  token_id: { type: SchemaTypes.String, required: true, unique: true },
+  // Records are removed by a TTL index once the tokens they cover have expired
+  expires_at: { type: SchemaTypes.Date, required: true, expires: 0 },
+  created: { type: SchemaTypes.Number, required: true },
+  updated: { type: SchemaTypes.Number, required: true },
+};
+
+const modelSchema = new ModelSchema(schemaConfig, { collection: modelName });
+
+/** @type {ModelSchema} */
+module.exports = DatabaseModel.model(modelName, modelSchema);
@@ -0,0 +1,57 @@
+/* eslint-disable no-restricted-syntax */
+/* eslint-disable no-await-in-loop */
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { createConnection } = require('@app-core/mongoose');
+
+const endpointDataPath = './endpoint-data/endpoints.json';
+
+// Upserts every permission listed in endpoint-data/endpoints.json into the permissions collection.
+// Generate the file first by starting the app with CAN_LOG_ENDPOINT_INFORMATION=1
+const syncPermissions = async () => {
+  if (!fs.existsSync(endpointDataPath)) {
+    console.error(
+      `${endpointDataPath} not found. Start the app with CAN_LOG_ENDPOINT_INFORMATION=1 to generate it.`
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const endpointData = JSON.parse(fs.readFileSync(endpointDataPath, 'utf8'));
+
+  await createConnection({ uri: process.env.MONGODB_URI });
+  // eslint-disable-next-line global-require
+  const PermissionRepository = require('@app/repository/permission');
+
+  let createdCount = 0;
+  let updatedCount = 0;
+
+  for (const entry of endpointData) {
+    for (const name of [].concat(entry.permissions || entry.display_name)) {
+      const permission = {
+        display_name: name,
+        method: entry.method,
+        endpoint: entry.endpoint,
+      };
+      const existingPermission = await PermissionRepository.findOne({ query: { name } });
+
+      if (existingPermission) {
+        await PermissionRepository.updateOne({ query: { name }, updateValues: permission });
+        updatedCount += 1;
+      } else {
+        await PermissionRepository.create({ name, ...permission });
+        createdCount += 1;
+      }
+    }
+  }
+
+  console.log(`Permissions synced. ${createdCount} created, ${updatedCount} updated.`);
+};
+
+syncPermissions()
+  .catch((e) => {
+    console.error('Error syncing permissions:', e);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());